@@ -0,0 +1,346 @@
+const crypto = require('crypto');
+const database = require('./database');
+
+const SESSION_COOKIE = 'wgm_session';
+const DEFAULT_SESSION_TTL_HOURS = 12;
+const SCRYPT_KEYLEN = 64;
+const MIN_PASSWORD_LENGTH = 8;
+
+// Each role includes everything the previous one can do
+const VIEWER_PERMISSIONS = ['peers:read', 'server:read'];
+const OPERATOR_PERMISSIONS = [
+  ...VIEWER_PERMISSIONS,
+  'peers:create',
+  'peers:update',
+  'peers:toggle',
+  'peers:config'
+];
+const ADMIN_PERMISSIONS = [
+  ...OPERATOR_PERMISSIONS,
+  'peers:delete',
+  'peers:cleanup',
+  'peers:regenerate',
+  'peers:adopt',
+  'users:manage',
+  'audit:read',
+  'backup:manage',
+  'debug:read'
+];
+
+const ROLE_PERMISSIONS = {
+  viewer: VIEWER_PERMISSIONS,
+  operator: OPERATOR_PERMISSIONS,
+  admin: ADMIN_PERMISSIONS
+};
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+const hasPermission = (user, permission) => {
+  return !!user && (ROLE_PERMISSIONS[user.role] || []).includes(permission);
+};
+
+const describeUser = (user) => ({
+  id: user.id,
+  username: user.username,
+  role: user.role,
+  permissions: ROLE_PERMISSIONS[user.role] || []
+});
+
+// Hash a password as "scrypt$<salt>$<hash>"
+const hashPassword = (password) => {
+  return new Promise((resolve, reject) => {
+    const salt = crypto.randomBytes(16).toString('hex');
+    crypto.scrypt(password, salt, SCRYPT_KEYLEN, (err, derivedKey) => {
+      if (err) return reject(err);
+      resolve(`scrypt$${salt}$${derivedKey.toString('hex')}`);
+    });
+  });
+};
+
+const verifyPassword = (password, storedHash) => {
+  return new Promise((resolve, reject) => {
+    const [scheme, salt, hash] = String(storedHash || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) return resolve(false);
+
+    crypto.scrypt(password, salt, SCRYPT_KEYLEN, (err, derivedKey) => {
+      if (err) return reject(err);
+      const expected = Buffer.from(hash, 'hex');
+      resolve(expected.length === derivedKey.length && crypto.timingSafeEqual(expected, derivedKey));
+    });
+  });
+};
+
+// Only the SHA-256 of a session token is stored in the database
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const parseCookies = (header) => {
+  const cookies = {};
+  (header || '').split(';').forEach(part => {
+    const index = part.indexOf('=');
+    if (index < 0) return;
+    const name = part.slice(0, index).trim();
+    const value = part.slice(index + 1).trim();
+    try {
+      cookies[name] = decodeURIComponent(value);
+    } catch {
+      cookies[name] = value;
+    }
+  });
+  return cookies;
+};
+
+const getSessionToken = (req) => parseCookies(req.headers.cookie)[SESSION_COOKIE] || null;
+
+const setSessionCookie = (req, res, token, maxAgeSeconds) => {
+  const attributes = [
+    `${SESSION_COOKIE}=${encodeURIComponent(token)}`,
+    'Path=/',
+    'HttpOnly',
+    'SameSite=Strict',
+    `Max-Age=${maxAgeSeconds}`
+  ];
+  if (req.secure) attributes.push('Secure');
+  res.setHeader('Set-Cookie', attributes.join('; '));
+};
+
+const clearSessionCookie = (req, res) => {
+  setSessionCookie(req, res, '', 0);
+};
+
+const createAuth = (authConfig = {}) => {
+  const sessionTtlHours = authConfig.sessionTtlHours || DEFAULT_SESSION_TTL_HOURS;
+
+  // Create the first admin account when the users table is empty
+  const ensureInitialAdmin = async () => {
+    await database.ready;
+    const userCount = await database.countUsers();
+    if (userCount > 0) return;
+
+    const username = process.env.WGM_ADMIN_USERNAME || authConfig.initialAdminUsername || 'admin';
+    let password = process.env.WGM_ADMIN_PASSWORD;
+    const generated = !password;
+    if (generated) {
+      password = crypto.randomBytes(12).toString('base64url');
+    }
+
+    await database.createUser({ username, password_hash: await hashPassword(password), role: 'admin' });
+
+    console.log(`👤 Created initial admin user "${username}"`);
+    if (generated) {
+      console.log(`🔑 Generated password: ${password}`);
+      console.log('   Set WGM_ADMIN_PASSWORD before first start to choose it yourself.');
+    }
+  };
+
+  const login = async (req, res) => {
+    try {
+      const { username, password } = req.body || {};
+
+      if (!username || !password) {
+        return res.status(400).json({ error: 'Username and password are required' });
+      }
+
+      const user = await database.getUserByUsername(String(username).trim());
+      const valid = user ? await verifyPassword(String(password), user.password_hash) : false;
+
+      if (!valid) {
+        console.warn(`Failed login attempt for "${username}" from ${req.ip}`);
+        return res.status(401).json({ error: 'Invalid username or password' });
+      }
+
+      const token = crypto.randomBytes(32).toString('hex');
+      const expiresAt = new Date(Date.now() + sessionTtlHours * 3600 * 1000);
+
+      await database.createSession({
+        token_hash: hashToken(token),
+        user_id: user.id,
+        ip_address: req.ip,
+        expires_at: expiresAt.toISOString()
+      });
+      await database.touchUserLogin(user.id);
+
+      setSessionCookie(req, res, token, sessionTtlHours * 3600);
+      console.log(`✅ User "${user.username}" logged in from ${req.ip}`);
+
+      res.json(describeUser(user));
+    } catch (error) {
+      console.error('Login error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  };
+
+  const logout = async (req, res) => {
+    try {
+      const token = getSessionToken(req);
+      if (token) {
+        await database.deleteSession(hashToken(token));
+      }
+      clearSessionCookie(req, res);
+      res.json({ success: true });
+    } catch (error) {
+      console.error('Logout error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  };
+
+  const me = (req, res) => {
+    res.json(describeUser(req.user));
+  };
+
+  // The user of the request's session, or null
+  const sessionUser = async (req) => {
+    const token = getSessionToken(req);
+    const session = token ? await database.getSession(hashToken(token)) : null;
+    return session ? { id: session.user_id, username: session.username, role: session.role } : null;
+  };
+
+  // Middleware: reject requests without a valid session cookie
+  const requireAuth = async (req, res, next) => {
+    try {
+      const user = await sessionUser(req);
+
+      if (!user) {
+        return res.status(401).json({ error: 'Authentication required' });
+      }
+
+      req.user = user;
+      next();
+    } catch (error) {
+      console.error('Authentication error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  };
+
+  // Middleware for routes open to anonymous callers: sets req.user when there is a session
+  const identify = async (req, res, next) => {
+    try {
+      req.user = await sessionUser(req);
+      next();
+    } catch (error) {
+      console.error('Authentication error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  };
+
+  // Middleware factory: reject users whose role lacks the given permission
+  const requirePermission = (permission) => (req, res, next) => {
+    if (!hasPermission(req.user, permission)) {
+      console.warn(`User "${req.user?.username}" (${req.user?.role}) denied ${permission} on ${req.method} ${req.originalUrl}`);
+      return res.status(403).json({ error: `Your role does not allow this action (${permission})` });
+    }
+    next();
+  };
+
+  // User management (admin only, see routes in server.js)
+  const listUsers = async (req, res) => {
+    try {
+      res.json(await database.getAllUsers());
+    } catch (error) {
+      console.error('Error listing users:', error);
+      res.status(500).json({ error: error.message });
+    }
+  };
+
+  const createUser = async (req, res) => {
+    try {
+      const { username, password, role = 'viewer' } = req.body || {};
+
+      if (!username || !String(username).trim()) {
+        return res.status(400).json({ error: 'Username is required' });
+      }
+      if (!password || String(password).length < MIN_PASSWORD_LENGTH) {
+        return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+      }
+      if (!ROLES.includes(role)) {
+        return res.status(400).json({ error: `Role must be one of: ${ROLES.join(', ')}` });
+      }
+      if (await database.getUserByUsername(String(username).trim())) {
+        return res.status(409).json({ error: 'Username already exists' });
+      }
+
+      const id = await database.createUser({
+        username: String(username).trim(),
+        password_hash: await hashPassword(String(password)),
+        role
+      });
+
+      res.json(await database.getUserById(id));
+    } catch (error) {
+      console.error('Error creating user:', error);
+      res.status(500).json({ error: error.message });
+    }
+  };
+
+  const updateUser = async (req, res) => {
+    try {
+      const userId = Number(req.params.id);
+      const { role, password } = req.body || {};
+
+      const existing = await database.getUserById(userId);
+      if (!existing) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+      if (role && !ROLES.includes(role)) {
+        return res.status(400).json({ error: `Role must be one of: ${ROLES.join(', ')}` });
+      }
+      if (password && String(password).length < MIN_PASSWORD_LENGTH) {
+        return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+      }
+      if (role && role !== 'admin' && existing.role === 'admin' && await database.countUsersByRole('admin') <= 1) {
+        return res.status(400).json({ error: 'Cannot demote the last admin' });
+      }
+
+      await database.updateUser(userId, {
+        role,
+        password_hash: password ? await hashPassword(String(password)) : null
+      });
+
+      // Force other sessions of this user to log in again with the new password
+      if (password) {
+        await database.deleteUserSessions(userId);
+      }
+
+      res.json(await database.getUserById(userId));
+    } catch (error) {
+      console.error('Error updating user:', error);
+      res.status(500).json({ error: error.message });
+    }
+  };
+
+  const deleteUser = async (req, res) => {
+    try {
+      const userId = Number(req.params.id);
+
+      if (userId === req.user.id) {
+        return res.status(400).json({ error: 'You cannot delete your own account' });
+      }
+
+      const existing = await database.getUserById(userId);
+      if (!existing) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+
+      await database.deleteUser(userId);
+      res.json({ success: true, message: `User "${existing.username}" deleted` });
+    } catch (error) {
+      console.error('Error deleting user:', error);
+      res.status(500).json({ error: error.message });
+    }
+  };
+
+  return {
+    ensureInitialAdmin,
+    login,
+    logout,
+    me,
+    sessionUser,
+    requireAuth,
+    identify,
+    requirePermission,
+    listUsers,
+    createUser,
+    updateUser,
+    deleteUser
+  };
+};
+
+module.exports = { createAuth, hasPermission, hashPassword, verifyPassword, ROLES };
@@ -0,0 +1,384 @@
+// Backup and restore of the manager state: the SQLite database plus a snapshot of every router's
+// WireGuard peers, in one gzip'd JSON archive. With a passphrase the archive is encrypted
+// (AES-256-GCM, key from scrypt); only encrypted archives contain the peers' preshared keys.
+//
+// Peer keys inside the database stay encrypted with the master key, which is never part of a
+// backup; restoring on another installation needs the same master key (WGM_MASTER_KEY).
+//
+// config.json:
+//   "backup": { "intervalHours": 24, "keep": 7, "directory": "backups" }
+// Scheduled backups are written to backend/<directory> and encrypted with WGM_BACKUP_PASSPHRASE
+// when it is set. Without intervalHours only manual backups through the API are made.
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+
+const FORMAT = 'wireguard-manager-backup';
+const VERSION = 1;
+const MAGIC = Buffer.from('WGMBACKUP1\n');
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+const MIN_PASSPHRASE_LENGTH = 8;
+const FILE_PATTERN = /^wgm-backup-\d{8}T\d{6}Z\.wgmbackup$/;
+
+// Router peer fields kept in the snapshot (counters and handshake times are left out)
+const PEER_FIELDS = [
+  '.id', 'interface', 'public-key', 'allowed-address', 'comment', 'disabled',
+  'endpoint-address', 'endpoint-port', 'persistent-keepalive'
+];
+// Fields passed to createPeer when a peer is re-created
+const CREATE_FIELDS = ['interface', 'public-key', 'allowed-address', 'comment', 'disabled',
+  'endpoint-address', 'endpoint-port', 'persistent-keepalive'];
+
+const badRequest = (message) => Object.assign(new Error(message), { status: 400 });
+
+const deriveKey = (passphrase, salt) => crypto.scryptSync(passphrase, salt, 32);
+
+const encryptArchive = (data, passphrase) => {
+  const salt = crypto.randomBytes(SALT_BYTES);
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv('aes-256-gcm', deriveKey(passphrase, salt), iv);
+  const ciphertext = Buffer.concat([cipher.update(data), cipher.final()]);
+  return Buffer.concat([MAGIC, salt, iv, cipher.getAuthTag(), ciphertext]);
+};
+
+const decryptArchive = (data, passphrase) => {
+  if (!passphrase) {
+    throw badRequest('This backup is encrypted; a passphrase is required');
+  }
+  let offset = MAGIC.length;
+  const salt = data.subarray(offset, offset += SALT_BYTES);
+  const iv = data.subarray(offset, offset += IV_BYTES);
+  const tag = data.subarray(offset, offset += TAG_BYTES);
+  try {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', deriveKey(passphrase, salt), iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(data.subarray(offset)), decipher.final()]);
+  } catch (error) {
+    throw badRequest('Wrong passphrase or damaged backup');
+  }
+};
+
+// Archive buffer → parsed contents; throws 400 errors for anything that is not a usable backup
+const parseArchive = (data, passphrase) => {
+  const encrypted = data.subarray(0, MAGIC.length).equals(MAGIC);
+  let contents;
+  try {
+    contents = JSON.parse(zlib.gunzipSync(encrypted ? decryptArchive(data, passphrase) : data).toString('utf8'));
+  } catch (error) {
+    if (error.status) throw error;
+    throw badRequest('Not a WireGuard Manager backup file');
+  }
+  if (contents.format !== FORMAT || !contents.database) {
+    throw badRequest('Not a WireGuard Manager backup file');
+  }
+  if (contents.version > VERSION) {
+    throw badRequest(`Backup version ${contents.version} is newer than this server supports`);
+  }
+  return { ...contents, encrypted };
+};
+
+const pick = (object, fields) => fields.reduce((picked, field) => (
+  object[field] !== undefined && object[field] !== '' ? { ...picked, [field]: object[field] } : picked
+), {});
+
+const fileTimestamp = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d+Z$/, 'Z');
+
+const createBackupService = ({ routers, database, journal, options = {} }) => {
+  const intervalHours = Number(options.intervalHours) > 0 ? Number(options.intervalHours) : null;
+  const keep = Number(options.keep) > 0 ? Number(options.keep) : 7;
+  const directory = path.resolve(__dirname, options.directory || 'backups');
+  let timer = null;
+  let busy = false;
+
+  // Only one backup or restore at a time; they share the attached "backup" database name
+  const exclusive = async (fn) => {
+    if (busy) {
+      throw Object.assign(new Error('Another backup or restore is in progress'), { status: 409 });
+    }
+    busy = true;
+    try {
+      return await fn();
+    } finally {
+      busy = false;
+    }
+  };
+
+  // Runs fn with a temporary file path that is removed afterwards
+  const withTempFile = async (fn) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'wgm-backup-'));
+    try {
+      return await fn(path.join(dir, 'wireguard_peers.db'));
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  };
+
+  const snapshotRouters = async (includePresharedKeys) => {
+    const snapshots = [];
+    for (const router of routers.list()) {
+      try {
+        const peers = await router.mikrotik.getPeers();
+        snapshots.push({
+          id: router.id,
+          name: router.name,
+          peers: peers.map(peer => ({
+            ...pick(peer, PEER_FIELDS),
+            ...(includePresharedKeys && peer['preshared-key'] ? { 'preshared-key': peer['preshared-key'] } : {})
+          }))
+        });
+      } catch (error) {
+        console.warn(`Backup: could not read peers of router "${router.id}":`, error.message);
+        snapshots.push({ id: router.id, name: router.name, peers: null, error: error.message });
+      }
+    }
+    return snapshots;
+  };
+
+  // The archive as a Buffer; passphrase is optional
+  const createArchive = ({ passphrase = null } = {}) => exclusive(async () => {
+    if (passphrase && passphrase.length < MIN_PASSPHRASE_LENGTH) {
+      throw badRequest(`Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`);
+    }
+
+    const databaseFile = await withTempFile(async (filePath) => {
+      await database.snapshotTo(filePath);
+      return fs.readFileSync(filePath).toString('base64');
+    });
+
+    const createdAt = new Date();
+    const contents = {
+      format: FORMAT,
+      version: VERSION,
+      createdAt: createdAt.toISOString(),
+      hostname: os.hostname(),
+      routers: await snapshotRouters(!!passphrase),
+      database: databaseFile
+    };
+
+    const compressed = zlib.gzipSync(JSON.stringify(contents));
+    return {
+      fileName: `wgm-backup-${fileTimestamp(createdAt)}.wgmbackup`,
+      createdAt: contents.createdAt,
+      encrypted: !!passphrase,
+      data: passphrase ? encryptArchive(compressed, passphrase) : compressed
+    };
+  });
+
+  // What a restore would do: per router, how many snapshot peers exist on the router now
+  const planRestore = async (contents, storedKeys) => {
+    const plan = [];
+    for (const snapshot of contents.routers || []) {
+      const router = routers.get(snapshot.id);
+      const entry = { id: snapshot.id, name: snapshot.name, configured: !!router, peers: [], error: snapshot.error || null };
+      plan.push(entry);
+      if (!router || !snapshot.peers) continue;
+
+      let currentPeers;
+      try {
+        currentPeers = await router.mikrotik.getPeers();
+      } catch (error) {
+        entry.error = `Router not reachable: ${error.message}`;
+        continue;
+      }
+      const byPublicKey = new Map(currentPeers.map(peer => [peer['public-key'], peer]));
+
+      entry.peers = snapshot.peers.map(peer => {
+        const current = byPublicKey.get(peer['public-key']);
+        // Rows from before multi-router support (router_id NULL) belong to the default router
+        const stored = storedKeys.find(row => (row.router_id ?? routers.defaultId) === snapshot.id && row.mikrotik_id === peer['.id']);
+        return {
+          snapshot: peer,
+          name: peer.comment || 'Unnamed',
+          oldId: peer['.id'],
+          currentId: current ? String(current['.id']) : null,
+          status: !current ? 'missing' : String(current['.id']) === peer['.id'] ? 'present' : 'moved',
+          hasStoredKeys: !!stored,
+          presharedKey: stored?.preshared_key || peer['preshared-key'] || null
+        };
+      });
+    }
+    return plan;
+  };
+
+  const summarizePlan = (plan) => plan.map(({ peers, ...router }) => ({
+    ...router,
+    total: peers.length,
+    present: peers.filter(peer => peer.status === 'present').length,
+    moved: peers.filter(peer => peer.status === 'moved').length,
+    missing: peers.filter(peer => peer.status === 'missing').length,
+    missingPeers: peers.filter(peer => peer.status === 'missing').map(peer => ({ id: peer.oldId, name: peer.name }))
+  }));
+
+  // Contents of an archive without changing anything
+  const inspectArchive = (data, { passphrase = null } = {}) => exclusive(async () => {
+    const contents = parseArchive(data, passphrase);
+    return withTempFile(async (filePath) => {
+      fs.writeFileSync(filePath, Buffer.from(contents.database, 'base64'));
+      const storedKeys = await database.readPeerKeysFromFile(filePath);
+      return {
+        createdAt: contents.createdAt,
+        hostname: contents.hostname || null,
+        encrypted: contents.encrypted,
+        storedPeers: storedKeys.length,
+        unreadableKeys: storedKeys.filter(row => row.decrypt_error).length,
+        routers: summarizePlan(await planRestore(contents, storedKeys))
+      };
+    });
+  });
+
+  // Replace the database with the archive's and, with recreatePeers, add peers that are missing
+  // on the router with their original public key, preshared key and addresses. Peers found under
+  // another .id (or re-created) have their stored keys and settings moved to the new ID.
+  // Unfinished journal operations are settled first where the router allows it; whatever is still
+  // pending belongs to the replaced database and is discarded.
+  const restoreArchive = (data, { passphrase = null, recreatePeers = false } = {}) => exclusive(async () => {
+    const contents = parseArchive(data, passphrase);
+
+    return withTempFile(async (filePath) => {
+      fs.writeFileSync(filePath, Buffer.from(contents.database, 'base64'));
+      const storedKeys = await database.readPeerKeysFromFile(filePath);
+      const unreadable = storedKeys.filter(row => row.decrypt_error).length;
+      if (unreadable > 0) {
+        throw badRequest(`${unreadable} stored key(s) in the backup cannot be decrypted; restore needs the master key of the installation that made it`);
+      }
+
+      for (const router of routers.list()) {
+        await journal.recover(router).catch(error => {
+          console.warn(`Restore: journal of router "${router.id}" could not be recovered:`, error.message);
+        });
+      }
+
+      const plan = await planRestore(contents, storedKeys);
+      const discarded = await database.restoreFromFile(filePath);
+      console.log(`♻️ Database restored from backup of ${contents.createdAt}`);
+      if (discarded > 0) {
+        console.warn(`♻️ Discarded ${discarded} unfinished journal operation(s) of the replaced database`);
+      }
+      // Backups made before multi-router support have peer keys without a router
+      await database.claimLegacyPeerKeys(routers.defaultId);
+
+      const results = [];
+      for (const router of plan) {
+        const moves = [];
+        for (const peer of router.peers) {
+          const result = { router: router.id, id: peer.oldId, name: peer.name, status: peer.status, newId: peer.currentId };
+          results.push(result);
+
+          if (peer.status === 'missing' && recreatePeers) {
+            try {
+              const peerData = pick(peer.snapshot, CREATE_FIELDS);
+              if (peer.presharedKey) peerData['preshared-key'] = peer.presharedKey;
+              const target = routers.get(router.id);
+              // Stored keys are moved below, after every peer of the router exists
+              result.newId = String(await journal.run(target, 'recreate', {
+                mikrotikId: peer.oldId,
+                peerName: peer.name,
+                payload: { publicKey: peerData['public-key'], movesKeys: false }
+              }, () => target.mikrotik.createPeer(peerData)));
+              result.status = 'created';
+              console.log(`♻️ Re-created peer "${peer.name}" on router "${router.id}" as ${result.newId}`);
+            } catch (error) {
+              result.status = 'failed';
+              result.error = error.message;
+              continue;
+            }
+          }
+          if (result.newId && result.newId !== peer.oldId) {
+            moves.push(result);
+          }
+        }
+
+        // Through temporary IDs, since a new ID may still be the old ID of another peer
+        for (const move of moves) {
+          await database.movePeerKeys(router.id, move.id, `restore:${move.id}`);
+        }
+        for (const move of moves) {
+          try {
+            await database.movePeerKeys(router.id, `restore:${move.id}`, move.newId);
+          } catch (error) {
+            move.status = 'failed';
+            move.error = `Stored keys could not be moved to ${move.newId}: ${error.message}`;
+          }
+        }
+      }
+
+      return {
+        createdAt: contents.createdAt,
+        restoredPeers: storedKeys.length,
+        created: results.filter(result => result.status === 'created').length,
+        moved: results.filter(result => result.status === 'moved').length,
+        missing: results.filter(result => result.status === 'missing').length,
+        failed: results.filter(result => result.status === 'failed').length,
+        discardedOperations: discarded,
+        routers: plan.map(router => ({ id: router.id, name: router.name, configured: router.configured, error: router.error })),
+        results
+      };
+    });
+  });
+
+  // Stored (scheduled) backups, newest first
+  const listBackups = () => {
+    if (!fs.existsSync(directory)) return [];
+    return fs.readdirSync(directory)
+      .filter(name => FILE_PATTERN.test(name))
+      .map(name => {
+        const stat = fs.statSync(path.join(directory, name));
+        return { name, size: stat.size, createdAt: stat.mtime.toISOString() };
+      })
+      .sort((a, b) => b.name.localeCompare(a.name));
+  };
+
+  // Path of a stored backup, or null; names are checked so no other file can be read
+  const backupPath = (name) => {
+    const filePath = path.join(directory, String(name));
+    return FILE_PATTERN.test(String(name)) && fs.existsSync(filePath) ? filePath : null;
+  };
+
+  const runOnce = async () => {
+    try {
+      const archive = await createArchive({ passphrase: process.env.WGM_BACKUP_PASSPHRASE || null });
+      fs.mkdirSync(directory, { recursive: true });
+      fs.writeFileSync(path.join(directory, archive.fileName), archive.data, { mode: 0o600 });
+      console.log(`💾 Backup written: ${archive.fileName}${archive.encrypted ? ' (encrypted)' : ''}`);
+
+      listBackups().slice(keep).forEach(old => {
+        fs.unlinkSync(path.join(directory, old.name));
+        console.log(`💾 Removed old backup ${old.name}`);
+      });
+    } catch (error) {
+      console.error('❌ Scheduled backup failed:', error.message);
+    }
+  };
+
+  const start = () => {
+    if (timer || !intervalHours) return;
+    console.log(`💾 Backup every ${intervalHours} hour(s) to ${directory}, keeping ${keep}` +
+      (process.env.WGM_BACKUP_PASSPHRASE ? ' (encrypted)' : ''));
+    timer = setInterval(runOnce, intervalHours * 60 * 60 * 1000);
+  };
+
+  const stop = () => {
+    if (timer) {
+      clearInterval(timer);
+      timer = null;
+    }
+  };
+
+  return {
+    createArchive,
+    inspectArchive,
+    restoreArchive,
+    listBackups,
+    backupPath,
+    settings: { intervalHours, keep, directory, encrypted: !!process.env.WGM_BACKUP_PASSPHRASE },
+    start,
+    stop,
+    runOnce
+  };
+};
+
+module.exports = { createBackupService };
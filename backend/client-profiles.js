@@ -0,0 +1,131 @@
+// Named client config profiles and the one place client .conf files are generated.
+//
+// config.json:
+//   "clientProfiles": {
+//     "full-tunnel": { "name": "Full tunnel", "dns": ["1.1.1.1"], "allowedIPs": ["0.0.0.0/0", "::/0"] },
+//     "office": { "name": "Split tunnel to office", "allowedIPs": ["10.0.0.0/8"], "mtu": 1380 },
+//     "kiosk": { "name": "Kiosk", "persistentKeepalive": 0, "endpoint": "vpn2.example.com:51820" }
+//   }
+// Fields left out fall back to the interface settings (dns, dnsV6, allowedIPs, allowedIPsV6,
+// serverEndpoint). The built-in "default" profile uses only those. persistentKeepalive 0 leaves
+// the line out.
+const { getPools, parseAddressList } = require('./ipam');
+
+const DEFAULT_PROFILE_ID = 'default';
+const DEFAULT_DNS = '172.16.0.1';
+const DEFAULT_KEEPALIVE = 25;
+
+// "a, b" or ["a", "b"] → ["a", "b"]
+const toList = (value) => (Array.isArray(value) ? value : String(value || '').split(','))
+  .map(entry => String(entry).trim())
+  .filter(Boolean);
+
+const normalizeProfile = (id, profile) => {
+  if (!/^[A-Za-z0-9_-]+$/.test(id)) {
+    throw new Error(`Invalid client profile id "${id}" (use letters, digits, "-" and "_")`);
+  }
+  const mtu = profile.mtu === undefined || profile.mtu === null ? null : Number(profile.mtu);
+  if (mtu !== null && (!Number.isInteger(mtu) || mtu < 576 || mtu > 9000)) {
+    throw new Error(`Client profile "${id}": mtu must be a whole number between 576 and 9000`);
+  }
+  const keepalive = profile.persistentKeepalive === undefined || profile.persistentKeepalive === null
+    ? null
+    : Number(profile.persistentKeepalive);
+  if (keepalive !== null && (!Number.isInteger(keepalive) || keepalive < 0 || keepalive > 65535)) {
+    throw new Error(`Client profile "${id}": persistentKeepalive must be between 0 and 65535 seconds`);
+  }
+
+  return {
+    id,
+    name: profile.name || id,
+    description: profile.description || '',
+    dns: profile.dns === undefined ? null : toList(profile.dns),
+    allowedIPs: profile.allowedIPs === undefined ? null : toList(profile.allowedIPs),
+    mtu,
+    persistentKeepalive: keepalive,
+    endpoint: profile.endpoint || null
+  };
+};
+
+// Validates "clientProfiles" once at startup; get() returns null for unknown ids
+const createProfileRegistry = (definitions = {}) => {
+  const profiles = new Map([[DEFAULT_PROFILE_ID, normalizeProfile(DEFAULT_PROFILE_ID, {
+    name: 'Default',
+    description: 'Interface settings from config.json',
+    ...(definitions[DEFAULT_PROFILE_ID] || {})
+  })]]);
+
+  Object.entries(definitions).forEach(([id, profile]) => {
+    if (id !== DEFAULT_PROFILE_ID) {
+      profiles.set(id, normalizeProfile(id, profile || {}));
+    }
+  });
+
+  return {
+    get: (id) => profiles.get(id || DEFAULT_PROFILE_ID) || null,
+    list: () => Array.from(profiles.values())
+  };
+};
+
+// Use the interface listen-port when the endpoint has no port of its own
+const resolveEndpoint = (endpoint, listenPort) => {
+  if (!endpoint || !listenPort) return endpoint;
+  // "host:port" and "[v6]:port" already carry a port
+  if (/^\[.*\]:\d+$/.test(endpoint) || /^[^:]+:\d+$/.test(endpoint)) return endpoint;
+  // A bare IPv6 address needs brackets before the port
+  return endpoint.includes(':') ? `[${endpoint.replace(/^\[|\]$/g, '')}]:${listenPort}` : `${endpoint}:${listenPort}`;
+};
+
+// DNS and AllowedIPs from the interface settings. IPv6 entries ("dnsV6", "allowedIPsV6",
+// defaulting to ::/0 for full tunnels or the IPv6 pools) are only added for dual-stack peers.
+const getInterfaceDefaults = (settings, hasIPv6) => {
+  const dns = [settings.dns || DEFAULT_DNS];
+  const allowedIPs = [settings.allowedIPs || '0.0.0.0/0'];
+  if (hasIPv6) {
+    if (settings.dnsV6) dns.push(settings.dnsV6);
+    allowedIPs.push(settings.allowedIPsV6 || (settings.allowedIPs
+      ? getPools(settings).filter(pool => pool.family === 6).map(pool => pool.cidr).join(', ')
+      : '::/0'));
+  }
+  return { dns: dns.flatMap(toList), allowedIPs: allowedIPs.flatMap(toList) };
+};
+
+// Client .conf text. settings are the interface settings (see getInterfaceSettings in server.js),
+// server is the router's /interface/wireguard entry.
+const generateClientConfig = ({ privateKey, presharedKey, addresses, settings, server, profile }) => {
+  const addressList = toList(addresses);
+  const hasIPv6 = parseAddressList(addressList.join(',')).some(range => range.family === 6);
+  const defaults = getInterfaceDefaults(settings, hasIPv6);
+
+  const endpoint = resolveEndpoint(profile.endpoint || settings.serverEndpoint, server['listen-port']);
+  if (!endpoint) {
+    throw new Error(`No serverEndpoint configured for interface ${settings.interfaceName} in config.json`);
+  }
+
+  const dns = profile.dns || defaults.dns;
+  const keepalive = profile.persistentKeepalive === null ? DEFAULT_KEEPALIVE : profile.persistentKeepalive;
+
+  const lines = [
+    '[Interface]',
+    `PrivateKey = ${privateKey}`,
+    `Address = ${addressList.join(', ')}`,
+    ...(dns.length ? [`DNS = ${dns.join(', ')}`] : []),
+    ...(profile.mtu ? [`MTU = ${profile.mtu}`] : []),
+    '',
+    '[Peer]',
+    `PublicKey = ${server['public-key']}`,
+    `Endpoint = ${endpoint}`,
+    `AllowedIPs = ${(profile.allowedIPs || defaults.allowedIPs).join(', ')}`,
+    ...(presharedKey ? [`PresharedKey = ${presharedKey}`] : []),
+    ...(keepalive ? [`PersistentKeepalive = ${keepalive}`] : [])
+  ];
+
+  return lines.join('\n');
+};
+
+module.exports = {
+  DEFAULT_PROFILE_ID,
+  createProfileRegistry,
+  generateClientConfig,
+  resolveEndpoint
+};
@@ -0,0 +1,65 @@
+// Minimal RFC 4180 CSV reading and writing (quoted fields, "" escapes, CRLF or LF line ends)
+
+// Returns an array of rows, each an array of field strings. Blank lines are skipped.
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const input = String(text || '').replace(/^\uFEFF/, '');
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0].trim() !== '') rows.push(row);
+    row = [];
+    field = '';
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error('Unterminated quoted field in CSV');
+  }
+  if (field !== '' || row.length > 0) endRow();
+
+  return rows;
+};
+
+// Spreadsheets run cells starting with these as formulas (CSV injection); a leading ' keeps them text
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+const escapeField = (value) => {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (FORMULA_START.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// rows: array of arrays; returns CSV text with CRLF line ends
+const toCsv = (rows) => rows.map(row => row.map(escapeField).join(',')).join('\r\n') + '\r\n';
+
+module.exports = { parseCsv, toCsv };
@@ -1,73 +1,502 @@
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
+const { createKeyCipher, loadMasterKey } = require('./key-encryption');
+
+// Peer IDs (*1, *2, ...) are only unique per router, hence the composite key
+const PEER_KEYS_TABLE_SQL = (tableName) => `
+  CREATE TABLE IF NOT EXISTS ${tableName} (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    router_id TEXT,
+    mikrotik_id TEXT NOT NULL,
+    name TEXT NOT NULL,
+    private_key TEXT NOT NULL,
+    preshared_key TEXT,
+    allowed_ips TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    psk_updated_at DATETIME,
+    pending_preshared_key TEXT,
+    psk_staged_at DATETIME,
+    psk_deadline DATETIME,
+    previous_private_key TEXT,
+    previous_preshared_key TEXT,
+    previous_psk_updated_at DATETIME,
+    keys_rotated_at DATETIME,
+    UNIQUE (router_id, mikrotik_id)
+  )
+`;
+
+// peer_keys columns holding keys encrypted with the master key
+const ENCRYPTED_KEY_COLUMNS = ['private_key', 'preshared_key', 'pending_preshared_key', 'previous_private_key', 'previous_preshared_key'];
+
+// Tables replaced by a restore (everything except sessions)
+const RESTORED_TABLES = ['peer_keys', 'users', 'audit_log', 'peer_policies', 'peer_usage', 'peer_counters', 'peer_stats'];
 
 class Database {
   constructor() {
-    const dbPath = path.join(__dirname, 'wireguard_peers.db');
-    this.db = new sqlite3.Database(dbPath, (err) => {
-      if (err) {
-        console.error('❌ Failed to connect to SQLite database:', err.message);
-      } else {
-        console.log('✅ Connected to SQLite database:', dbPath);
-        this.initializeTables();
+    // WGM_DB_PATH points elsewhere, e.g. the tests' temporary database
+    const dbPath = process.env.WGM_DB_PATH || path.join(__dirname, 'wireguard_peers.db');
+    // private_key and preshared_key are encrypted with the master key before they are stored
+    this.cipher = createKeyCipher(loadMasterKey().key);
+    // Resolves once all tables exist and migrations have run
+    this.ready = new Promise((resolve) => {
+      this.db = new sqlite3.Database(dbPath, (err) => {
+        if (err) {
+          console.error('❌ Failed to connect to SQLite database:', err.message);
+          resolve(false);
+        } else {
+          console.log('✅ Connected to SQLite database:', dbPath);
+          this.initializeTables()
+            .then(() => resolve(true))
+            .catch((initError) => {
+              console.error('❌ Failed to initialize database:', initError.message);
+              resolve(false);
+            });
+        }
+      });
+    });
+  }
+
+  async initializeTables() {
+    const tables = [
+      {
+        name: 'peer_keys',
+        label: 'Peer keys',
+        sql: PEER_KEYS_TABLE_SQL('peer_keys')
+      },
+      {
+        name: 'users',
+        label: 'Users',
+        sql: `
+          CREATE TABLE IF NOT EXISTS users (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            username TEXT UNIQUE NOT NULL,
+            password_hash TEXT NOT NULL,
+            role TEXT NOT NULL DEFAULT 'viewer',
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            last_login_at DATETIME
+          )
+        `
+      },
+      {
+        name: 'sessions',
+        label: 'Sessions',
+        sql: `
+          CREATE TABLE IF NOT EXISTS sessions (
+            token_hash TEXT PRIMARY KEY,
+            user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+            ip_address TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            expires_at DATETIME NOT NULL
+          )
+        `
+      },
+      {
+        name: 'audit_log',
+        label: 'Audit log',
+        sql: `
+          CREATE TABLE IF NOT EXISTS audit_log (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            user_id INTEGER,
+            username TEXT,
+            ip_address TEXT,
+            action TEXT NOT NULL,
+            router_id TEXT,
+            peer_id TEXT,
+            peer_name TEXT,
+            before_json TEXT,
+            after_json TEXT
+          )
+        `
+      },
+      {
+        name: 'peer_policies',
+        label: 'Peer policies',
+        sql: `
+          CREATE TABLE IF NOT EXISTS peer_policies (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            router_id TEXT NOT NULL,
+            mikrotik_id TEXT NOT NULL,
+            expires_at DATETIME,
+            expired_at DATETIME,
+            quota_bytes INTEGER,
+            quota_period TEXT,
+            quota_exceeded_at DATETIME,
+            tags TEXT,
+            client_profile TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE (router_id, mikrotik_id)
+          )
+        `
+      },
+      {
+        name: 'peer_usage',
+        label: 'Peer usage',
+        sql: `
+          CREATE TABLE IF NOT EXISTS peer_usage (
+            router_id TEXT NOT NULL,
+            mikrotik_id TEXT NOT NULL,
+            day DATE NOT NULL,
+            rx_bytes INTEGER NOT NULL DEFAULT 0,
+            tx_bytes INTEGER NOT NULL DEFAULT 0,
+            PRIMARY KEY (router_id, mikrotik_id, day)
+          )
+        `
+      },
+      {
+        name: 'peer_counters',
+        label: 'Peer counters',
+        sql: `
+          CREATE TABLE IF NOT EXISTS peer_counters (
+            router_id TEXT NOT NULL,
+            mikrotik_id TEXT NOT NULL,
+            last_rx INTEGER NOT NULL,
+            last_tx INTEGER NOT NULL,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (router_id, mikrotik_id)
+          )
+        `
+      },
+      {
+        name: 'peer_stats',
+        label: 'Peer statistics',
+        sql: `
+          CREATE TABLE IF NOT EXISTS peer_stats (
+            router_id TEXT NOT NULL,
+            mikrotik_id TEXT NOT NULL,
+            resolution TEXT NOT NULL,
+            bucket_start DATETIME NOT NULL,
+            rx_bytes INTEGER NOT NULL DEFAULT 0,
+            tx_bytes INTEGER NOT NULL DEFAULT 0,
+            samples INTEGER NOT NULL DEFAULT 0,
+            online_samples INTEGER NOT NULL DEFAULT 0,
+            handshake_age INTEGER,
+            PRIMARY KEY (router_id, mikrotik_id, resolution, bucket_start)
+          )
+        `
+      },
+      {
+        // Write-ahead journal of router + database changes (see operation-journal.js). payload is
+        // encrypted JSON (it may hold keys) and is cleared once the operation is settled.
+        name: 'operation_journal',
+        label: 'Operation journal',
+        sql: `
+          CREATE TABLE IF NOT EXISTS operation_journal (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            router_id TEXT NOT NULL,
+            operation TEXT NOT NULL,
+            mikrotik_id TEXT,
+            peer_name TEXT,
+            payload TEXT,
+            status TEXT NOT NULL DEFAULT 'pending',
+            attempts INTEGER NOT NULL DEFAULT 0,
+            last_error TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+          )
+        `
+      }
+    ];
+
+    for (const table of tables) {
+      try {
+        await this.runStatement(table.sql);
+        console.log(`✅ ${table.label} table is ready`);
+      } catch (err) {
+        console.error(`❌ Failed to create ${table.name} table:`, err.message);
+        throw err;
       }
+    }
+
+    if (!(await this.hasColumn('peer_keys', 'router_id'))) {
+      await this.migratePeerKeysToRouterScope();
+    }
+    await this.addColumnIfMissing('audit_log', 'router_id', 'TEXT');
+    await this.addColumnIfMissing('peer_policies', 'quota_bytes', 'INTEGER');
+    await this.addColumnIfMissing('peer_policies', 'quota_period', 'TEXT');
+    await this.addColumnIfMissing('peer_policies', 'quota_exceeded_at', 'DATETIME');
+    await this.addColumnIfMissing('peer_policies', 'tags', 'TEXT');
+    await this.addColumnIfMissing('peer_policies', 'client_profile', 'TEXT');
+    // Age of the preshared key; before this column existed the last key change is the best guess
+    if (await this.addColumnIfMissing('peer_keys', 'psk_updated_at', 'DATETIME')) {
+      await this.runStatement("UPDATE peer_keys SET psk_updated_at = updated_at WHERE preshared_key IS NOT NULL AND preshared_key != ''");
+    }
+    // Staged preshared key rotation (see psk-rotation.js)
+    await this.addColumnIfMissing('peer_keys', 'pending_preshared_key', 'TEXT');
+    await this.addColumnIfMissing('peer_keys', 'psk_staged_at', 'DATETIME');
+    await this.addColumnIfMissing('peer_keys', 'psk_deadline', 'DATETIME');
+    // Keys replaced by an in-place rotation, kept until it is confirmed (see key-rotation.js)
+    await this.addColumnIfMissing('peer_keys', 'previous_private_key', 'TEXT');
+    await this.addColumnIfMissing('peer_keys', 'previous_preshared_key', 'TEXT');
+    await this.addColumnIfMissing('peer_keys', 'previous_psk_updated_at', 'DATETIME');
+    await this.addColumnIfMissing('peer_keys', 'keys_rotated_at', 'DATETIME');
+    // WireGuard interface, needed to re-create a peer from its stored keys (NULL for older rows)
+    await this.addColumnIfMissing('peer_keys', 'interface', 'TEXT');
+
+    await this.encryptPlaintextKeys();
+  }
+
+  // Rebuild peer_keys with a router_id column, SQLite cannot change the old UNIQUE(mikrotik_id) in place.
+  // Existing rows keep router_id NULL until claimLegacyPeerKeys assigns them to the default router.
+  async migratePeerKeysToRouterScope() {
+    console.log('🔧 Migrating peer_keys to per-router storage...');
+    await this.runStatement('BEGIN IMMEDIATE');
+    try {
+      await this.runStatement(PEER_KEYS_TABLE_SQL('peer_keys_new'));
+      await this.runStatement(`
+        INSERT INTO peer_keys_new
+        (id, router_id, mikrotik_id, name, private_key, preshared_key, allowed_ips, created_at, updated_at)
+        SELECT id, NULL, mikrotik_id, name, private_key, preshared_key, allowed_ips, created_at, updated_at
+        FROM peer_keys
+      `);
+      await this.runStatement('DROP TABLE peer_keys');
+      await this.runStatement('ALTER TABLE peer_keys_new RENAME TO peer_keys');
+      await this.runStatement('COMMIT');
+      console.log('✅ peer_keys migrated');
+    } catch (error) {
+      await this.runStatement('ROLLBACK');
+      throw error;
+    }
+  }
+
+  // Assign rows stored before multi-router support to the given router
+  async claimLegacyPeerKeys(router_id) {
+    const claimed = await this.runStatement('UPDATE peer_keys SET router_id = ? WHERE router_id IS NULL', [router_id]);
+    await this.runStatement('UPDATE audit_log SET router_id = ? WHERE router_id IS NULL AND peer_id IS NOT NULL', [router_id]);
+    if (claimed > 0) {
+      console.log(`✅ Assigned ${claimed} existing peer key(s) to router "${router_id}"`);
+    }
+    return claimed;
+  }
+
+  // One-shot migration: encrypt keys stored before encryption at rest was introduced
+  async encryptPlaintextKeys() {
+    const rows = await new Promise((resolve, reject) => {
+      const selectSQL = `
+        SELECT id, ${ENCRYPTED_KEY_COLUMNS.join(', ')} FROM peer_keys
+        WHERE private_key NOT LIKE 'enc:%'
+           OR (preshared_key IS NOT NULL AND preshared_key != '' AND preshared_key NOT LIKE 'enc:%')
+      `;
+      this.db.all(selectSQL, [], (err, result) => err ? reject(err) : resolve(result));
     });
+
+    if (rows.length === 0) return 0;
+
+    console.log(`🔐 Encrypting keys of ${rows.length} peer(s) stored in plain text...`);
+    await this.reencryptRows(rows, (value) => this.cipher.encrypt(value));
+    console.log(`✅ Encrypted keys of ${rows.length} peer(s)`);
+    return rows.length;
   }
 
-  initializeTables() {
-    const createTableSQL = `
-      CREATE TABLE IF NOT EXISTS peer_keys (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        mikrotik_id TEXT UNIQUE NOT NULL,
-        name TEXT NOT NULL,
-        private_key TEXT NOT NULL,
-        preshared_key TEXT,
-        allowed_ips TEXT NOT NULL,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      )
-    `;
+  // Re-encrypt every stored key with a new master key (see rotate-master-key.js)
+  async rotateMasterKey(newCipher) {
+    const rows = await new Promise((resolve, reject) => {
+      this.db.all(`SELECT id, ${ENCRYPTED_KEY_COLUMNS.join(', ')} FROM peer_keys`, [], (err, result) => err ? reject(err) : resolve(result));
+    });
 
-    this.db.run(createTableSQL, (err) => {
-      if (err) {
-        console.error('❌ Failed to create peer_keys table:', err.message);
-      } else {
-        console.log('✅ Peer keys table is ready');
+    // Decrypt everything up front so a wrong current key fails before anything is written
+    const reencrypt = (value) => newCipher.encrypt(this.cipher.decrypt(value));
+    rows.forEach(row => this.decryptKeyColumns(row));
+    const journalRows = await this.allRows('SELECT id, payload FROM operation_journal WHERE payload IS NOT NULL');
+    journalRows.forEach(row => this.cipher.decrypt(row.payload));
+
+    // Keys and journal payloads change together; the new key is used only once both are committed
+    await this.reencryptRows(rows, reencrypt, journalRows);
+    this.cipher = newCipher;
+
+    console.log(`✅ Re-encrypted keys of ${rows.length} peer(s) with the new master key`);
+    return rows.length;
+  }
+
+  // Rewrite the encrypted key columns of the given rows, and the payloads of the given journal
+  // rows, inside a single transaction
+  async reencryptRows(rows, transform, journalRows = []) {
+    const assignments = ENCRYPTED_KEY_COLUMNS.map(column => `${column} = ?`).join(', ');
+    await this.runStatement('BEGIN IMMEDIATE');
+    try {
+      for (const row of rows) {
+        await this.runStatement(
+          `UPDATE peer_keys SET ${assignments} WHERE id = ?`,
+          [...ENCRYPTED_KEY_COLUMNS.map(column => transform(row[column])), row.id]
+        );
+      }
+      for (const row of journalRows) {
+        await this.runStatement('UPDATE operation_journal SET payload = ? WHERE id = ?', [transform(row.payload), row.id]);
+      }
+      await this.runStatement('COMMIT');
+    } catch (error) {
+      await this.runStatement('ROLLBACK');
+      throw error;
+    }
+  }
+
+  // Consistent copy of the whole database into a new file (for backups)
+  snapshotTo(filePath) {
+    return this.runStatement('VACUUM INTO ?', [filePath]);
+  }
+
+  // Run fn while another database file is attached as "backup"
+  async withAttachedFile(filePath, fn) {
+    await this.runStatement('ATTACH DATABASE ? AS backup', [filePath]);
+    try {
+      return await fn();
+    } finally {
+      await this.runStatement('DETACH DATABASE backup');
+    }
+  }
+
+  allRows(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+    });
+  }
+
+  // Copy of a peer_keys row with all key columns decrypted; throws on a wrong master key
+  decryptKeyColumns(row) {
+    const decrypted = { ...row };
+    ENCRYPTED_KEY_COLUMNS.forEach(column => {
+      decrypted[column] = this.cipher.decrypt(row[column]);
+    });
+    return decrypted;
+  }
+
+  // Peer keys stored in a backup file, decrypted with the current master key. Rows that
+  // cannot be decrypted (backup made with another master key) get decrypt_error instead.
+  readPeerKeysFromFile(filePath) {
+    return this.withAttachedFile(filePath, async () => {
+      const rows = await this.allRows('SELECT * FROM backup.peer_keys');
+      return rows.map(row => {
+        try {
+          return this.decryptKeyColumns(row);
+        } catch (decryptError) {
+          return { ...row, private_key: null, preshared_key: null, decrypt_error: decryptError.message };
+        }
+      });
+    });
+  }
+
+  // Replace the contents of all tables with those of a backup file. Columns are matched by name so
+  // backups from older versions restore into the migrated schema. Sessions are not restored and
+  // all current ones are dropped, since user IDs may now belong to other accounts. Journal entries
+  // still pending are discarded: they describe peer_keys rows that no longer exist. Returns the
+  // number of discarded entries.
+  restoreFromFile(filePath) {
+    return this.withAttachedFile(filePath, async () => {
+      const backupTables = (await this.allRows("SELECT name FROM backup.sqlite_master WHERE type = 'table'"))
+        .map(row => row.name);
+
+      await this.runStatement('BEGIN IMMEDIATE');
+      try {
+        for (const table of RESTORED_TABLES) {
+          await this.runStatement(`DELETE FROM main.${table}`);
+          if (!backupTables.includes(table)) continue;
+
+          const backupColumns = (await this.allRows(`PRAGMA backup.table_info(${table})`)).map(column => column.name);
+          const columns = (await this.allRows(`PRAGMA main.table_info(${table})`))
+            .map(column => column.name)
+            .filter(column => backupColumns.includes(column))
+            .join(', ');
+          await this.runStatement(`INSERT INTO main.${table} (${columns}) SELECT ${columns} FROM backup.${table}`);
+        }
+        await this.runStatement('DELETE FROM main.sessions');
+        const discarded = await this.runStatement(
+          "UPDATE main.operation_journal SET status = 'discarded', payload = NULL, updated_at = CURRENT_TIMESTAMP WHERE status = 'pending'"
+        );
+        await this.runStatement('COMMIT');
+        return discarded;
+      } catch (error) {
+        await this.runStatement('ROLLBACK');
+        throw error;
       }
     });
   }
 
+  // Run a statement without result rows (used for schema setup)
+  runStatement(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.run(sql, params, function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes);
+        }
+      });
+    });
+  }
+
+  hasColumn(table, column) {
+    return new Promise((resolve, reject) => {
+      this.db.all(`PRAGMA table_info(${table})`, [], (err, columns) => {
+        if (err) return reject(err);
+        resolve(columns.some(c => c.name === column));
+      });
+    });
+  }
+
+  // Add a column to an existing table, returns true if it had to be added
+  addColumnIfMissing(table, column, definition) {
+    return new Promise((resolve, reject) => {
+      this.db.all(`PRAGMA table_info(${table})`, [], (err, columns) => {
+        if (err) return reject(err);
+        if (columns.some(c => c.name === column)) return resolve(false);
+
+        this.db.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`, (alterErr) => {
+          if (alterErr) {
+            console.error(`❌ Failed to add ${table}.${column}:`, alterErr.message);
+            reject(alterErr);
+          } else {
+            console.log(`✅ Added column ${table}.${column}`);
+            resolve(true);
+          }
+        });
+      });
+    });
+  }
+
   // Save or update peer keys
   savePeerKeys(peerData) {
     return new Promise((resolve, reject) => {
-      const { mikrotik_id, name, private_key, preshared_key, allowed_ips } = peerData;
+      const { router_id, mikrotik_id, name, private_key, preshared_key, allowed_ips, interface: interfaceName = null } = peerData;
       
       const insertSQL = `
         INSERT OR REPLACE INTO peer_keys 
-        (mikrotik_id, name, private_key, preshared_key, allowed_ips, updated_at)
-        VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+        (router_id, mikrotik_id, name, private_key, preshared_key, allowed_ips, interface, updated_at, psk_updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP, CASE WHEN ? THEN CURRENT_TIMESTAMP END)
       `;
 
-      this.db.run(insertSQL, [mikrotik_id, name, private_key, preshared_key, allowed_ips], function(err) {
+      const params = [
+        router_id,
+        mikrotik_id,
+        name,
+        this.cipher.encrypt(private_key),
+        this.cipher.encrypt(preshared_key),
+        allowed_ips,
+        interfaceName,
+        preshared_key ? 1 : 0
+      ];
+
+      this.db.run(insertSQL, params, function(err) {
         if (err) {
           console.error('Failed to save peer keys:', err.message);
           reject(err);
         } else {
-          console.log(`✅ Saved keys for peer: ${name} (ID: ${mikrotik_id})`);
+          console.log(`✅ Saved keys for peer: ${name} (router: ${router_id}, ID: ${mikrotik_id})`);
           resolve(this.lastID);
         }
       });
     });
   }
 
-// Get peer keys by MikroTik ID
-getPeerKeys(mikrotik_id) {
+// Get peer keys by router and MikroTik ID
+getPeerKeys(router_id, mikrotik_id) {
   return new Promise((resolve, reject) => {
-    const selectSQL = 'SELECT * FROM peer_keys WHERE mikrotik_id = ?';
+    const selectSQL = 'SELECT * FROM peer_keys WHERE router_id = ? AND mikrotik_id = ?';
     
-    console.log(`Looking for peer keys with MikroTik ID: ${mikrotik_id}`);
+    console.log(`Looking for peer keys with MikroTik ID: ${mikrotik_id} on router: ${router_id}`);
     
-    this.db.get(selectSQL, [mikrotik_id], (err, row) => {
+    this.db.get(selectSQL, [router_id, mikrotik_id], (err, row) => {
       if (err) {
         console.error('Failed to get peer keys:', err.message);
         reject(err);
@@ -75,6 +504,12 @@ getPeerKeys(mikrotik_id) {
         console.log('Database query result:', row ? 'Found' : 'Not found');
         if (row) {
           console.log(`Peer keys found - Name: "${row.name}", ID: ${row.mikrotik_id}`);
+          try {
+            return resolve(this.decryptKeyColumns(row));
+          } catch (decryptError) {
+            console.error(`Failed to decrypt keys for peer ID ${mikrotik_id}:`, decryptError.message);
+            return reject(decryptError);
+          }
         }
         resolve(row);
       }
@@ -84,16 +519,18 @@ getPeerKeys(mikrotik_id) {
 
 
 
-  // Update preshared key only
-  updatePresharedKey(mikrotik_id, preshared_key) {
+  // Update preshared key only; a staged rotation is superseded by it
+  updatePresharedKey(router_id, mikrotik_id, preshared_key) {
     return new Promise((resolve, reject) => {
       const updateSQL = `
         UPDATE peer_keys 
-        SET preshared_key = ?, updated_at = CURRENT_TIMESTAMP 
-        WHERE mikrotik_id = ?
+        SET preshared_key = ?, updated_at = CURRENT_TIMESTAMP,
+            psk_updated_at = CASE WHEN ? IS NULL THEN NULL ELSE CURRENT_TIMESTAMP END,
+            pending_preshared_key = NULL, psk_staged_at = NULL, psk_deadline = NULL
+        WHERE router_id = ? AND mikrotik_id = ?
       `;
 
-      this.db.run(updateSQL, [preshared_key, mikrotik_id], function(err) {
+      this.db.run(updateSQL, [this.cipher.encrypt(preshared_key), preshared_key || null, router_id, mikrotik_id], function(err) {
         if (err) {
           console.error('Failed to update preshared key:', err.message);
           reject(err);
@@ -106,28 +543,233 @@ getPeerKeys(mikrotik_id) {
   }
 
   // Delete peer keys
-  deletePeerKeys(mikrotik_id) {
+  deletePeerKeys(router_id, mikrotik_id) {
     return new Promise((resolve, reject) => {
-      const deleteSQL = 'DELETE FROM peer_keys WHERE mikrotik_id = ?';
+      const deleteSQL = 'DELETE FROM peer_keys WHERE router_id = ? AND mikrotik_id = ?';
       
-      this.db.run(deleteSQL, [mikrotik_id], function(err) {
+      this.db.run(deleteSQL, [router_id, mikrotik_id], function(err) {
         if (err) {
           console.error('Failed to delete peer keys:', err.message);
           reject(err);
         } else {
-          console.log(`✅ Deleted keys for peer ID: ${mikrotik_id}`);
+          console.log(`✅ Deleted keys for peer ID: ${mikrotik_id} (router: ${router_id})`);
           resolve(this.changes);
         }
       });
     });
   }
 
-  // Get all peers with key availability status
-  getAllPeersKeyStatus() {
+  // Stored name and allowed IPs of a peer, e.g. after a rename on the router
+  updatePeerKeyDetails(router_id, mikrotik_id, { name, allowed_ips }) {
+    return this.runStatement(
+      `UPDATE peer_keys
+       SET name = COALESCE(?, name), allowed_ips = COALESCE(?, allowed_ips), updated_at = CURRENT_TIMESTAMP
+       WHERE router_id = ? AND mikrotik_id = ?`,
+      [name ?? null, allowed_ips ?? null, router_id, mikrotik_id]
+    );
+  }
+
+  // Keys of a peer that the router now lists under a different MikroTik ID
+  async movePeerKeys(router_id, from_mikrotik_id, to_mikrotik_id) {
+    await this.runStatement(
+      'UPDATE peer_keys SET mikrotik_id = ?, updated_at = CURRENT_TIMESTAMP WHERE router_id = ? AND mikrotik_id = ?',
+      [to_mikrotik_id, router_id, from_mikrotik_id]
+    );
+    await this.movePeerData(router_id, from_mikrotik_id, to_mikrotik_id);
+  }
+
+  // All stored keys of a router, decrypted. Rows that cannot be decrypted get private_key null
+  // and decrypt_error instead of failing the whole list.
+  getAllPeerKeys(router_id) {
+    return new Promise((resolve, reject) => {
+      this.db.all('SELECT * FROM peer_keys WHERE router_id = ?', [router_id], (err, rows) => {
+        if (err) {
+          console.error('Failed to get peer keys:', err.message);
+          return reject(err);
+        }
+        resolve(rows.map(row => {
+          try {
+            return this.decryptKeyColumns(row);
+          } catch (decryptError) {
+            return { ...row, private_key: null, preshared_key: null, decrypt_error: decryptError.message };
+          }
+        }));
+      });
+    });
+  }
+
+  // New preshared key that is handed to the client first and pushed to the router at the deadline
+  stagePresharedKey(router_id, mikrotik_id, preshared_key, deadline) {
+    return this.runStatement(
+      `UPDATE peer_keys
+       SET pending_preshared_key = ?, psk_staged_at = CURRENT_TIMESTAMP, psk_deadline = ?
+       WHERE router_id = ? AND mikrotik_id = ?`,
+      [this.cipher.encrypt(preshared_key), deadline, router_id, mikrotik_id]
+    );
+  }
+
+  clearPendingPresharedKey(router_id, mikrotik_id) {
+    return this.runStatement(
+      `UPDATE peer_keys SET pending_preshared_key = NULL, psk_staged_at = NULL, psk_deadline = NULL
+       WHERE router_id = ? AND mikrotik_id = ?`,
+      [router_id, mikrotik_id]
+    );
+  }
+
+  // Peers with a preshared key older than maxAgeDays and no rotation staged yet
+  getPeersDueForPskRotation(router_id, maxAgeDays) {
+    return this.allRows(
+      `SELECT mikrotik_id, name, psk_updated_at FROM peer_keys
+       WHERE router_id = ? AND preshared_key IS NOT NULL AND preshared_key != ''
+         AND pending_preshared_key IS NULL
+         AND COALESCE(psk_updated_at, created_at) <= datetime('now', ?)`,
+      [router_id, `-${Number(maxAgeDays)} days`]
+    );
+  }
+
+  // Staged rotations whose deadline has passed
+  getPskRotationsPastDeadline(router_id) {
+    return this.allRows(
+      `SELECT mikrotik_id, name, psk_staged_at, psk_deadline FROM peer_keys
+       WHERE router_id = ? AND pending_preshared_key IS NOT NULL AND psk_deadline <= datetime('now')`,
+      [router_id]
+    );
+  }
+
+  // Switch a peer to new keys in one statement, keeping the current ones as previous_* until
+  // the rotation is confirmed or reverted. A new preshared key supersedes a staged PSK rotation.
+  rotatePeerKeys(router_id, mikrotik_id, { private_key, preshared_key, rotatePresharedKey }) {
+    const rotatePsk = rotatePresharedKey ? 1 : 0;
+    return this.runStatement(
+      `UPDATE peer_keys
+       SET previous_private_key = private_key, previous_preshared_key = preshared_key,
+           previous_psk_updated_at = psk_updated_at,
+           private_key = ?, preshared_key = ?,
+           psk_updated_at = CASE WHEN ? THEN CURRENT_TIMESTAMP ELSE psk_updated_at END,
+           pending_preshared_key = CASE WHEN ? THEN NULL ELSE pending_preshared_key END,
+           psk_staged_at = CASE WHEN ? THEN NULL ELSE psk_staged_at END,
+           psk_deadline = CASE WHEN ? THEN NULL ELSE psk_deadline END,
+           keys_rotated_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+       WHERE router_id = ? AND mikrotik_id = ?`,
+      [
+        this.cipher.encrypt(private_key), this.cipher.encrypt(preshared_key),
+        rotatePsk, rotatePsk, rotatePsk, rotatePsk,
+        router_id, mikrotik_id
+      ]
+    );
+  }
+
+  clearPreviousPeerKeys(router_id, mikrotik_id) {
+    return this.runStatement(
+      `UPDATE peer_keys
+       SET previous_private_key = NULL, previous_preshared_key = NULL, previous_psk_updated_at = NULL, keys_rotated_at = NULL
+       WHERE router_id = ? AND mikrotik_id = ?`,
+      [router_id, mikrotik_id]
+    );
+  }
+
+  // Back to the keys that were current before rotatePeerKeys
+  revertPeerKeys(router_id, mikrotik_id) {
+    return this.runStatement(
+      `UPDATE peer_keys
+       SET private_key = previous_private_key, preshared_key = previous_preshared_key,
+           psk_updated_at = previous_psk_updated_at,
+           previous_private_key = NULL, previous_preshared_key = NULL, previous_psk_updated_at = NULL,
+           keys_rotated_at = NULL, updated_at = CURRENT_TIMESTAMP
+       WHERE router_id = ? AND mikrotik_id = ? AND previous_private_key IS NOT NULL`,
+      [router_id, mikrotik_id]
+    );
+  }
+
+  // Record an operation before its first step runs; returns the journal entry ID
+  createJournalEntry(router_id, operation, { mikrotik_id = null, peer_name = null, payload = {} }) {
     return new Promise((resolve, reject) => {
-      const selectSQL = 'SELECT mikrotik_id, name, allowed_ips, created_at FROM peer_keys';
+      this.db.run(
+        `INSERT INTO operation_journal (router_id, operation, mikrotik_id, peer_name, payload)
+         VALUES (?, ?, ?, ?, ?)`,
+        [router_id, operation, mikrotik_id, peer_name, this.cipher.encrypt(JSON.stringify(payload))],
+        function(err) {
+          if (err) {
+            console.error('Failed to write operation journal:', err.message);
+            reject(err);
+          } else {
+            resolve(this.lastID);
+          }
+        }
+      );
+    });
+  }
+
+  // Progress of a running operation, e.g. the MikroTik ID the router handed out
+  updateJournalEntry(id, { mikrotik_id, payload }) {
+    return this.runStatement(
+      `UPDATE operation_journal
+       SET mikrotik_id = COALESCE(?, mikrotik_id), payload = ?, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [mikrotik_id ?? null, this.cipher.encrypt(JSON.stringify(payload)), id]
+    );
+  }
+
+  // status: done, replayed or rolled_back
+  settleJournalEntry(id, status) {
+    return this.runStatement(
+      `UPDATE operation_journal SET status = ?, payload = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [status, id]
+    );
+  }
+
+  recordJournalFailure(id, message) {
+    return this.runStatement(
+      `UPDATE operation_journal SET attempts = attempts + 1, last_error = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [message, id]
+    );
+  }
+
+  // Unfinished operations of a router, oldest first, with the payload decrypted
+  async getPendingJournalEntries(router_id) {
+    const rows = await this.allRows(
+      "SELECT * FROM operation_journal WHERE router_id = ? AND status = 'pending' ORDER BY id",
+      [router_id]
+    );
+    return rows.map(row => ({ ...row, payload: JSON.parse(this.cipher.decrypt(row.payload) || '{}') }));
+  }
+
+  // Latest journal entries without their payload, for the UI
+  getJournalEntries({ router_id = null, status = null, limit = 100 } = {}) {
+    const conditions = [];
+    const params = [];
+    if (router_id) {
+      conditions.push('router_id = ?');
+      params.push(router_id);
+    }
+    if (status) {
+      conditions.push('status = ?');
+      params.push(status);
+    }
+    const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+    return this.allRows(
+      `SELECT id, router_id, operation, mikrotik_id, peer_name, status, attempts, last_error, created_at, updated_at
+       FROM operation_journal ${where} ORDER BY id DESC LIMIT ?`,
+      [...params, limit]
+    );
+  }
+
+  // Settled entries older than the given number of days
+  pruneJournal(days) {
+    return this.runStatement(
+      "DELETE FROM operation_journal WHERE status != 'pending' AND updated_at < datetime('now', ?)",
+      [`-${Number(days)} days`]
+    );
+  }
+
+  // Get all peers with key availability status (optionally for a single router)
+  getAllPeersKeyStatus(router_id = null) {
+    return new Promise((resolve, reject) => {
+      const selectSQL = router_id
+        ? 'SELECT router_id, mikrotik_id, name, allowed_ips, created_at, psk_updated_at, psk_staged_at, psk_deadline, keys_rotated_at FROM peer_keys WHERE router_id = ?'
+        : 'SELECT router_id, mikrotik_id, name, allowed_ips, created_at, psk_updated_at, psk_staged_at, psk_deadline, keys_rotated_at FROM peer_keys';
       
-      this.db.all(selectSQL, [], (err, rows) => {
+      this.db.all(selectSQL, router_id ? [router_id] : [], (err, rows) => {
         if (err) {
           console.error('Failed to get peers key status:', err.message);
           reject(err);
@@ -138,6 +780,656 @@ getPeerKeys(mikrotik_id) {
     });
   }
 
+  // Per-peer settings that live only in the manager (expiry, quota, tags), keyed like peer_keys
+  getPeerPolicies(router_id) {
+    return new Promise((resolve, reject) => {
+      this.db.all('SELECT * FROM peer_policies WHERE router_id = ?', [router_id], (err, rows) => {
+        if (err) {
+          console.error('Failed to get peer policies:', err.message);
+          reject(err);
+        } else {
+          resolve(rows);
+        }
+      });
+    });
+  }
+
+  getPeerPolicy(router_id, mikrotik_id) {
+    return new Promise((resolve, reject) => {
+      const selectSQL = 'SELECT * FROM peer_policies WHERE router_id = ? AND mikrotik_id = ?';
+
+      this.db.get(selectSQL, [router_id, mikrotik_id], (err, row) => {
+        if (err) {
+          console.error('Failed to get peer policy:', err.message);
+          reject(err);
+        } else {
+          resolve(row || null);
+        }
+      });
+    });
+  }
+
+  // Set or clear (null) the expiry of a peer; a new date also clears the "expired" mark
+  setPeerExpiry(router_id, mikrotik_id, expires_at) {
+    return this.runStatement(`
+      INSERT INTO peer_policies (router_id, mikrotik_id, expires_at)
+      VALUES (?, ?, ?)
+      ON CONFLICT (router_id, mikrotik_id) DO UPDATE SET
+        expires_at = excluded.expires_at,
+        expired_at = NULL,
+        updated_at = CURRENT_TIMESTAMP
+    `, [router_id, mikrotik_id, expires_at]);
+  }
+
+  // Set or clear (null) the data quota of a peer
+  setPeerQuota(router_id, mikrotik_id, quota_bytes, quota_period) {
+    return this.runStatement(`
+      INSERT INTO peer_policies (router_id, mikrotik_id, quota_bytes, quota_period)
+      VALUES (?, ?, ?, ?)
+      ON CONFLICT (router_id, mikrotik_id) DO UPDATE SET
+        quota_bytes = excluded.quota_bytes,
+        quota_period = excluded.quota_period,
+        updated_at = CURRENT_TIMESTAMP
+    `, [router_id, mikrotik_id, quota_bytes, quota_period]);
+  }
+
+  // Set or clear (null) the comma separated tags of a peer
+  setPeerTags(router_id, mikrotik_id, tags) {
+    return this.runStatement(`
+      INSERT INTO peer_policies (router_id, mikrotik_id, tags)
+      VALUES (?, ?, ?)
+      ON CONFLICT (router_id, mikrotik_id) DO UPDATE SET
+        tags = excluded.tags,
+        updated_at = CURRENT_TIMESTAMP
+    `, [router_id, mikrotik_id, tags]);
+  }
+
+  // Set or clear (null = default profile) the client config profile of a peer
+  setPeerClientProfile(router_id, mikrotik_id, client_profile) {
+    return this.runStatement(`
+      INSERT INTO peer_policies (router_id, mikrotik_id, client_profile)
+      VALUES (?, ?, ?)
+      ON CONFLICT (router_id, mikrotik_id) DO UPDATE SET
+        client_profile = excluded.client_profile,
+        updated_at = CURRENT_TIMESTAMP
+    `, [router_id, mikrotik_id, client_profile]);
+  }
+
+  // Remember whether the quota poller disabled the peer, so it knows to re-enable it later
+  setQuotaExceeded(router_id, mikrotik_id, exceeded) {
+    return this.runStatement(`
+      UPDATE peer_policies
+      SET quota_exceeded_at = ${exceeded ? 'CURRENT_TIMESTAMP' : 'NULL'}, updated_at = CURRENT_TIMESTAMP
+      WHERE router_id = ? AND mikrotik_id = ?
+    `, [router_id, mikrotik_id]);
+  }
+
+  markPeerExpired(router_id, mikrotik_id) {
+    return this.runStatement(`
+      UPDATE peer_policies
+      SET expired_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      WHERE router_id = ? AND mikrotik_id = ?
+    `, [router_id, mikrotik_id]);
+  }
+
+  // Peers whose expiry has passed but that have not been disabled for it yet
+  getDuePeerExpiries(router_id) {
+    return new Promise((resolve, reject) => {
+      const selectSQL = `
+        SELECT * FROM peer_policies
+        WHERE router_id = ? AND expired_at IS NULL
+          AND expires_at IS NOT NULL AND expires_at <= CURRENT_TIMESTAMP
+      `;
+
+      this.db.all(selectSQL, [router_id], (err, rows) => {
+        if (err) {
+          console.error('Failed to get due peer expiries:', err.message);
+          reject(err);
+        } else {
+          resolve(rows);
+        }
+      });
+    });
+  }
+
+  // Expired peers whose expiry date is more than graceDays in the past
+  getPeerExpiriesPastGrace(router_id, graceDays) {
+    return new Promise((resolve, reject) => {
+      const selectSQL = `
+        SELECT * FROM peer_policies
+        WHERE router_id = ? AND expired_at IS NOT NULL
+          AND expires_at <= datetime('now', ?)
+      `;
+
+      this.db.all(selectSQL, [router_id, `-${Number(graceDays)} days`], (err, rows) => {
+        if (err) {
+          console.error('Failed to get expired peers past grace period:', err.message);
+          reject(err);
+        } else {
+          resolve(rows);
+        }
+      });
+    });
+  }
+
+  // Keep policy, usage and statistics when a peer is re-created under a new MikroTik ID (key regeneration).
+  // Router counters start from zero for the new peer, so the old baseline is dropped.
+  async movePeerData(router_id, from_mikrotik_id, to_mikrotik_id) {
+    await this.runStatement(
+      'UPDATE peer_policies SET mikrotik_id = ?, updated_at = CURRENT_TIMESTAMP WHERE router_id = ? AND mikrotik_id = ?',
+      [to_mikrotik_id, router_id, from_mikrotik_id]
+    );
+    for (const table of ['peer_usage', 'peer_stats']) {
+      await this.runStatement(
+        `UPDATE ${table} SET mikrotik_id = ? WHERE router_id = ? AND mikrotik_id = ?`,
+        [to_mikrotik_id, router_id, from_mikrotik_id]
+      );
+    }
+    await this.runStatement(
+      'DELETE FROM peer_counters WHERE router_id = ? AND mikrotik_id = ?',
+      [router_id, from_mikrotik_id]
+    );
+  }
+
+  // Remove policy, usage, counters and statistics of a deleted peer
+  async deletePeerData(router_id, mikrotik_id) {
+    for (const table of ['peer_policies', 'peer_usage', 'peer_counters', 'peer_stats']) {
+      await this.runStatement(
+        `DELETE FROM ${table} WHERE router_id = ? AND mikrotik_id = ?`,
+        [router_id, mikrotik_id]
+      );
+    }
+  }
+
+  // Last rx/tx counters seen on the router, keyed by MikroTik ID
+  getPeerCounters(router_id) {
+    return new Promise((resolve, reject) => {
+      this.db.all('SELECT * FROM peer_counters WHERE router_id = ?', [router_id], (err, rows) => {
+        if (err) {
+          console.error('Failed to get peer counters:', err.message);
+          reject(err);
+        } else {
+          resolve(rows);
+        }
+      });
+    });
+  }
+
+  // Add traffic to the peer's daily usage and store the router counters it was derived from
+  async recordPeerTraffic(router_id, mikrotik_id, day, { rxBytes, txBytes, counterRx, counterTx }) {
+    if (rxBytes > 0 || txBytes > 0) {
+      await this.runStatement(`
+        INSERT INTO peer_usage (router_id, mikrotik_id, day, rx_bytes, tx_bytes)
+        VALUES (?, ?, ?, ?, ?)
+        ON CONFLICT (router_id, mikrotik_id, day) DO UPDATE SET
+          rx_bytes = rx_bytes + excluded.rx_bytes,
+          tx_bytes = tx_bytes + excluded.tx_bytes
+      `, [router_id, mikrotik_id, day, rxBytes, txBytes]);
+    }
+
+    await this.runStatement(`
+      INSERT INTO peer_counters (router_id, mikrotik_id, last_rx, last_tx, updated_at)
+      VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)
+      ON CONFLICT (router_id, mikrotik_id) DO UPDATE SET
+        last_rx = excluded.last_rx,
+        last_tx = excluded.last_tx,
+        updated_at = CURRENT_TIMESTAMP
+    `, [router_id, mikrotik_id, counterRx, counterTx]);
+  }
+
+  // Traffic per peer since the start of the month and within the rolling window (dates are "YYYY-MM-DD")
+  getQuotaUsage(router_id, monthStart, rollingStart) {
+    return new Promise((resolve, reject) => {
+      const selectSQL = `
+        SELECT mikrotik_id,
+          SUM(CASE WHEN day >= ? THEN rx_bytes + tx_bytes ELSE 0 END) AS month_bytes,
+          SUM(CASE WHEN day >= ? THEN rx_bytes + tx_bytes ELSE 0 END) AS rolling_bytes
+        FROM peer_usage
+        WHERE router_id = ? AND day >= ?
+        GROUP BY mikrotik_id
+      `;
+      const since = monthStart < rollingStart ? monthStart : rollingStart;
+
+      this.db.all(selectSQL, [monthStart, rollingStart, router_id, since], (err, rows) => {
+        if (err) {
+          console.error('Failed to get quota usage:', err.message);
+          reject(err);
+        } else {
+          resolve(rows);
+        }
+      });
+    });
+  }
+
+  // Store one collector sample per peer ("raw" resolution), in a single transaction
+  async addPeerStatsSamples(router_id, bucket_start, samples) {
+    await this.runStatement('BEGIN IMMEDIATE');
+    try {
+      for (const sample of samples) {
+        await this.runStatement(`
+          INSERT OR REPLACE INTO peer_stats
+          (router_id, mikrotik_id, resolution, bucket_start, rx_bytes, tx_bytes, samples, online_samples, handshake_age)
+          VALUES (?, ?, 'raw', ?, ?, ?, 1, ?, ?)
+        `, [
+          router_id,
+          sample.mikrotik_id,
+          bucket_start,
+          sample.rx_bytes,
+          sample.tx_bytes,
+          sample.online ? 1 : 0,
+          sample.handshake_age
+        ]);
+      }
+      await this.runStatement('COMMIT');
+    } catch (error) {
+      await this.runStatement('ROLLBACK');
+      throw error;
+    }
+  }
+
+  // Fold rows of one resolution older than `before` into buckets of a coarser one.
+  // bucketFormat is a strftime() format that truncates bucket_start to the target bucket.
+  async downsamplePeerStats(fromResolution, toResolution, bucketFormat, before) {
+    await this.runStatement('BEGIN IMMEDIATE');
+    try {
+      await this.runStatement(`
+        INSERT INTO peer_stats
+        (router_id, mikrotik_id, resolution, bucket_start, rx_bytes, tx_bytes, samples, online_samples, handshake_age)
+        SELECT router_id, mikrotik_id, ?, strftime(?, bucket_start),
+          SUM(rx_bytes), SUM(tx_bytes), SUM(samples), SUM(online_samples), MIN(handshake_age)
+        FROM peer_stats
+        WHERE resolution = ? AND bucket_start < ?
+        GROUP BY router_id, mikrotik_id, strftime(?, bucket_start)
+        ON CONFLICT (router_id, mikrotik_id, resolution, bucket_start) DO UPDATE SET
+          rx_bytes = rx_bytes + excluded.rx_bytes,
+          tx_bytes = tx_bytes + excluded.tx_bytes,
+          samples = samples + excluded.samples,
+          online_samples = online_samples + excluded.online_samples,
+          handshake_age = MIN(COALESCE(handshake_age, excluded.handshake_age), COALESCE(excluded.handshake_age, handshake_age))
+      `, [toResolution, bucketFormat, fromResolution, before, bucketFormat]);
+      const moved = await this.runStatement(
+        'DELETE FROM peer_stats WHERE resolution = ? AND bucket_start < ?',
+        [fromResolution, before]
+      );
+      await this.runStatement('COMMIT');
+      return moved;
+    } catch (error) {
+      await this.runStatement('ROLLBACK');
+      throw error;
+    }
+  }
+
+  deletePeerStatsBefore(resolution, before) {
+    return this.runStatement(
+      'DELETE FROM peer_stats WHERE resolution = ? AND bucket_start < ?',
+      [resolution, before]
+    );
+  }
+
+  // All stored buckets (any resolution) of a peer between from and to, oldest first
+  getPeerStats(router_id, mikrotik_id, from, to) {
+    return new Promise((resolve, reject) => {
+      const selectSQL = `
+        SELECT resolution, bucket_start, rx_bytes, tx_bytes, samples, online_samples, handshake_age
+        FROM peer_stats
+        WHERE router_id = ? AND mikrotik_id = ? AND bucket_start >= ? AND bucket_start < ?
+        ORDER BY bucket_start
+      `;
+
+      this.db.all(selectSQL, [router_id, mikrotik_id, from, to], (err, rows) => {
+        if (err) {
+          console.error('Failed to get peer statistics:', err.message);
+          reject(err);
+        } else {
+          resolve(rows);
+        }
+      });
+    });
+  }
+
+  // Append an entry to the audit log
+  addAuditEntry(entry) {
+    return new Promise((resolve, reject) => {
+      const { user_id, username, ip_address, action, router_id, peer_id, peer_name, before, after } = entry;
+
+      const insertSQL = `
+        INSERT INTO audit_log
+        (user_id, username, ip_address, action, router_id, peer_id, peer_name, before_json, after_json)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `;
+
+      const params = [
+        user_id,
+        username,
+        ip_address,
+        action,
+        router_id,
+        peer_id,
+        peer_name,
+        before ? JSON.stringify(before) : null,
+        after ? JSON.stringify(after) : null
+      ];
+
+      this.db.run(insertSQL, params, function(err) {
+        if (err) {
+          console.error('Failed to write audit entry:', err.message);
+          reject(err);
+        } else {
+          resolve(this.lastID);
+        }
+      });
+    });
+  }
+
+  // Query the audit log, newest first
+  getAuditEntries(filters = {}) {
+    return new Promise((resolve, reject) => {
+      const conditions = [];
+      const params = [];
+
+      if (filters.username) {
+        conditions.push('username = ?');
+        params.push(filters.username);
+      }
+      if (filters.action) {
+        conditions.push('action = ?');
+        params.push(filters.action);
+      }
+      if (filters.routerId) {
+        conditions.push('router_id = ?');
+        params.push(filters.routerId);
+      }
+      if (filters.peerId) {
+        conditions.push('peer_id = ?');
+        params.push(filters.peerId);
+      }
+      if (filters.peerName) {
+        conditions.push('peer_name LIKE ?');
+        params.push(`%${filters.peerName}%`);
+      }
+      if (filters.from) {
+        conditions.push('created_at >= ?');
+        params.push(filters.from);
+      }
+      if (filters.to) {
+        conditions.push('created_at <= ?');
+        params.push(filters.to);
+      }
+
+      const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+      const limit = Math.min(Number(filters.limit) || 100, 1000);
+      const offset = Number(filters.offset) || 0;
+
+      this.db.get(`SELECT COUNT(*) AS total FROM audit_log ${where}`, params, (countErr, countRow) => {
+        if (countErr) {
+          console.error('Failed to count audit entries:', countErr.message);
+          return reject(countErr);
+        }
+
+        const selectSQL = `SELECT * FROM audit_log ${where} ORDER BY id DESC LIMIT ? OFFSET ?`;
+
+        this.db.all(selectSQL, [...params, limit, offset], (err, rows) => {
+          if (err) {
+            console.error('Failed to get audit entries:', err.message);
+            reject(err);
+          } else {
+            resolve({
+              total: countRow.total,
+              entries: rows.map(({ before_json, after_json, ...row }) => ({
+                ...row,
+                before: before_json ? JSON.parse(before_json) : null,
+                after: after_json ? JSON.parse(after_json) : null
+              }))
+            });
+          }
+        });
+      });
+    });
+  }
+
+  // Count registered users (used to bootstrap the first admin)
+  countUsers() {
+    return new Promise((resolve, reject) => {
+      this.db.get('SELECT COUNT(*) AS count FROM users', [], (err, row) => {
+        if (err) {
+          console.error('Failed to count users:', err.message);
+          reject(err);
+        } else {
+          resolve(row.count);
+        }
+      });
+    });
+  }
+
+  // Create a new user with an already hashed password
+  createUser(userData) {
+    return new Promise((resolve, reject) => {
+      const { username, password_hash, role } = userData;
+
+      const insertSQL = 'INSERT INTO users (username, password_hash, role) VALUES (?, ?, ?)';
+
+      this.db.run(insertSQL, [username, password_hash, role], function(err) {
+        if (err) {
+          console.error('Failed to create user:', err.message);
+          reject(err);
+        } else {
+          console.log(`✅ Created user: ${username} (${role})`);
+          resolve(this.lastID);
+        }
+      });
+    });
+  }
+
+  // Get user by username (includes password hash)
+  getUserByUsername(username) {
+    return new Promise((resolve, reject) => {
+      this.db.get('SELECT * FROM users WHERE username = ?', [username], (err, row) => {
+        if (err) {
+          console.error('Failed to get user:', err.message);
+          reject(err);
+        } else {
+          resolve(row);
+        }
+      });
+    });
+  }
+
+  // List all users (without password hashes)
+  getAllUsers() {
+    return new Promise((resolve, reject) => {
+      const selectSQL = 'SELECT id, username, role, created_at, last_login_at FROM users ORDER BY username';
+
+      this.db.all(selectSQL, [], (err, rows) => {
+        if (err) {
+          console.error('Failed to get users:', err.message);
+          reject(err);
+        } else {
+          resolve(rows);
+        }
+      });
+    });
+  }
+
+  // Count users with a given role (used to protect the last admin)
+  countUsersByRole(role) {
+    return new Promise((resolve, reject) => {
+      this.db.get('SELECT COUNT(*) AS count FROM users WHERE role = ?', [role], (err, row) => {
+        if (err) {
+          console.error('Failed to count users:', err.message);
+          reject(err);
+        } else {
+          resolve(row.count);
+        }
+      });
+    });
+  }
+
+  // Get user by ID (without password hash)
+  getUserById(userId) {
+    return new Promise((resolve, reject) => {
+      const selectSQL = 'SELECT id, username, role, created_at, last_login_at FROM users WHERE id = ?';
+
+      this.db.get(selectSQL, [userId], (err, row) => {
+        if (err) {
+          console.error('Failed to get user:', err.message);
+          reject(err);
+        } else {
+          resolve(row);
+        }
+      });
+    });
+  }
+
+  // Update role and/or password hash of a user
+  updateUser(userId, userData) {
+    return new Promise((resolve, reject) => {
+      const fields = [];
+      const params = [];
+
+      if (userData.role) {
+        fields.push('role = ?');
+        params.push(userData.role);
+      }
+      if (userData.password_hash) {
+        fields.push('password_hash = ?');
+        params.push(userData.password_hash);
+      }
+      if (fields.length === 0) return resolve(0);
+
+      const updateSQL = `UPDATE users SET ${fields.join(', ')} WHERE id = ?`;
+
+      this.db.run(updateSQL, [...params, userId], function(err) {
+        if (err) {
+          console.error('Failed to update user:', err.message);
+          reject(err);
+        } else {
+          console.log(`✅ Updated user ID: ${userId}`);
+          resolve(this.changes);
+        }
+      });
+    });
+  }
+
+  // Delete a user and all of their sessions
+  deleteUser(userId) {
+    return new Promise((resolve, reject) => {
+      this.db.serialize(() => {
+        this.db.run('DELETE FROM sessions WHERE user_id = ?', [userId]);
+        this.db.run('DELETE FROM users WHERE id = ?', [userId], function(err) {
+          if (err) {
+            console.error('Failed to delete user:', err.message);
+            reject(err);
+          } else {
+            console.log(`✅ Deleted user ID: ${userId}`);
+            resolve(this.changes);
+          }
+        });
+      });
+    });
+  }
+
+  // Drop all sessions of a user (after a password or role change)
+  deleteUserSessions(userId) {
+    return new Promise((resolve, reject) => {
+      this.db.run('DELETE FROM sessions WHERE user_id = ?', [userId], function(err) {
+        if (err) {
+          console.error('Failed to delete user sessions:', err.message);
+          reject(err);
+        } else {
+          resolve(this.changes);
+        }
+      });
+    });
+  }
+
+  // Record a successful login
+  touchUserLogin(userId) {
+    return new Promise((resolve, reject) => {
+      const updateSQL = 'UPDATE users SET last_login_at = CURRENT_TIMESTAMP WHERE id = ?';
+
+      this.db.run(updateSQL, [userId], function(err) {
+        if (err) {
+          console.error('Failed to update last login:', err.message);
+          reject(err);
+        } else {
+          resolve(this.changes);
+        }
+      });
+    });
+  }
+
+  // Store a new session (only the hash of the session token is kept)
+  createSession(sessionData) {
+    return new Promise((resolve, reject) => {
+      const { token_hash, user_id, ip_address, expires_at } = sessionData;
+
+      const insertSQL = `
+        INSERT INTO sessions (token_hash, user_id, ip_address, expires_at)
+        VALUES (?, ?, ?, ?)
+      `;
+
+      this.db.run(insertSQL, [token_hash, user_id, ip_address, expires_at], function(err) {
+        if (err) {
+          console.error('Failed to create session:', err.message);
+          reject(err);
+        } else {
+          resolve(this.changes);
+        }
+      });
+    });
+  }
+
+  // Get a non-expired session together with its user
+  getSession(token_hash) {
+    return new Promise((resolve, reject) => {
+      const selectSQL = `
+        SELECT s.token_hash, s.expires_at, u.id AS user_id, u.username, u.role
+        FROM sessions s
+        JOIN users u ON u.id = s.user_id
+        WHERE s.token_hash = ? AND s.expires_at > ?
+      `;
+
+      this.db.get(selectSQL, [token_hash, new Date().toISOString()], (err, row) => {
+        if (err) {
+          console.error('Failed to get session:', err.message);
+          reject(err);
+        } else {
+          resolve(row);
+        }
+      });
+    });
+  }
+
+  // Delete a single session (logout)
+  deleteSession(token_hash) {
+    return new Promise((resolve, reject) => {
+      this.db.run('DELETE FROM sessions WHERE token_hash = ?', [token_hash], function(err) {
+        if (err) {
+          console.error('Failed to delete session:', err.message);
+          reject(err);
+        } else {
+          resolve(this.changes);
+        }
+      });
+    });
+  }
+
+  // Remove expired sessions
+  deleteExpiredSessions() {
+    return new Promise((resolve, reject) => {
+      const deleteSQL = 'DELETE FROM sessions WHERE expires_at <= ?';
+
+      this.db.run(deleteSQL, [new Date().toISOString()], function(err) {
+        if (err) {
+          console.error('Failed to delete expired sessions:', err.message);
+          reject(err);
+        } else {
+          resolve(this.changes);
+        }
+      });
+    });
+  }
+
   // Close database connection
   close() {
     return new Promise((resolve, reject) => {
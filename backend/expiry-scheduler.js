@@ -0,0 +1,112 @@
+// Background job that disables peers on the router once their expiry date has passed.
+// With "expiry.deleteAfterDays" set in config.json, expired peers are deleted after that grace period.
+const DEFAULT_CHECK_INTERVAL_MINUTES = 5;
+
+const createExpiryScheduler = ({ routers, database, journal, recordAudit, options = {} }) => {
+  const intervalMs = (Number(options.checkIntervalMinutes) || DEFAULT_CHECK_INTERVAL_MINUTES) * 60 * 1000;
+  const deleteAfterDays = Number(options.deleteAfterDays) > 0 ? Number(options.deleteAfterDays) : null;
+  let timer = null;
+  let running = false;
+
+  const disableExpiredPeer = async (router, policy) => {
+    const id = policy.mikrotik_id;
+    const peer = (await router.mikrotik.getPeers()).find(candidate => String(candidate['.id']) === String(id));
+
+    // Removed from the router already: nothing to disable, but the expiry is settled
+    if (!peer) {
+      await database.markPeerExpired(router.id, id);
+      console.log(`⏰ Expired peer ${id} is no longer on router "${router.id}"; marked as expired`);
+      return;
+    }
+
+    if (peer.disabled !== 'true') {
+      await router.mikrotik.updatePeer(id, { disabled: 'true' });
+    }
+    await database.markPeerExpired(router.id, id);
+
+    await recordAudit(router, 'peer.expire', {
+      peerId: id,
+      peerName: peer.comment || 'Unnamed',
+      before: { enabled: peer.disabled !== 'true', expiresAt: policy.expires_at },
+      after: { enabled: false, expiresAt: policy.expires_at }
+    });
+    console.log(`⏰ Peer "${peer.comment || id}" on router "${router.id}" expired and was disabled`);
+  };
+
+  const deleteExpiredPeer = async (router, policy) => {
+    const id = policy.mikrotik_id;
+    // An unreachable router fails here and the peer is retried on the next check
+    const peer = (await router.mikrotik.getPeers()).find(candidate => String(candidate['.id']) === String(id));
+    const peerName = peer ? peer.comment || 'Unnamed' : (await database.getPeerKeys(router.id, id))?.name || null;
+
+    // Like a user's deletion: the stored keys and policy go only once the router peer is gone
+    await journal.run(router, 'delete', {
+      mikrotikId: id,
+      peerName,
+      payload: { publicKey: peer ? peer['public-key'] : null }
+    });
+
+    await recordAudit(router, 'peer.delete', {
+      peerId: id,
+      peerName,
+      before: { expiresAt: policy.expires_at, expiredAt: policy.expired_at }
+    });
+    console.log(`🗑️ Expired peer "${peerName || id}" on router "${router.id}" deleted after ${deleteAfterDays} day grace period`);
+  };
+
+  const checkRouter = async (router) => {
+    for (const policy of await database.getDuePeerExpiries(router.id)) {
+      try {
+        await disableExpiredPeer(router, policy);
+      } catch (error) {
+        console.error(`Failed to disable expired peer ${policy.mikrotik_id} on router "${router.id}":`, error.message);
+      }
+    }
+
+    if (deleteAfterDays) {
+      for (const policy of await database.getPeerExpiriesPastGrace(router.id, deleteAfterDays)) {
+        try {
+          await deleteExpiredPeer(router, policy);
+        } catch (error) {
+          console.error(`Failed to delete expired peer ${policy.mikrotik_id} on router "${router.id}":`, error.message);
+        }
+      }
+    }
+  };
+
+  // One pass over all routers; overlapping runs are skipped
+  const runOnce = async () => {
+    if (running) return;
+    running = true;
+    try {
+      for (const router of routers.list()) {
+        try {
+          await checkRouter(router);
+        } catch (error) {
+          console.error(`Expiry check failed for router "${router.id}":`, error.message);
+        }
+      }
+    } finally {
+      running = false;
+    }
+  };
+
+  const start = () => {
+    if (timer) return;
+    console.log(`⏰ Peer expiry check every ${intervalMs / 60000} minute(s)` +
+      (deleteAfterDays ? `, expired peers deleted after ${deleteAfterDays} day(s)` : ''));
+    runOnce();
+    timer = setInterval(runOnce, intervalMs);
+  };
+
+  const stop = () => {
+    if (timer) {
+      clearInterval(timer);
+      timer = null;
+    }
+  };
+
+  return { start, stop, runOnce };
+};
+
+module.exports = { createExpiryScheduler };
@@ -0,0 +1,251 @@
+// Address management for peer tunnel addresses. Addresses are handled as numeric ranges
+// ({ family: 4|6, start, end } with BigInts) so pools of any prefix length, comma separated
+// allowed-address lists and reserved ranges can all be compared the same way.
+//
+// Per interface in config.json (IPv4 and IPv6 pools may be mixed; with pools of both families
+// every new peer gets one address of each):
+//   "addressPools": [
+//     { "cidr": "172.16.0.0/24", "exclude": ["172.16.0.1", "172.16.0.200-172.16.0.254"] },
+//     { "cidr": "fd00:16::/64", "exclude": ["fd00:16::1"] }
+//   ]
+// Without addressPools the legacy "clientSubnet": "172.16.0" is read as 172.16.0.0/24 minus .1.
+
+const FAMILY_BITS = { 4: 32, 6: 128 };
+
+const parseIPv4 = (text) => {
+  const parts = String(text).trim().split('.');
+  if (parts.length !== 4 || parts.some(part => !/^\d{1,3}$/.test(part) || Number(part) > 255)) {
+    return null;
+  }
+  return parts.reduce((value, part) => (value << 8n) + BigInt(part), 0n);
+};
+
+const parseIPv6 = (text) => {
+  let address = String(text).trim().toLowerCase();
+  if (!address.includes(':') || address.includes('%')) return null;
+
+  // A trailing dotted IPv4 part (::ffff:1.2.3.4) counts as two groups
+  const dotted = address.match(/^(.*:)(\d+\.\d+\.\d+\.\d+)$/);
+  if (dotted) {
+    const ipv4 = parseIPv4(dotted[2]);
+    if (ipv4 === null) return null;
+    address = `${dotted[1]}${(ipv4 >> 16n).toString(16)}:${(ipv4 & 0xffffn).toString(16)}`;
+  }
+
+  const halves = address.split('::');
+  if (halves.length > 2) return null;
+  const head = halves[0] ? halves[0].split(':') : [];
+  const tail = halves.length === 2 && halves[1] ? halves[1].split(':') : [];
+  const missing = 8 - head.length - tail.length;
+  if (halves.length === 2 ? missing < 1 : missing !== 0) return null;
+
+  const groups = [...head, ...Array(halves.length === 2 ? missing : 0).fill('0'), ...tail];
+  if (groups.some(group => !/^[0-9a-f]{1,4}$/.test(group))) return null;
+  return groups.reduce((value, group) => (value << 16n) + BigInt(parseInt(group, 16)), 0n);
+};
+
+const parseAddress = (text) => {
+  const ipv4 = parseIPv4(text);
+  if (ipv4 !== null) return { family: 4, value: ipv4 };
+  const ipv6 = parseIPv6(text);
+  return ipv6 !== null ? { family: 6, value: ipv6 } : null;
+};
+
+const formatIPv4 = (value) => [24n, 16n, 8n, 0n].map(shift => String((value >> shift) & 255n)).join('.');
+
+// RFC 5952 text form: lowercase, longest run of zero groups shortened to "::"
+const formatIPv6 = (value) => {
+  const groups = [];
+  for (let shift = 112n; shift >= 0n; shift -= 16n) {
+    groups.push(Number((value >> shift) & 0xffffn));
+  }
+
+  let bestStart = -1;
+  let bestLength = 1;
+  for (let i = 0; i < 8; i++) {
+    let length = 0;
+    while (i + length < 8 && groups[i + length] === 0) length++;
+    if (length > bestLength) {
+      bestStart = i;
+      bestLength = length;
+    }
+  }
+
+  const hex = groups.map(group => group.toString(16));
+  if (bestStart < 0) return hex.join(':');
+  return `${hex.slice(0, bestStart).join(':')}::${hex.slice(bestStart + bestLength).join(':')}`;
+};
+
+const formatAddress = (family, value) => (family === 4 ? formatIPv4(value) : formatIPv6(value));
+
+// "10.0.0.0/8", "fd00::/64", "10.0.0.5" (single host) → { family, start, end, prefix }; null if invalid
+const parseCidr = (text) => {
+  const [addressText, prefixText, extra] = String(text).trim().split('/');
+  if (extra !== undefined) return null;
+  const address = parseAddress(addressText);
+  if (!address) return null;
+  const bits = FAMILY_BITS[address.family];
+  if (prefixText !== undefined && !/^\d{1,3}$/.test(prefixText)) return null;
+  const prefix = prefixText === undefined ? bits : Number(prefixText);
+  if (prefix > bits) return null;
+  const hostBits = BigInt(bits - prefix);
+  const start = (address.value >> hostBits) << hostBits;
+  return { family: address.family, start, end: start + (1n << hostBits) - 1n, prefix };
+};
+
+// One entry of an exclude list or allowed-address: CIDR, single address or "first-last"
+const parseRange = (text) => {
+  const trimmed = String(text).trim();
+  if (trimmed.includes('-')) {
+    const [from, to] = trimmed.split('-').map(parseAddress);
+    if (!from || !to || from.family !== to.family || from.value > to.value) return null;
+    return { family: from.family, start: from.value, end: to.value };
+  }
+  const cidr = parseCidr(trimmed);
+  return cidr && { family: cidr.family, start: cidr.start, end: cidr.end };
+};
+
+// RouterOS allowed-address "172.16.0.5/32,fd00:16::5/128,10.1.0.0/24"; invalid entries are ignored
+const parseAddressList = (text) => String(text || '')
+  .split(',')
+  .map(entry => entry.trim())
+  .filter(Boolean)
+  .map(parseRange)
+  .filter(Boolean);
+
+const compareRanges = (a, b) => (a.family !== b.family
+  ? a.family - b.family
+  : a.start < b.start ? -1 : a.start > b.start ? 1 : 0);
+
+// Sorted, non-overlapping copy of the ranges
+const mergeRanges = (ranges) => {
+  const merged = [];
+  ranges.slice().sort(compareRanges).forEach(range => {
+    const last = merged[merged.length - 1];
+    if (last && last.family === range.family && range.start <= last.end + 1n) {
+      if (range.end > last.end) last.end = range.end;
+    } else {
+      merged.push({ family: range.family, start: range.start, end: range.end });
+    }
+  });
+  return merged;
+};
+
+const overlaps = (a, b) => a.family === b.family && a.start <= b.end && b.start <= a.end;
+
+// Number of addresses of the range covered by the (merged) ranges
+const countCovered = (ranges, within) => ranges.reduce((count, range) => {
+  if (range.family !== within.family) return count;
+  const from = range.start > within.start ? range.start : within.start;
+  const to = range.end < within.end ? range.end : within.end;
+  return to >= from ? count + (to - from + 1n) : count;
+}, 0n);
+
+// Pools of an interface from its config.json settings. The network and broadcast addresses of
+// IPv4 pools larger than /31 and the subnet-router anycast address of IPv6 pools are never assigned.
+const getPools = (settings) => {
+  const definitions = Array.isArray(settings.addressPools) && settings.addressPools.length
+    ? settings.addressPools
+    : settings.clientSubnet
+      ? [{ cidr: `${settings.clientSubnet}.0/24`, exclude: [`${settings.clientSubnet}.1`] }]
+      : [{ cidr: '172.16.0.0/24', exclude: ['172.16.0.1'] }];
+
+  return definitions.map(definition => {
+    const cidrText = typeof definition === 'string' ? definition : definition.cidr;
+    const cidr = parseCidr(cidrText);
+    if (!cidr) {
+      throw new Error(`Invalid address pool "${cidrText}" for interface ${settings.interfaceName}`);
+    }
+    const exclude = (definition.exclude || []).map(entry => {
+      const range = parseRange(entry);
+      if (!range || range.family !== cidr.family) {
+        throw new Error(`Invalid excluded range "${entry}" in pool ${cidrText}`);
+      }
+      return range;
+    });
+    if (cidr.family === 4 && cidr.prefix < 31) {
+      exclude.push({ family: 4, start: cidr.start, end: cidr.start }, { family: 4, start: cidr.end, end: cidr.end });
+    }
+    if (cidr.family === 6 && cidr.prefix < 127) {
+      exclude.push({ family: 6, start: cidr.start, end: cidr.start });
+    }
+    return {
+      family: cidr.family,
+      cidr: `${formatAddress(cidr.family, cidr.start)}/${cidr.prefix}`,
+      start: cidr.start,
+      end: cidr.end,
+      exclude: mergeRanges(exclude)
+    };
+  });
+};
+
+// First free address of the pools, as a host route ("a.b.c.d/32" or "x::y/128"); null when full
+const allocateFromPools = (pools, usedRanges) => {
+  for (const pool of pools) {
+    const blocked = mergeRanges([...pool.exclude, ...usedRanges.filter(range => range.family === pool.family)]);
+    let candidate = pool.start;
+    for (const range of blocked) {
+      if (range.end < candidate) continue;
+      if (range.start > candidate) break;
+      candidate = range.end + 1n;
+    }
+    if (candidate <= pool.end) {
+      return `${formatAddress(pool.family, candidate)}/${FAMILY_BITS[pool.family]}`;
+    }
+  }
+  return null;
+};
+
+// One address per family that has pools (IPv4 first), skipping the given families. Returns the
+// list of host routes, or null when the pools of a family are exhausted.
+const allocateAddresses = (pools, usedRanges, skipFamilies = []) => {
+  const families = [4, 6].filter(family => !skipFamilies.includes(family) && pools.some(pool => pool.family === family));
+  const addresses = families.map(family => allocateFromPools(pools.filter(pool => pool.family === family), usedRanges));
+  return addresses.includes(null) ? null : addresses;
+};
+
+// Used/free summary of each pool for the IPAM view
+const describePools = (pools, peers, routerAddresses = []) => pools.map(pool => {
+  const poolRange = { family: pool.family, start: pool.start, end: pool.end };
+  const peersInPool = peers
+    .map(peer => ({ peer, ranges: parseAddressList(peer['allowed-address']).filter(range => overlaps(range, poolRange)) }))
+    .filter(({ ranges }) => ranges.length > 0);
+  const routerInPool = routerAddresses.filter(range => overlaps(range, poolRange));
+
+  const reserved = mergeRanges([...pool.exclude, ...routerInPool]);
+  const used = mergeRanges(peersInPool.flatMap(({ ranges }) => ranges));
+  const unavailable = mergeRanges([...reserved, ...used]);
+  const size = pool.end - pool.start + 1n;
+
+  return {
+    cidr: pool.cidr,
+    family: pool.family === 4 ? 'ipv4' : 'ipv6',
+    // IPv6 pools are far larger than Number can count exactly; the UI only shows proportions
+    size: Number(size),
+    reserved: Number(countCovered(reserved, poolRange)),
+    used: Number(countCovered(used, poolRange)),
+    free: Number(size - countCovered(unavailable, poolRange)),
+    nextFree: allocateFromPools([pool], [...routerInPool, ...used]),
+    excluded: pool.exclude.map(range => (range.start === range.end
+      ? formatAddress(range.family, range.start)
+      : `${formatAddress(range.family, range.start)}-${formatAddress(range.family, range.end)}`)),
+    assignments: peersInPool.map(({ peer }) => ({
+      id: String(peer['.id']),
+      name: peer.comment || 'Unnamed',
+      interface: peer.interface,
+      allowedAddress: peer['allowed-address'],
+      enabled: peer.disabled !== 'true'
+    }))
+  };
+});
+
+module.exports = {
+  allocateAddresses,
+  describePools,
+  formatAddress,
+  getPools,
+  mergeRanges,
+  overlaps,
+  parseAddressList,
+  parseCidr
+};
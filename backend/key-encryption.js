@@ -0,0 +1,92 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Stored values look like "enc:v1:<iv>:<auth tag>:<ciphertext>" (all base64)
+const PREFIX = 'enc:v1:';
+const ALGORITHM = 'aes-256-gcm';
+const DEFAULT_KEY_FILE = path.join(__dirname, 'master.key');
+
+const isEncrypted = (value) => typeof value === 'string' && value.startsWith(PREFIX);
+
+// Accepts a 32 byte key encoded as base64 (44 chars) or hex (64 chars)
+const parseMasterKey = (text) => {
+  const trimmed = String(text || '').trim();
+  const key = /^[0-9a-fA-F]{64}$/.test(trimmed)
+    ? Buffer.from(trimmed, 'hex')
+    : Buffer.from(trimmed, 'base64');
+
+  if (key.length !== 32) {
+    throw new Error('Master key must be 32 bytes, encoded as base64 or hex');
+  }
+  return key;
+};
+
+const generateMasterKey = () => crypto.randomBytes(32).toString('base64');
+
+const writeKeyFile = (keyFile, keyText) => {
+  fs.writeFileSync(keyFile, keyText + '\n', { mode: 0o600 });
+};
+
+// Resolve the master key: WGM_MASTER_KEY, then WGM_MASTER_KEY_FILE, then backend/master.key.
+// A new key file is generated on first start when none of them is present.
+const loadMasterKey = () => {
+  if (process.env.WGM_MASTER_KEY) {
+    return { key: parseMasterKey(process.env.WGM_MASTER_KEY), source: 'env', keyFile: null };
+  }
+
+  const keyFile = process.env.WGM_MASTER_KEY_FILE || DEFAULT_KEY_FILE;
+
+  if (!fs.existsSync(keyFile)) {
+    if (process.env.WGM_MASTER_KEY_FILE) {
+      throw new Error(`Master key file not found: ${keyFile}`);
+    }
+    writeKeyFile(keyFile, generateMasterKey());
+    console.warn(`⚠️  Generated new master key at ${keyFile}`);
+    console.warn('   Keep it out of database backups, or set WGM_MASTER_KEY / WGM_MASTER_KEY_FILE instead.');
+  }
+
+  return { key: parseMasterKey(fs.readFileSync(keyFile, 'utf8')), source: 'file', keyFile };
+};
+
+const createKeyCipher = (masterKey) => {
+  const encrypt = (plaintext) => {
+    if (plaintext === null || plaintext === undefined || plaintext === '') return plaintext;
+    if (isEncrypted(plaintext)) return plaintext;
+
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(ALGORITHM, masterKey, iv);
+    const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+    const tag = cipher.getAuthTag();
+
+    return `${PREFIX}${iv.toString('base64')}:${tag.toString('base64')}:${ciphertext.toString('base64')}`;
+  };
+
+  const decrypt = (value) => {
+    // Rows written before encryption was introduced are returned as-is
+    if (!isEncrypted(value)) return value;
+
+    const [iv, tag, ciphertext] = value.slice(PREFIX.length).split(':');
+    try {
+      const decipher = crypto.createDecipheriv(ALGORITHM, masterKey, Buffer.from(iv, 'base64'));
+      decipher.setAuthTag(Buffer.from(tag, 'base64'));
+      return Buffer.concat([
+        decipher.update(Buffer.from(ciphertext, 'base64')),
+        decipher.final()
+      ]).toString('utf8');
+    } catch (error) {
+      throw new Error('Failed to decrypt stored key (wrong master key?)');
+    }
+  };
+
+  return { encrypt, decrypt };
+};
+
+module.exports = {
+  createKeyCipher,
+  generateMasterKey,
+  isEncrypted,
+  loadMasterKey,
+  parseMasterKey,
+  writeKeyFile
+};
@@ -0,0 +1,99 @@
+// In-place keypair rotation. Unlike regenerating a peer (delete + create), the router peer keeps
+// its .id, counters and any firewall or queue rules that refer to it; only public-key (and
+// optionally preshared-key) change. The previous keys stay in peer_keys until an admin confirms
+// that the client switched, so a client that never got the new config can be put back with revert.
+// Both run through the operation journal (key_rotate, key_revert).
+const createKeyRotation = ({ database, journal, generateKeys, derivePublicKey }) => {
+  const conflict = (message) => Object.assign(new Error(message), { status: 409 });
+
+  const loadKeys = async (router, id) => {
+    const stored = await database.getPeerKeys(router.id, id);
+    if (!stored) {
+      throw Object.assign(new Error('No keys are stored for this peer'), { status: 404 });
+    }
+    return stored;
+  };
+
+  // New keypair (and preshared key unless rotatePresharedKey is false) on the existing router peer
+  const rotate = async (router, id, { rotatePresharedKey = true } = {}) => {
+    const stored = await loadKeys(router, id);
+    if (stored.previous_private_key) {
+      throw conflict('The previous key rotation of this peer has not been confirmed or reverted yet');
+    }
+
+    const newKeys = generateKeys(rotatePresharedKey);
+    const presharedKey = rotatePresharedKey ? newKeys.presharedKey : stored.preshared_key;
+    const update = { 'public-key': newKeys.publicKey };
+    if (rotatePresharedKey) {
+      update['preshared-key'] = presharedKey;
+    }
+
+    // A failed step puts the old keys back: the client still has them
+    await journal.run(router, 'key_rotate', {
+      mikrotikId: id,
+      peerName: stored.name,
+      payload: {
+        privateKey: newKeys.privateKey,
+        publicKey: newKeys.publicKey,
+        previousPublicKey: derivePublicKey(stored.private_key),
+        previousPresharedKey: stored.preshared_key || null,
+        rotatePresharedKey
+      }
+    }, async () => {
+      await router.mikrotik.updatePeer(id, update);
+      await database.rotatePeerKeys(router.id, id, {
+        private_key: newKeys.privateKey,
+        preshared_key: presharedKey,
+        rotatePresharedKey
+      });
+    });
+
+    return {
+      name: stored.name,
+      previousPublicKey: derivePublicKey(stored.private_key),
+      publicKey: newKeys.publicKey,
+      presharedKeyRotated: rotatePresharedKey
+    };
+  };
+
+  // The client uses the new keys: forget the previous ones
+  const confirm = async (router, id) => {
+    const stored = await loadKeys(router, id);
+    if (!stored.previous_private_key) {
+      throw conflict('No key rotation is waiting for confirmation for this peer');
+    }
+    await database.clearPreviousPeerKeys(router.id, id);
+    return { name: stored.name, rotatedAt: stored.keys_rotated_at };
+  };
+
+  // Put the previous keys back on the router and in the database
+  const revert = async (router, id) => {
+    const stored = await loadKeys(router, id);
+    if (!stored.previous_private_key) {
+      throw conflict('No key rotation is waiting for confirmation for this peer');
+    }
+    await journal.run(router, 'key_revert', {
+      mikrotikId: id,
+      peerName: stored.name,
+      payload: {
+        publicKey: derivePublicKey(stored.previous_private_key),
+        presharedKey: stored.previous_preshared_key || null
+      }
+    });
+    return {
+      name: stored.name,
+      rotatedAt: stored.keys_rotated_at,
+      publicKey: derivePublicKey(stored.previous_private_key)
+    };
+  };
+
+  // keyRotation field of GET /api/peers for a peer_keys row (keys_rotated_at is only set while
+  // the previous keys are kept)
+  const describe = (storedKey) => ({
+    keyRotation: storedKey?.keys_rotated_at ? { rotatedAt: storedKey.keys_rotated_at } : null
+  });
+
+  return { rotate, confirm, revert, describe };
+};
+
+module.exports = { createKeyRotation };
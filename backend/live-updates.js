@@ -0,0 +1,165 @@
+// Server-Sent Events for the peer list. While at least one browser watches a router, its peers
+// are polled every "live.pollIntervalSeconds" and only what changed is pushed:
+//   peers-update   { routerId, peers: [...] }  changed peers with the live fields of GET /api/peers plus rxRate/txRate
+//   peers-changed  { routerId, added: [ids], removed: [ids] }   (clients re-fetch the list)
+// A stream outlives the request that opened it, so authorize(req) is asked again before every push
+// and keepalive; a stream whose session ended (logout, expiry, deleted user) is closed.
+const { isPeerOnline } = require('./stats-collector');
+
+const DEFAULT_POLL_INTERVAL_SECONDS = 10;
+const KEEPALIVE_MS = 25 * 1000;
+
+// Fields of GET /api/peers that change while the app is open
+const toLiveState = (peer) => ({
+  id: String(peer['.id']),
+  name: peer.comment || 'Unnamed',
+  enabled: peer.disabled !== 'true',
+  online: isPeerOnline(peer),
+  lastHandshake: peer['last-handshake'] || peer['last-seen'] || 'Never',
+  allowedIPs: peer['allowed-address'],
+  transferRx: peer['rx'] || peer['rx-bytes'] || '0',
+  transferTx: peer['tx'] || peer['tx-bytes'] || '0'
+});
+
+const rate = (current, previous, seconds) => {
+  const delta = Number(current) - Number(previous);
+  // Counter resets (re-created peer, router reboot) are not reported as negative traffic
+  return delta > 0 && seconds > 0 ? Math.round(delta / seconds) : 0;
+};
+
+const createLiveUpdates = ({ routers, authorize, options = {} }) => {
+  const intervalMs = (Number(options.pollIntervalSeconds) || DEFAULT_POLL_INTERVAL_SECONDS) * 1000;
+  // One channel per router: connected clients, last known peer states and the poll timer
+  const channels = new Map();
+
+  const send = (res, event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  // Write to a client whose session is still valid; close the stream otherwise
+  const deliver = async (client, write) => {
+    let allowed = false;
+    try {
+      allowed = await authorize(client.req);
+    } catch (error) {
+      console.error('Live update session check failed:', error.message);
+    }
+    if (client.closed) return;
+    if (allowed) {
+      write();
+    } else {
+      client.close();
+      client.res.end();
+    }
+  };
+
+  const broadcast = (channel, event, data) => {
+    channel.clients.forEach(client => deliver(client, () => send(client.res, event, data)));
+  };
+
+  const poll = async (router) => {
+    const channel = channels.get(router.id);
+    if (!channel || channel.polling) return;
+    channel.polling = true;
+
+    try {
+      const peers = (await router.mikrotik.getPeers()).map(toLiveState);
+      const now = Date.now();
+      const previous = channel.snapshot;
+      const seconds = (now - channel.snapshotAt) / 1000;
+
+      channel.snapshot = new Map(peers.map(peer => [peer.id, peer]));
+      channel.snapshotAt = now;
+
+      // The first poll only establishes the baseline
+      if (!previous) return;
+
+      const added = peers.filter(peer => !previous.has(peer.id)).map(peer => peer.id);
+      const removed = Array.from(previous.keys()).filter(id => !channel.snapshot.has(id));
+      if (added.length || removed.length) {
+        broadcast(channel, 'peers-changed', { routerId: router.id, added, removed });
+      }
+
+      const updates = peers
+        .filter(peer => previous.has(peer.id))
+        .filter(peer => JSON.stringify(peer) !== JSON.stringify(previous.get(peer.id)))
+        .map(peer => {
+          const before = previous.get(peer.id);
+          return {
+            ...peer,
+            rxRate: rate(peer.transferRx, before.transferRx, seconds),
+            txRate: rate(peer.transferTx, before.transferTx, seconds)
+          };
+        });
+      if (updates.length) {
+        broadcast(channel, 'peers-update', { routerId: router.id, peers: updates });
+      }
+    } catch (error) {
+      console.error(`Live update poll failed for router "${router.id}":`, error.message);
+      broadcast(channel, 'router-error', { routerId: router.id, error: error.message });
+    } finally {
+      channel.polling = false;
+    }
+  };
+
+  // Express handler; expects req.router from resolveRouter
+  const subscribe = (req, res) => {
+    const { router } = req;
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      // no-transform keeps compression middleware (e.g. the dev server proxy) from buffering
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.write(`retry: 5000\n\n`);
+
+    let channel = channels.get(router.id);
+    if (!channel) {
+      channel = { clients: new Set(), snapshot: null, snapshotAt: 0, polling: false, timer: null };
+      channels.set(router.id, channel);
+    }
+    const client = { req, res, closed: false };
+    channel.clients.add(client);
+
+    if (!channel.timer) {
+      channel.timer = setInterval(() => poll(router), intervalMs);
+      poll(router);
+    }
+
+    const keepalive = setInterval(() => deliver(client, () => res.write(': keepalive\n\n')), KEEPALIVE_MS);
+
+    client.close = () => {
+      if (client.closed) return;
+      client.closed = true;
+      clearInterval(keepalive);
+      channel.clients.delete(client);
+      // Stop polling routers nobody is watching
+      if (channel.clients.size === 0) {
+        clearInterval(channel.timer);
+        channels.delete(router.id);
+      }
+    };
+    req.on('close', client.close);
+  };
+
+  // Poll a router right away, e.g. after a peer was changed through the API
+  const notify = (router) => {
+    if (channels.has(router.id)) {
+      poll(router);
+    }
+  };
+
+  const stop = () => {
+    channels.forEach(channel => {
+      clearInterval(channel.timer);
+      channel.clients.forEach(client => client.res.end());
+    });
+    channels.clear();
+  };
+
+  return { subscribe, notify, stop };
+};
+
+module.exports = { createLiveUpdates };
@@ -1,50 +1,206 @@
 const { RouterOSAPI } = require('node-routeros');
 
+// Reconnect delays after the router became unreachable: 1s, 2s, 4s, ... up to one minute
+const RECONNECT_MIN_DELAY = 1000;
+const RECONNECT_MAX_DELAY = 60 * 1000;
+// Extra attempts for reads (print commands), which are safe to repeat on a new session
+const READ_RETRIES = 2;
+
+// Errors that mean the API session is gone, as opposed to RouterOS rejecting a command
+const CONNECTION_ERROR = /ECONNRESET|ECONNREFUSED|EPIPE|ETIMEDOUT|EHOSTUNREACH|ENETUNREACH|SOCKTMOUT|timed out|socket|closed|not connected/i;
+const isConnectionError = (error) =>
+  CONNECTION_ERROR.test(`${error.errno || ''} ${error.code || ''} ${error.message || ''}`);
+
+// Error with context for the caller; keeps the status (503 while the router is unreachable)
+const wrapError = (message, error) => Object.assign(new Error(`${message}: ${error.message}`), { status: error.status });
+
 class MikrotikAPI {
   constructor(config) {
     this.config = config;
     this.conn = null;
     this.isConnected = false;
     this.wireguardInterface = null;
+    this.connecting = null;
+    this.reconnectTimer = null;
+    this.reconnectAttempts = 0;
+    // Reported by /api/health
+    this.health = {
+      connected: false,
+      latencyMs: null,
+      lastConnectedAt: null,
+      disconnectedAt: null,
+      lastError: null,
+      lastErrorAt: null,
+      nextRetryAt: null
+    };
   }
 
+  // Open the API session; concurrent callers share one attempt
   async connect() {
     if (this.conn && this.isConnected) return this.conn;
-    
+    if (!this.connecting) {
+      this.connecting = this.openConnection().finally(() => {
+        this.connecting = null;
+      });
+    }
+    return this.connecting;
+  }
+
+  async openConnection() {
     try {
       console.log(`Connecting to MikroTik at ${this.config.host}:${this.config.port || 8728}...`);
       
-      this.conn = new RouterOSAPI({
+      const conn = new RouterOSAPI({
         host: this.config.host,
         user: this.config.username,
         password: this.config.password,
         port: this.config.port || 8728,
-        timeout: 15000
+        timeout: 15000,
+        keepalive: true
+      });
+      // node-routeros never settles commands still waiting for a reply when the session dies;
+      // write() races them against this, which handleConnectionLoss() rejects
+      conn.lost = new Promise((resolve, reject) => {
+        conn.abortPending = reject;
       });
+      conn.lost.catch(() => {});
+      // Without listeners a dropped session would be an unhandled 'error' event
+      conn.on('error', (error) => this.handleConnectionLoss(conn, error));
+      conn.on('close', () => this.handleConnectionLoss(conn, new Error('Connection closed by the router')));
 
-      await this.conn.connect();
+      await conn.connect();
+      const reconnected = this.reconnectAttempts > 0;
+      this.conn = conn;
       this.isConnected = true;
-      console.log('✅ Connected to MikroTik router successfully');
+      this.reconnectAttempts = 0;
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+      Object.assign(this.health, { connected: true, lastConnectedAt: new Date().toISOString(), disconnectedAt: null, nextRetryAt: null });
+      console.log(reconnected ? '✅ Reconnected to MikroTik router' : '✅ Connected to MikroTik router successfully');
       return this.conn;
     } catch (error) {
       this.isConnected = false;
+      this.conn = null;
+      this.recordFailure(error);
       console.error('❌ Failed to connect to MikroTik:', error.message);
+      this.scheduleReconnect();
       throw error;
     }
   }
 
+  recordFailure(error) {
+    const now = new Date().toISOString();
+    Object.assign(this.health, {
+      connected: false,
+      disconnectedAt: this.health.disconnectedAt || now,
+      lastError: error.message,
+      lastErrorAt: now
+    });
+  }
+
+  // The session died (router reboot, network loss): drop it and reconnect in the background
+  handleConnectionLoss(conn, error) {
+    conn.abortPending(error);
+    if (conn !== this.conn || !this.isConnected) return;
+    this.isConnected = false;
+    this.conn = null;
+    this.recordFailure(error);
+    console.error(`❌ Lost connection to MikroTik at ${this.config.host}:`, error.message);
+    try {
+      conn.close().catch(() => {});
+    } catch (closeError) {
+      // Already closed
+    }
+    this.scheduleReconnect();
+  }
+
+  scheduleReconnect() {
+    if (this.reconnectTimer) return;
+    const delay = Math.min(RECONNECT_MIN_DELAY * 2 ** this.reconnectAttempts, RECONNECT_MAX_DELAY);
+    this.reconnectAttempts += 1;
+    this.health.nextRetryAt = new Date(Date.now() + delay).toISOString();
+    this.reconnectTimer = setTimeout(async () => {
+      this.reconnectTimer = null;
+      try {
+        await this.connect();
+      } catch (error) {
+        // connect() has scheduled the next attempt
+      }
+    }, delay);
+    // Pending reconnects must not keep the process alive
+    this.reconnectTimer.unref();
+  }
+
   async ensureConnection() {
-    if (!this.conn || !this.isConnected) {
-      await this.connect();
+    if (this.conn && this.isConnected) return;
+    // Between reconnect attempts fail fast instead of letting every request wait for a timeout
+    if (this.reconnectTimer) {
+      throw Object.assign(
+        new Error(`MikroTik router ${this.config.host} is unreachable (${this.health.lastError}); next reconnect attempt at ${this.health.nextRetryAt}`),
+        { status: 503 }
+      );
+    }
+    await this.connect();
+  }
+
+  // Send one API command. A lost session is detected here; reads (retry) are repeated on a
+  // fresh session, writes are not because they may already have been applied.
+  async write(command, args = [], { retry = false } = {}) {
+    for (let attempt = 0; ; attempt++) {
+      if (attempt === 0) {
+        await this.ensureConnection();
+      } else {
+        await new Promise(resolve => setTimeout(resolve, RECONNECT_MIN_DELAY * attempt));
+        await this.connect();
+      }
+
+      const conn = this.conn;
+      const started = Date.now();
+      try {
+        const result = await Promise.race([conn.write(command, args), conn.lost]);
+        this.health.latencyMs = Date.now() - started;
+        return result;
+      } catch (error) {
+        if (!isConnectionError(error)) throw error;
+        this.handleConnectionLoss(conn, error);
+        if (!retry || attempt >= READ_RETRIES) throw error;
+        console.warn(`Retrying ${Array.isArray(command) ? command[0] : command} after: ${error.message}`);
+      }
     }
   }
 
+  // Round trip of a trivial command, for /api/health
+  async ping() {
+    const started = Date.now();
+    await this.write('/system/identity/print');
+    return Date.now() - started;
+  }
+
+  // All WireGuard interfaces on the router
+  async getWireGuardInterfaces() {
+    try {
+      return await this.write('/interface/wireguard/print', [], { retry: true });
+    } catch (error) {
+      throw wrapError('Failed to list WireGuard interfaces', error);
+    }
+  }
+
+  // Full /interface/wireguard entry (public-key, listen-port, ...) for one interface
+  async getWireGuardInterfaceInfo(name) {
+    const interfaces = await this.getWireGuardInterfaces();
+    const found = interfaces.find(iface => iface.name === name);
+    if (!found) {
+      throw new Error(`WireGuard interface '${name}' not found. Available: ${interfaces.map(i => i.name).join(', ')}`);
+    }
+    return found;
+  }
+
+  // Default interface: the configured one, or the first available
   async getWireGuardInterface() {
     if (this.wireguardInterface) return this.wireguardInterface;
     
     try {
-      await this.ensureConnection();
-      const interfaces = await this.conn.write('/interface/wireguard/print');
+      const interfaces = await this.getWireGuardInterfaces();
       
       if (interfaces.length === 0) {
         throw new Error('No WireGuard interfaces found. Please create a WireGuard interface first.');
@@ -66,17 +222,16 @@ class MikrotikAPI {
       
       return this.wireguardInterface;
     } catch (error) {
-      throw new Error(`Failed to get WireGuard interface: ${error.message}`);
+      throw wrapError('Failed to get WireGuard interface', error);
     }
   }
 
   async getPeer(id) {
-    await this.ensureConnection();
     try {
       console.log(`Getting peer with ID: ${id}`);
       
       // Get all peers and filter manually since MikroTik API filtering is inconsistent
-      const allPeers = await this.conn.write('/interface/wireguard/peers/print');
+      const allPeers = await this.write('/interface/wireguard/peers/print', [], { retry: true });
       const peer = allPeers.find(p => p['.id'] === id);
       
       if (!peer) {
@@ -87,34 +242,32 @@ class MikrotikAPI {
       console.log(`Found peer:`, peer);
       return peer;
     } catch (error) {
-      throw new Error(`Failed to get peer: ${error.message}`);
+      throw wrapError('Failed to get peer', error);
     }
   }
 
-  async getPeers() {
-	  await this.ensureConnection();
+  // Peers on all WireGuard interfaces, or only on the given one
+  async getPeers(interfaceName = null) {
 	  try {
 		// Get all WireGuard peers
-		const peers = await this.conn.write('/interface/wireguard/peers/print');
+		const peers = await this.write('/interface/wireguard/peers/print', [], { retry: true });
 		
 		// Debug: Log the raw peer data
 		console.log('Raw peer data from MikroTik:', JSON.stringify(peers, null, 2));
 		
 		// Filter by interface in JavaScript if needed
-		const interfaceName = await this.getWireGuardInterface();
-		return peers.filter(peer => peer.interface === interfaceName || !peer.interface);
+		if (!interfaceName) return peers;
+		return peers.filter(peer => peer.interface === interfaceName);
 	  } catch (error) {
 		if (error.message.includes('no such item') || error.message.includes('not found')) {
 		  console.log('No WireGuard peers found or WireGuard not properly configured.');
 		  return [];
 		}
-		throw new Error(`Failed to get peers: ${error.message}`);
+		throw wrapError('Failed to get peers', error);
 	  }
   }
 
   async createPeer(peerData) {
-  await this.ensureConnection();
-  
   try {
     if (!peerData.interface) {
       peerData.interface = await this.getWireGuardInterface();
@@ -126,7 +279,7 @@ class MikrotikAPI {
     });
     
     console.log('Creating peer with command:', command);
-    const result = await this.conn.write(command);
+    const result = await this.write(command);
     console.log('MikroTik createPeer result:', result);
     
     // Handle different response formats
@@ -137,6 +290,10 @@ class MikrotikAPI {
       if (result.ret) {
         mikrotikId = result.ret;
       }
+      // RouterOS answers add with !done =ret=<id>: [{ ret }]
+      else if (Array.isArray(result) && result.length > 0 && result[0].ret) {
+        mikrotikId = result[0].ret;
+      }
       // Check if result is an array with ID
       else if (Array.isArray(result) && result.length > 0 && result[0]['.id']) {
         mikrotikId = result[0]['.id'];
@@ -172,42 +329,58 @@ class MikrotikAPI {
     
     return mikrotikId;
   } catch (error) {
-    throw new Error(`Failed to create peer: ${error.message}`);
+    throw wrapError('Failed to create peer', error);
   }
 }
 
 
   async updatePeer(id, peerData) {
-    await this.ensureConnection();
     try {
       const command = ['/interface/wireguard/peers/set', `=.id=${id}`];
       Object.entries(peerData).forEach(([key, value]) => {
         command.push(`=${key}=${value}`);
       });
       
-      await this.conn.write(command);
+      await this.write(command);
     } catch (error) {
-      throw new Error(`Failed to update peer: ${error.message}`);
+      throw wrapError('Failed to update peer', error);
     }
   }
 
   async deletePeer(id) {
-    await this.ensureConnection();
     try {
-      await this.conn.write('/interface/wireguard/peers/remove', [`=.id=${id}`]);
+      await this.write('/interface/wireguard/peers/remove', [`=.id=${id}`]);
+    } catch (error) {
+      throw wrapError('Failed to delete peer', error);
+    }
+  }
+
+  // Addresses configured on the router (/ip/address), e.g. { address: '172.16.0.1/24', interface: 'wg-vpn' }
+  async getIpAddresses() {
+    try {
+      return await this.write('/ip/address/print', [], { retry: true });
+    } catch (error) {
+      throw wrapError('Failed to get IP addresses', error);
+    }
+  }
+
+  // IPv6 addresses configured on the router (/ipv6/address); fails when the ipv6 package is disabled
+  async getIpv6Addresses() {
+    try {
+      return await this.write('/ipv6/address/print', [], { retry: true });
     } catch (error) {
-      throw new Error(`Failed to delete peer: ${error.message}`);
+      throw wrapError('Failed to get IPv6 addresses', error);
     }
   }
 
-  // Get server info
-	async getServerInfo() {
-    await this.ensureConnection();
+  // Get server info for an interface (defaults to the default interface)
+	async getServerInfo(interfaceName = null) {
     try {
-      const interfaces = await this.conn.write('/interface/wireguard/print');
-      return interfaces[0] || {};
+      const name = interfaceName || await this.getWireGuardInterface();
+      const interfaces = await this.write('/interface/wireguard/print', [], { retry: true });
+      return interfaces.find(iface => iface.name === name) || {};
     } catch (error) {
-      throw new Error(`Failed to get server info: ${error.message}`);
+      throw wrapError('Failed to get server info', error);
     }
   }
 
@@ -0,0 +1,229 @@
+// Write-ahead journal for changes that touch both the router and peer_keys. Each operation is
+// recorded with everything needed to finish it before its first step runs and is marked done
+// after the last one, so a crash or a dropped router connection in between leaves a pending
+// entry instead of a silent mismatch. recover() settles pending entries:
+//   create       rolled back: the half-created router peer and anything stored for it are removed
+//                (its config was never handed out)
+//   regenerate   replayed: old router peer removed, new one created if missing, keys stored
+//   delete       replayed: router peer removed if still there, stored keys and data deleted
+//   psk_update   replayed: the new preshared key is set on the router and stored
+//   key_rotate   rolled back: the previous public (and preshared) key is put back on the router and
+//                in peer_keys (the new keys were never handed out)
+//   key_revert   replayed: the previous keys are put back on the router and in peer_keys
+//   recreate     rolled back: the router peer re-created from stored keys (reconciliation, backup
+//                restore) is removed again; the keys stay where they were
+// The replay steps are idempotent and are also what the routes run for these operations.
+const { savePolicyChanges } = require('./peer-policies');
+
+const SETTLED_RETENTION_DAYS = 30;
+// Operations undone as soon as one of their steps fails; the others are completed by recovery
+const ROLLED_BACK_ON_FAILURE = ['create', 'key_rotate', 'recreate'];
+
+const createOperationJournal = ({ routers, database, recordAudit }) => {
+  // Entries whose steps are running in this process; recover() leaves them alone
+  const active = new Set();
+  let recovering = false;
+
+  const findPeer = (peers, id, publicKey) => peers.find(peer =>
+    String(peer['.id']) === String(id) && (!publicKey || peer['public-key'] === publicKey));
+
+  const handlers = {
+    async create(router, { payload }) {
+      const { mikrotik } = router;
+      const peer = (await mikrotik.getPeers()).find(candidate => candidate['public-key'] === payload.publicKey);
+      if (peer) {
+        await mikrotik.deletePeer(peer['.id']);
+        await database.deletePeerKeys(router.id, String(peer['.id']));
+        await database.deletePeerData(router.id, String(peer['.id']));
+      }
+      return { status: 'rolled_back' };
+    },
+
+    async regenerate(router, { mikrotik_id: oldId, payload }) {
+      const { mikrotik } = router;
+      const peers = await mikrotik.getPeers();
+      if (findPeer(peers, oldId, payload.oldPublicKey)) {
+        await mikrotik.deletePeer(oldId);
+      }
+
+      const existing = peers.find(peer => peer['public-key'] === payload.peerData['public-key']);
+      const newId = String(existing ? existing['.id'] : await mikrotik.createPeer(payload.peerData));
+
+      if (newId !== String(oldId)) {
+        await database.deletePeerKeys(router.id, oldId);
+        await database.movePeerData(router.id, oldId, newId);
+      }
+      await savePolicyChanges(database, router.id, newId, payload.previousPolicy, payload.policy);
+      await database.savePeerKeys({
+        router_id: router.id,
+        mikrotik_id: newId,
+        name: payload.peerData.comment,
+        private_key: payload.privateKey,
+        preshared_key: payload.peerData['preshared-key'] || null,
+        allowed_ips: payload.peerData['allowed-address'],
+        interface: payload.peerData.interface
+      });
+      return { status: 'replayed', mikrotikId: newId };
+    },
+
+    async delete(router, { mikrotik_id: id, payload }) {
+      if (findPeer(await router.mikrotik.getPeers(), id, payload.publicKey)) {
+        await router.mikrotik.deletePeer(id);
+      }
+      await database.deletePeerKeys(router.id, id);
+      await database.deletePeerData(router.id, id);
+      return { status: 'replayed' };
+    },
+
+    async psk_update(router, { mikrotik_id: id, payload }) {
+      if (!findPeer(await router.mikrotik.getPeers(), id)) {
+        return { status: 'rolled_back' };
+      }
+      await router.mikrotik.updatePeer(id, { 'preshared-key': payload.presharedKey || '' });
+      await database.updatePresharedKey(router.id, id, payload.presharedKey || null);
+      return { status: 'replayed' };
+    },
+
+    async key_rotate(router, { mikrotik_id: id, payload }) {
+      const peer = findPeer(await router.mikrotik.getPeers(), id);
+      if (peer && peer['public-key'] === payload.publicKey) {
+        const restore = { 'public-key': payload.previousPublicKey };
+        if (payload.rotatePresharedKey) {
+          restore['preshared-key'] = payload.previousPresharedKey || '';
+        }
+        await router.mikrotik.updatePeer(id, restore);
+      }
+      const stored = await database.getPeerKeys(router.id, id);
+      if (stored && stored.private_key === payload.privateKey) {
+        await database.revertPeerKeys(router.id, id);
+      }
+      return { status: 'rolled_back' };
+    },
+
+    async key_revert(router, { mikrotik_id: id, payload }) {
+      if (!findPeer(await router.mikrotik.getPeers(), id)) {
+        return { status: 'rolled_back' };
+      }
+      await router.mikrotik.updatePeer(id, {
+        'public-key': payload.publicKey,
+        'preshared-key': payload.presharedKey || ''
+      });
+      await database.revertPeerKeys(router.id, id);
+      return { status: 'replayed' };
+    },
+
+    async recreate(router, { mikrotik_id: oldId, payload }) {
+      const peer = (await router.mikrotik.getPeers()).find(candidate => candidate['public-key'] === payload.publicKey);
+      if (!peer) {
+        return { status: 'rolled_back' };
+      }
+      // Finished: the peer got its old ID back, or the stored keys were already moved to the new one
+      const newId = String(peer['.id']);
+      if (newId === String(oldId) || (payload.movesKeys && !(await database.getPeerKeys(router.id, oldId)))) {
+        return { status: 'replayed' };
+      }
+      await router.mikrotik.deletePeer(newId);
+      return { status: 'rolled_back' };
+    }
+  };
+
+  // Settle one pending entry; returns its new status or null when it stays pending
+  const settle = async (router, entry) => {
+    try {
+      const { status } = await handlers[entry.operation](router, entry);
+      await database.settleJournalEntry(entry.id, status);
+      console.log(`📒 ${entry.operation} of "${entry.peer_name}" on router "${router.id}" ${status.replace('_', ' ')}`);
+      await recordAudit(router, 'journal.recover', {
+        peerId: entry.mikrotik_id,
+        peerName: entry.peer_name,
+        before: { operation: entry.operation, startedAt: entry.created_at || null },
+        after: { status }
+      });
+      return status;
+    } catch (error) {
+      console.error(`Failed to recover ${entry.operation} of "${entry.peer_name}" on router "${router.id}":`, error.message);
+      await database.recordJournalFailure(entry.id, error.message).catch(() => {});
+      return null;
+    }
+  };
+
+  // Record an operation and run it. Without steps the operation's replay handler does the work
+  // (regenerate, delete, psk_update, key_revert); create, key_rotate and recreate pass their own
+  // steps and are rolled back right away when one fails. Other failed operations stay pending
+  // until recover() replays them.
+  // steps(progress) may call progress({ mikrotikId }) once the router has handed out an ID.
+  const run = async (router, operation, { mikrotikId = null, peerName = null, payload = {} }, steps = null) => {
+    const entry = {
+      id: await database.createJournalEntry(router.id, operation, { mikrotik_id: mikrotikId, peer_name: peerName, payload }),
+      operation,
+      mikrotik_id: mikrotikId,
+      peer_name: peerName,
+      payload
+    };
+    const progress = async ({ mikrotikId: newId }) => {
+      entry.mikrotik_id = String(newId);
+      await database.updateJournalEntry(entry.id, { mikrotik_id: entry.mikrotik_id, payload });
+    };
+
+    active.add(entry.id);
+    try {
+      const result = steps ? await steps(progress) : await handlers[operation](router, entry);
+      await database.settleJournalEntry(entry.id, 'done');
+      return result;
+    } catch (error) {
+      let note = 'it is kept in the journal and will be completed by recovery';
+      if (ROLLED_BACK_ON_FAILURE.includes(operation)) {
+        note = (await settle(router, entry)) ? 'the change was rolled back' : 'it is kept in the journal and will be rolled back by recovery';
+      } else {
+        await database.recordJournalFailure(entry.id, error.message).catch(() => {});
+      }
+      throw Object.assign(new Error(`${error.message} (${operation} did not finish; ${note})`), { status: error.status });
+    } finally {
+      active.delete(entry.id);
+    }
+  };
+
+  // Settle the pending operations of one router, oldest first
+  const recover = async (router) => {
+    const results = [];
+    for (const entry of await database.getPendingJournalEntries(router.id)) {
+      if (active.has(entry.id)) continue;
+      const status = await settle(router, entry);
+      results.push({
+        id: entry.id,
+        operation: entry.operation,
+        peerId: entry.mikrotik_id,
+        peerName: entry.peer_name,
+        status: status || 'pending'
+      });
+    }
+    return results;
+  };
+
+  // On startup: every router, then drop old settled entries
+  const recoverAll = async () => {
+    if (recovering) return;
+    recovering = true;
+    try {
+      for (const router of routers.list()) {
+        try {
+          const results = await recover(router);
+          if (results.length > 0) {
+            const left = results.filter(result => result.status === 'pending').length;
+            console.log(`📒 Recovered ${results.length - left} unfinished operation(s) on router "${router.id}"` +
+              (left ? `, ${left} still pending` : ''));
+          }
+        } catch (error) {
+          console.error(`Journal recovery failed for router "${router.id}":`, error.message);
+        }
+      }
+      await database.pruneJournal(SETTLED_RETENTION_DAYS);
+    } finally {
+      recovering = false;
+    }
+  };
+
+  return { run, recover, recoverAll };
+};
+
+module.exports = { createOperationJournal };
@@ -0,0 +1,176 @@
+// Validation of CSV peer imports. planImport() checks every row before anything is created and
+// assigns addresses the same way as single peer creation, so the preview matches the import.
+//
+// Columns (header row optional, in this order without one): name, ip, psk, tags, expires
+//   ip       empty = next free address of the interface pools; with IPv4 and IPv6 pools the
+//            family that is not given is always assigned automatically
+//   psk      yes/no (default yes)
+//   tags     separated by ";" or "|" (or quoted commas)
+//   expires  any date Date() understands, e.g. 2025-12-31
+const { parseCsv } = require('./csv');
+const { overlaps, parseAddressList, parseCidr } = require('./ipam');
+const { isExpired, normalizeTags, parsePolicyFields } = require('./peer-policies');
+
+const MAX_ROWS = 500;
+
+const COLUMN_ALIASES = {
+  name: ['name', 'peer', 'comment'],
+  ip: ['ip', 'address', 'allowedips', 'allowed_ips', 'allowed-address'],
+  psk: ['psk', 'preshared', 'presharedkey', 'preshared_key'],
+  tags: ['tags', 'tag'],
+  expires: ['expires', 'expiresat', 'expires_at', 'expiry']
+};
+const DEFAULT_COLUMNS = ['name', 'ip', 'psk', 'tags', 'expires'];
+
+const resolveColumns = (headerRow) => headerRow.map(cell => {
+  const key = cell.trim().toLowerCase().replace(/\s+/g, '');
+  return Object.keys(COLUMN_ALIASES).find(column => COLUMN_ALIASES[column].includes(key)) || null;
+});
+
+const parseYesNo = (value) => {
+  const text = String(value || '').trim().toLowerCase();
+  if (text === '') return true;
+  if (['yes', 'y', 'true', '1'].includes(text)) return true;
+  if (['no', 'n', 'false', '0'].includes(text)) return false;
+  return null;
+};
+
+// "10.0.0.5", "10.0.0.5/32" or "fd00::5/128" → { text: "10.0.0.5/32", family, range }; null if it
+// is not a single host address
+const parseHostAddress = (value) => {
+  const text = String(value).trim();
+  const cidr = parseCidr(text);
+  if (!cidr || cidr.start !== cidr.end) return null;
+  const prefix = cidr.family === 4 ? 32 : 128;
+  return {
+    text: `${text.split('/')[0]}/${prefix}`,
+    family: cidr.family,
+    range: { family: cidr.family, start: cidr.start, end: cidr.end }
+  };
+};
+
+// Returns { rows, valid }. Each row: { line, name, allowedIPs, usePresharedKey, tags, expiresAt, errors }.
+// usedRanges are the addresses already taken on the router (see ipam.js);
+// allocateAddresses(usedRanges, skipFamilies) returns free host addresses of the target interface
+// (one per address family with pools), or null when a pool is exhausted.
+const planImport = ({ csv, existingPeers, usedRanges: routerRanges, allocateAddresses }) => {
+  let records;
+  try {
+    records = parseCsv(csv);
+  } catch (error) {
+    throw Object.assign(new Error(error.message), { status: 400 });
+  }
+
+  if (records.length === 0) {
+    throw Object.assign(new Error('The CSV file is empty'), { status: 400 });
+  }
+
+  let columns = DEFAULT_COLUMNS;
+  let firstLine = 1;
+  const header = resolveColumns(records[0]);
+  if (header.includes('name')) {
+    columns = header;
+    records = records.slice(1);
+    firstLine = 2;
+  }
+
+  if (records.length > MAX_ROWS) {
+    throw Object.assign(new Error(`At most ${MAX_ROWS} peers can be imported at once`), { status: 400 });
+  }
+
+  const existingNames = new Set(existingPeers.map(peer => (peer.comment || '').trim().toLowerCase()).filter(Boolean));
+  const usedRanges = routerRanges.slice();
+  const seenNames = new Set();
+  const fileIPs = new Map();
+
+  // Explicit addresses are reserved first so auto-assigned rows never take them
+  const requestedRanges = records
+    .map(record => parseHostAddress(record[columns.indexOf('ip')] || ''))
+    .filter(Boolean)
+    .map(address => address.range);
+
+  const rows = records.map((record, index) => {
+    const value = (column) => {
+      const position = columns.indexOf(column);
+      return position >= 0 ? (record[position] || '').trim() : '';
+    };
+    const errors = [];
+    const row = {
+      line: firstLine + index,
+      name: value('name'),
+      allowedIPs: null,
+      usePresharedKey: true,
+      tags: [],
+      expiresAt: null,
+      errors
+    };
+
+    // Names
+    const nameKey = row.name.toLowerCase();
+    if (!row.name) {
+      errors.push('Name is required');
+    } else if (existingNames.has(nameKey)) {
+      errors.push('A peer with this name already exists on the router');
+    } else if (seenNames.has(nameKey)) {
+      errors.push('Name appears more than once in the file');
+    }
+    seenNames.add(nameKey);
+
+    // Preshared key
+    const psk = parseYesNo(value('psk'));
+    if (psk === null) {
+      errors.push(`PSK must be yes or no, got "${value('psk')}"`);
+    } else {
+      row.usePresharedKey = psk;
+    }
+
+    // Tags and expiry use the same rules as the peer form
+    try {
+      row.tags = normalizeTags(value('tags').split(/[;|]/).join(','));
+      const { expiresAt = null } = parsePolicyFields({ expiresAt: value('expires') });
+      if (isExpired(expiresAt)) {
+        errors.push('Expiry date must be in the future');
+      }
+      row.expiresAt = expiresAt;
+    } catch (error) {
+      errors.push(error.message);
+    }
+
+    // Address: explicit ones must be free, empty ones take the next free address
+    const ipText = value('ip');
+    if (ipText) {
+      const address = parseHostAddress(ipText);
+      if (!address) {
+        errors.push(`"${ipText}" is not a single IP address`);
+      } else if (fileIPs.has(address.text)) {
+        errors.push(`${address.text} is also used on line ${fileIPs.get(address.text)}`);
+      } else if (usedRanges.some(range => overlaps(range, address.range))) {
+        errors.push(`${address.text} is already used by another peer or the router`);
+      } else {
+        // Dual-stack pools still assign the address of the other family
+        const others = allocateAddresses([...usedRanges, address.range, ...requestedRanges], [address.family]);
+        if (!others) {
+          errors.push('No available IP addresses left in the address pools');
+        } else {
+          row.allowedIPs = [address.text, ...others].join(',');
+          fileIPs.set(address.text, row.line);
+          usedRanges.push(...parseAddressList(row.allowedIPs));
+        }
+      }
+    } else if (errors.length === 0) {
+      const addresses = allocateAddresses([...usedRanges, ...requestedRanges]);
+      if (!addresses) {
+        errors.push('No available IP addresses left in the address pools');
+      } else {
+        row.allowedIPs = addresses.join(',');
+        usedRanges.push(...parseAddressList(row.allowedIPs));
+      }
+    }
+
+    return row;
+  });
+
+  return { rows, valid: rows.every(row => row.errors.length === 0) };
+};
+
+module.exports = { planImport, MAX_ROWS };
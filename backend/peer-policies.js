@@ -0,0 +1,138 @@
+// Manager-side peer policies (expiry date, data quota, tags, client profile) stored in the peer_policies table
+const QUOTA_PERIODS = ['monthly', 'rolling'];
+const DEFAULT_ROLLING_DAYS = 30;
+
+// Timestamps are stored like SQLite CURRENT_TIMESTAMP (UTC, "YYYY-MM-DD HH:MM:SS") so they compare as strings
+const toSqlTimestamp = (date) => date.toISOString().replace('T', ' ').slice(0, 19);
+const toSqlDate = (date) => date.toISOString().slice(0, 10);
+
+const isExpired = (expiresAt) => !!expiresAt && expiresAt <= toSqlTimestamp(new Date());
+
+const badRequest = (message) => Object.assign(new Error(message), { status: 400 });
+
+// Tags are stored as one comma separated string; accepts an array or such a string
+const normalizeTags = (value) => {
+  const list = Array.isArray(value) ? value : String(value || '').split(',');
+  const tags = Array.from(new Set(list.map(tag => String(tag).trim()).filter(Boolean)));
+  if (tags.some(tag => tag.length > 32)) {
+    throw badRequest('Tags must be at most 32 characters');
+  }
+  return tags;
+};
+
+// Read the policy fields of a peer create/update body. Fields that are absent stay undefined
+// (unchanged); null or "" clears them.
+const parsePolicyFields = (body) => {
+  const fields = {};
+
+  if (body.expiresAt !== undefined) {
+    if (body.expiresAt === null || body.expiresAt === '') {
+      fields.expiresAt = null;
+    } else {
+      const date = new Date(body.expiresAt);
+      if (isNaN(date.getTime())) {
+        throw badRequest('expiresAt must be a valid date');
+      }
+      fields.expiresAt = toSqlTimestamp(date);
+    }
+  }
+
+  if (body.quotaBytes !== undefined) {
+    if (body.quotaBytes === null || body.quotaBytes === '') {
+      fields.quotaBytes = null;
+    } else {
+      const quotaBytes = Number(body.quotaBytes);
+      if (!Number.isSafeInteger(quotaBytes) || quotaBytes <= 0) {
+        throw badRequest('quotaBytes must be a positive whole number of bytes');
+      }
+      fields.quotaBytes = quotaBytes;
+    }
+  }
+
+  if (body.tags !== undefined) {
+    fields.tags = body.tags === null ? [] : normalizeTags(body.tags);
+  }
+
+  if (body.clientProfile !== undefined) {
+    // Whether the profile exists is checked by the caller against config.json
+    fields.clientProfile = body.clientProfile === null || body.clientProfile === '' ? null : String(body.clientProfile);
+  }
+
+  if (body.quotaPeriod !== undefined) {
+    if (!QUOTA_PERIODS.includes(body.quotaPeriod)) {
+      throw badRequest(`quotaPeriod must be one of: ${QUOTA_PERIODS.join(', ')}`);
+    }
+    fields.quotaPeriod = body.quotaPeriod;
+  }
+
+  return fields;
+};
+
+const describePolicy = (policy) => ({
+  expiresAt: policy?.expires_at || null,
+  quotaBytes: policy?.quota_bytes || null,
+  quotaPeriod: policy?.quota_bytes ? (policy.quota_period || 'monthly') : null,
+  tags: policy?.tags ? policy.tags.split(',') : [],
+  clientProfile: policy?.client_profile || null
+});
+
+// Merge requested changes into the current policy values
+const mergePolicy = (previous, fields) => {
+  const next = { ...previous, ...fields };
+  next.quotaPeriod = next.quotaBytes ? (next.quotaPeriod || 'monthly') : null;
+  return next;
+};
+
+// Write only the parts of the policy that changed
+const savePolicyChanges = async (database, router_id, mikrotik_id, previous, next) => {
+  if (next.expiresAt !== previous.expiresAt) {
+    await database.setPeerExpiry(router_id, mikrotik_id, next.expiresAt);
+  }
+  if (next.quotaBytes !== previous.quotaBytes || next.quotaPeriod !== previous.quotaPeriod) {
+    await database.setPeerQuota(router_id, mikrotik_id, next.quotaBytes, next.quotaPeriod);
+  }
+  if (next.clientProfile !== previous.clientProfile) {
+    await database.setPeerClientProfile(router_id, mikrotik_id, next.clientProfile);
+  }
+  if (next.tags.join(',') !== previous.tags.join(',')) {
+    await database.setPeerTags(router_id, mikrotik_id, next.tags.length ? next.tags.join(',') : null);
+  }
+};
+
+// First day (UTC) counted by each quota period
+const getQuotaWindowStarts = (rollingDays = DEFAULT_ROLLING_DAYS, now = new Date()) => {
+  const monthStart = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+  const rollingStart = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() - (rollingDays - 1)));
+  return { monthStart: toSqlDate(monthStart), rollingStart: toSqlDate(rollingStart) };
+};
+
+// Quota status of a peer from its policy and its peer_usage totals, null without a quota
+const describeQuota = (policy, usage, rollingDays = DEFAULT_ROLLING_DAYS) => {
+  if (!policy?.quota_bytes) return null;
+
+  const period = policy.quota_period || 'monthly';
+  const usedBytes = (period === 'rolling' ? usage?.rolling_bytes : usage?.month_bytes) || 0;
+  return {
+    limitBytes: policy.quota_bytes,
+    period,
+    windowDays: period === 'rolling' ? rollingDays : null,
+    usedBytes,
+    exceeded: usedBytes >= policy.quota_bytes,
+    disabledByQuota: !!policy.quota_exceeded_at
+  };
+};
+
+module.exports = {
+  DEFAULT_ROLLING_DAYS,
+  QUOTA_PERIODS,
+  describePolicy,
+  describeQuota,
+  getQuotaWindowStarts,
+  isExpired,
+  mergePolicy,
+  normalizeTags,
+  parsePolicyFields,
+  savePolicyChanges,
+  toSqlDate,
+  toSqlTimestamp
+};
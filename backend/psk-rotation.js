@@ -0,0 +1,164 @@
+// Staged preshared key rotation. Changing a peer's PSK on the router breaks the client until it
+// gets the new config, so a rotation has two steps:
+//   1. stage:    a new PSK is generated and stored next to the current one; the peer's config
+//                with the new key can be downloaded (?pending=true) while the old one still works
+//   2. complete: the new PSK is pushed to the router, either when an admin confirms that the
+//                client has it or automatically at the deadline
+//
+// config.json:
+//   "pskRotation": { "intervalDays": 90, "graceDays": 7, "checkIntervalMinutes": 60 }
+// With intervalDays set, PSKs older than that are staged automatically with a deadline graceDays
+// later. Without it only manually staged rotations are completed at their deadline.
+const { toSqlTimestamp } = require('./peer-policies');
+
+const DEFAULT_GRACE_DAYS = 7;
+const DEFAULT_CHECK_INTERVAL_MINUTES = 60;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// PSK fields of GET /api/peers for a peer_keys row
+const describePskStatus = (storedKey, intervalDays) => {
+  const updatedAt = storedKey?.psk_updated_at || null;
+  const ageDays = updatedAt ? Math.floor((Date.now() - Date.parse(`${updatedAt.replace(' ', 'T')}Z`)) / DAY_MS) : null;
+  return {
+    pskUpdatedAt: updatedAt,
+    pskAgeDays: ageDays,
+    pskRotationDue: !!(intervalDays && ageDays !== null && ageDays >= intervalDays),
+    pskRotation: storedKey?.psk_staged_at
+      ? { stagedAt: storedKey.psk_staged_at, deadline: storedKey.psk_deadline }
+      : null
+  };
+};
+
+const createPskRotation = ({ routers, database, journal, recordAudit, generatePresharedKey, options = {} }) => {
+  const intervalDays = Number(options.intervalDays) > 0 ? Number(options.intervalDays) : null;
+  const graceDays = Number(options.graceDays) > 0 ? Number(options.graceDays) : DEFAULT_GRACE_DAYS;
+  const intervalMs = (Number(options.checkIntervalMinutes) || DEFAULT_CHECK_INTERVAL_MINUTES) * 60 * 1000;
+  let timer = null;
+  let running = false;
+
+  const conflict = (message) => Object.assign(new Error(message), { status: 409 });
+
+  // Stage a new PSK for one peer; deadline defaults to graceDays from now
+  const stage = async (router, id, { deadline = null } = {}) => {
+    const stored = await database.getPeerKeys(router.id, id);
+    if (!stored) {
+      throw Object.assign(new Error('No keys are stored for this peer'), { status: 404 });
+    }
+    if (stored.pending_preshared_key) {
+      throw conflict('A preshared key rotation is already staged for this peer');
+    }
+
+    const dueAt = deadline ? new Date(deadline) : new Date(Date.now() + graceDays * DAY_MS);
+    if (Number.isNaN(dueAt.getTime()) || dueAt.getTime() <= Date.now()) {
+      throw Object.assign(new Error('Deadline must be a date in the future'), { status: 400 });
+    }
+
+    await database.stagePresharedKey(router.id, id, generatePresharedKey(), toSqlTimestamp(dueAt));
+    return { name: stored.name, deadline: toSqlTimestamp(dueAt) };
+  };
+
+  // Push the staged PSK to the router and make it the current one
+  const complete = async (router, id) => {
+    const stored = await database.getPeerKeys(router.id, id);
+    if (!stored?.pending_preshared_key) {
+      throw conflict('No preshared key rotation is staged for this peer');
+    }
+    await journal.run(router, 'psk_update', {
+      mikrotikId: id,
+      peerName: stored.name,
+      payload: { presharedKey: stored.pending_preshared_key }
+    });
+    return { name: stored.name, stagedAt: stored.psk_staged_at, deadline: stored.psk_deadline };
+  };
+
+  const cancel = async (router, id) => {
+    const stored = await database.getPeerKeys(router.id, id);
+    if (!stored?.pending_preshared_key) {
+      throw conflict('No preshared key rotation is staged for this peer');
+    }
+    await database.clearPendingPresharedKey(router.id, id);
+    return { name: stored.name, stagedAt: stored.psk_staged_at, deadline: stored.psk_deadline };
+  };
+
+  const checkRouter = async (router) => {
+    const peerIds = new Set((await router.mikrotik.getPeers()).map(peer => String(peer['.id'])));
+
+    for (const row of await database.getPskRotationsPastDeadline(router.id)) {
+      if (!peerIds.has(row.mikrotik_id)) continue;
+      try {
+        await complete(router, row.mikrotik_id);
+        await recordAudit(router, 'peer.psk_rotated', {
+          peerId: row.mikrotik_id,
+          peerName: row.name,
+          before: { stagedAt: row.psk_staged_at, deadline: row.psk_deadline },
+          after: { reason: 'deadline' }
+        });
+        console.log(`🔑 Pushed staged preshared key of "${row.name}" on router "${router.id}" (deadline passed)`);
+      } catch (error) {
+        console.error(`Failed to push staged preshared key of ${row.mikrotik_id} on router "${router.id}":`, error.message);
+      }
+    }
+
+    if (!intervalDays) return;
+    for (const row of await database.getPeersDueForPskRotation(router.id, intervalDays)) {
+      if (!peerIds.has(row.mikrotik_id)) continue;
+      try {
+        const { deadline } = await stage(router, row.mikrotik_id);
+        await recordAudit(router, 'peer.psk_staged', {
+          peerId: row.mikrotik_id,
+          peerName: row.name,
+          before: { pskUpdatedAt: row.psk_updated_at },
+          after: { deadline, reason: `older than ${intervalDays} days` }
+        });
+        console.log(`🔑 Staged preshared key rotation of "${row.name}" on router "${router.id}", due ${deadline}`);
+      } catch (error) {
+        console.error(`Failed to stage preshared key rotation of ${row.mikrotik_id} on router "${router.id}":`, error.message);
+      }
+    }
+  };
+
+  // One pass over all routers; overlapping runs are skipped
+  const runOnce = async () => {
+    if (running) return;
+    running = true;
+    try {
+      for (const router of routers.list()) {
+        try {
+          await checkRouter(router);
+        } catch (error) {
+          console.error(`PSK rotation check failed for router "${router.id}":`, error.message);
+        }
+      }
+    } finally {
+      running = false;
+    }
+  };
+
+  const start = () => {
+    if (timer) return;
+    console.log(`🔑 Preshared key rotation check every ${intervalMs / 60000} minute(s)` +
+      (intervalDays ? `, rotating keys older than ${intervalDays} day(s) with ${graceDays} day(s) notice` : ''));
+    runOnce();
+    timer = setInterval(runOnce, intervalMs);
+  };
+
+  const stop = () => {
+    if (timer) {
+      clearInterval(timer);
+      timer = null;
+    }
+  };
+
+  return {
+    stage,
+    complete,
+    cancel,
+    describe: (storedKey) => describePskStatus(storedKey, intervalDays),
+    settings: { intervalDays, graceDays },
+    start,
+    stop,
+    runOnce
+  };
+};
+
+module.exports = { createPskRotation };
@@ -0,0 +1,141 @@
+// Background job that turns the router's rx/tx counters into daily usage (peer_usage) and
+// enforces per-peer data quotas: peers over quota are disabled, and re-enabled once the
+// period rolls over (monthly) or old traffic leaves the window (rolling).
+const {
+  DEFAULT_ROLLING_DAYS,
+  describeQuota,
+  getQuotaWindowStarts,
+  isExpired,
+  toSqlDate
+} = require('./peer-policies');
+
+const DEFAULT_POLL_INTERVAL_MINUTES = 5;
+
+const parseCounter = (value) => {
+  const parsed = parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : 0;
+};
+
+// Traffic since the last sample. A counter lower than before means the peer was re-created or
+// the router rebooted, so everything it shows now is new traffic.
+const counterDelta = (current, last) => (current >= last ? current - last : current);
+
+const createQuotaPoller = ({ routers, database, recordAudit, options = {} }) => {
+  const intervalMs = (Number(options.pollIntervalMinutes) || DEFAULT_POLL_INTERVAL_MINUTES) * 60 * 1000;
+  const rollingDays = Number(options.rollingDays) || DEFAULT_ROLLING_DAYS;
+  let timer = null;
+  let running = false;
+
+  const recordTraffic = async (router, peers) => {
+    const counters = await database.getPeerCounters(router.id);
+    const day = toSqlDate(new Date());
+
+    for (const peer of peers) {
+      const id = String(peer['.id']);
+      const counterRx = parseCounter(peer.rx || peer['rx-bytes']);
+      const counterTx = parseCounter(peer.tx || peer['tx-bytes']);
+      const last = counters.find(c => c.mikrotik_id === id);
+
+      // The first sample of a peer is only a baseline, its history is unknown
+      await database.recordPeerTraffic(router.id, id, day, {
+        rxBytes: last ? counterDelta(counterRx, last.last_rx) : 0,
+        txBytes: last ? counterDelta(counterTx, last.last_tx) : 0,
+        counterRx,
+        counterTx
+      });
+    }
+  };
+
+  const enforceQuotas = async (router, peers) => {
+    const policies = (await database.getPeerPolicies(router.id))
+      .filter(policy => policy.quota_bytes || policy.quota_exceeded_at);
+    if (policies.length === 0) return;
+
+    const { monthStart, rollingStart } = getQuotaWindowStarts(rollingDays);
+    const usage = await database.getQuotaUsage(router.id, monthStart, rollingStart);
+
+    for (const policy of policies) {
+      const id = policy.mikrotik_id;
+      const peer = peers.find(p => String(p['.id']) === id);
+      if (!peer) continue;
+
+      const quota = describeQuota(policy, usage.find(u => u.mikrotik_id === id), rollingDays);
+      const enabled = peer.disabled !== 'true';
+      const peerName = peer.comment || 'Unnamed';
+
+      try {
+        if (quota?.exceeded) {
+          // Also catches peers that were enabled by hand while still over quota. A peer an admin
+          // disabled is left unmarked, so the rollover does not turn it back on.
+          if (enabled) {
+            await router.mikrotik.updatePeer(id, { disabled: 'true' });
+            if (!policy.quota_exceeded_at) {
+              await database.setQuotaExceeded(router.id, id, true);
+            }
+            await recordAudit(router, 'peer.quota_exceeded', {
+              peerId: id,
+              peerName,
+              before: { enabled: true, usedBytes: quota.usedBytes, quotaBytes: quota.limitBytes },
+              after: { enabled: false, usedBytes: quota.usedBytes, quotaBytes: quota.limitBytes }
+            });
+            console.log(`📊 Peer "${peerName}" on router "${router.id}" is over its data quota and was disabled`);
+          }
+        } else if (policy.quota_exceeded_at) {
+          await database.setQuotaExceeded(router.id, id, false);
+
+          // Expired peers stay disabled
+          const expired = policy.expired_at || isExpired(policy.expires_at);
+          if (!enabled && !expired) {
+            await router.mikrotik.updatePeer(id, { disabled: 'false' });
+            await recordAudit(router, 'peer.quota_reset', {
+              peerId: id,
+              peerName,
+              before: { enabled: false, quotaBytes: quota?.limitBytes || null },
+              after: { enabled: true, usedBytes: quota?.usedBytes || 0, quotaBytes: quota?.limitBytes || null }
+            });
+            console.log(`📊 Peer "${peerName}" on router "${router.id}" is within its data quota again and was re-enabled`);
+          }
+        }
+      } catch (error) {
+        console.error(`Failed to enforce quota for peer ${id} on router "${router.id}":`, error.message);
+      }
+    }
+  };
+
+  // One pass over all routers; overlapping runs are skipped
+  const runOnce = async () => {
+    if (running) return;
+    running = true;
+    try {
+      for (const router of routers.list()) {
+        try {
+          const peers = await router.mikrotik.getPeers();
+          await recordTraffic(router, peers);
+          await enforceQuotas(router, peers);
+        } catch (error) {
+          console.error(`Quota poll failed for router "${router.id}":`, error.message);
+        }
+      }
+    } finally {
+      running = false;
+    }
+  };
+
+  const start = () => {
+    if (timer) return;
+    console.log(`📊 Traffic counters polled every ${intervalMs / 60000} minute(s), rolling quotas cover ${rollingDays} day(s)`);
+    runOnce();
+    timer = setInterval(runOnce, intervalMs);
+  };
+
+  const stop = () => {
+    if (timer) {
+      clearInterval(timer);
+      timer = null;
+    }
+  };
+
+  return { start, stop, runOnce };
+};
+
+module.exports = { createQuotaPoller };
@@ -0,0 +1,263 @@
+// Drift between the router and the database. Peers can be changed on the router directly
+// (Winbox, scripts, a restored router backup), so the stored keys, names and addresses may no
+// longer describe what is configured. buildReport() lists every mismatch and the ways it can be
+// resolved; applyResolution() carries out the one an admin picked.
+//
+// Item types and their resolutions:
+//   id_changed        stored keys match a router peer that has a new .id    relink, delete_keys
+//   orphaned_keys     stored keys for a peer that is gone from the router  delete_keys, recreate_peer
+//                     (recreate_peer only when the key and the interface of the peer are known)
+//   missing_keys      router peer without stored keys                      delete_peer (or adopt in the UI)
+//   key_mismatch      stored private key does not belong to the router's public key
+//                                                                          delete_keys, use_database
+//   psk_mismatch      stored and router preshared key differ              use_router, use_database
+//   name_mismatch     router comment differs from the stored name         use_router, use_database
+//   address_mismatch  allowed-address changed on the router               use_router, use_database
+const { mergeRanges, parseAddressList } = require('./ipam');
+
+// Same addresses regardless of order, spacing or "/32" suffixes
+const sameAddresses = (a, b) => {
+  const normalize = (text) => {
+    const ranges = mergeRanges(parseAddressList(text));
+    return ranges.length
+      ? ranges.map(range => `${range.family}:${range.start}-${range.end}`).join(',')
+      : String(text || '').trim();
+  };
+  return normalize(a) === normalize(b);
+};
+
+const describeRouterPeer = (peer) => ({
+  name: peer.comment || '',
+  interface: peer.interface,
+  allowedAddress: peer['allowed-address'] || '',
+  publicKey: peer['public-key'],
+  hasPresharedKey: !!peer['preshared-key']
+});
+
+const describeStored = (stored, publicKey) => ({
+  name: stored.name,
+  interface: stored.interface || null,
+  allowedAddress: stored.allowed_ips || '',
+  publicKey,
+  hasPresharedKey: !!stored.preshared_key,
+  createdAt: stored.created_at
+});
+
+const item = (type, mikrotikId, name, details, resolutions) => ({
+  id: `${type}:${mikrotikId}`,
+  type,
+  mikrotikId: String(mikrotikId),
+  name: name || 'Unnamed',
+  ...details,
+  resolutions
+});
+
+const createReconciler = ({ database, journal, derivePublicKey }) => {
+  const publicKeyOf = (stored) => {
+    if (!stored.private_key) return null;
+    try {
+      return derivePublicKey(stored.private_key);
+    } catch (error) {
+      return null;
+    }
+  };
+
+  // Every mismatch between the router's peers and the stored keys of one router
+  const buildReport = async (router) => {
+    const routerPeers = await router.mikrotik.getPeers();
+    const storedKeys = await database.getAllPeerKeys(router.id);
+    const items = [];
+
+    const peersById = new Map(routerPeers.map(peer => [String(peer['.id']), peer]));
+    const storedIds = new Set(storedKeys.map(stored => stored.mikrotik_id));
+    const relinked = new Set();
+
+    storedKeys.forEach(stored => {
+      const publicKey = publicKeyOf(stored);
+      const storedView = describeStored(stored, publicKey);
+      const peer = peersById.get(stored.mikrotik_id);
+
+      if (!peer) {
+        // Same key under a .id we have nothing stored for: the peer was re-created or the router restored
+        const moved = publicKey && routerPeers.find(candidate => candidate['public-key'] === publicKey &&
+          !storedIds.has(String(candidate['.id'])) && !relinked.has(String(candidate['.id'])));
+        if (moved) {
+          relinked.add(String(moved['.id']));
+          items.push(item('id_changed', stored.mikrotik_id, stored.name, {
+            newId: String(moved['.id']),
+            message: `Router lists this peer under ${moved['.id']} now`,
+            stored: storedView,
+            router: describeRouterPeer(moved)
+          }, ['relink', 'delete_keys']));
+        } else {
+          // Keys saved before the interface was stored cannot say where to re-create the peer
+          items.push(item('orphaned_keys', stored.mikrotik_id, stored.name, {
+            message: 'Keys are stored but the peer no longer exists on the router' +
+              (publicKey && !stored.interface ? ' (its interface is unknown, so it cannot be re-created)' : ''),
+            stored: storedView,
+            router: null
+          }, publicKey && stored.interface ? ['delete_keys', 'recreate_peer'] : ['delete_keys']));
+        }
+        return;
+      }
+
+      const routerView = describeRouterPeer(peer);
+      const details = { stored: storedView, router: routerView };
+
+      if (!publicKey) {
+        items.push(item('key_mismatch', stored.mikrotik_id, stored.name, {
+          ...details,
+          message: `Stored private key cannot be read${stored.decrypt_error ? ` (${stored.decrypt_error})` : ''}`
+        }, ['delete_keys']));
+      } else if (publicKey !== peer['public-key']) {
+        items.push(item('key_mismatch', stored.mikrotik_id, stored.name, {
+          ...details,
+          message: 'Public key on the router does not belong to the stored private key'
+        }, ['delete_keys', 'use_database']));
+      } else if ((stored.preshared_key || '') !== (peer['preshared-key'] || '')) {
+        items.push(item('psk_mismatch', stored.mikrotik_id, stored.name, {
+          ...details,
+          message: 'Preshared key on the router differs from the stored one'
+        }, ['use_router', 'use_database']));
+      }
+
+      if ((peer.comment || '') !== (stored.name || '')) {
+        items.push(item('name_mismatch', stored.mikrotik_id, stored.name, {
+          ...details,
+          message: `Renamed on the router to "${peer.comment || ''}"`
+        }, ['use_router', 'use_database']));
+      }
+
+      if (!sameAddresses(peer['allowed-address'], stored.allowed_ips)) {
+        items.push(item('address_mismatch', stored.mikrotik_id, stored.name, {
+          ...details,
+          message: `Allowed address changed on the router to ${peer['allowed-address'] || '(none)'}`
+        }, ['use_router', 'use_database']));
+      }
+    });
+
+    routerPeers
+      .filter(peer => !storedIds.has(String(peer['.id'])) && !relinked.has(String(peer['.id'])))
+      .forEach(peer => {
+        items.push(item('missing_keys', peer['.id'], peer.comment, {
+          message: 'Peer exists on the router but no keys are stored (created outside the manager)',
+          stored: null,
+          router: describeRouterPeer(peer)
+        }, ['delete_peer']));
+      });
+
+    const summary = items.reduce((counts, entry) => ({ ...counts, [entry.type]: (counts[entry.type] || 0) + 1 }), {});
+    return {
+      router: router.id,
+      checkedAt: new Date().toISOString(),
+      routerPeers: routerPeers.length,
+      storedPeers: storedKeys.length,
+      summary,
+      items
+    };
+  };
+
+  // Carry out one resolution of a report item. Returns a short description of what changed.
+  const applyResolution = async (router, entry, resolution) => {
+    const { mikrotik } = router;
+    const id = entry.mikrotikId;
+
+    if (!entry.resolutions.includes(resolution)) {
+      throw Object.assign(new Error(`"${resolution}" does not resolve ${entry.type}`), { status: 400 });
+    }
+
+    switch (`${entry.type}/${resolution}`) {
+      case 'id_changed/relink':
+        await database.movePeerKeys(router.id, id, entry.newId);
+        return `Keys moved from ${id} to ${entry.newId}`;
+
+      case 'id_changed/delete_keys':
+      case 'orphaned_keys/delete_keys':
+        await database.deletePeerKeys(router.id, id);
+        await database.deletePeerData(router.id, id);
+        return 'Stored keys and settings deleted';
+
+      case 'key_mismatch/delete_keys':
+        // The router peer stays; its policy and statistics still apply to it
+        await database.deletePeerKeys(router.id, id);
+        return 'Stored keys deleted';
+
+      case 'orphaned_keys/recreate_peer': {
+        const stored = await database.getPeerKeys(router.id, id);
+        const peerData = {
+          'interface': stored.interface,
+          'public-key': derivePublicKey(stored.private_key),
+          'allowed-address': stored.allowed_ips,
+          comment: stored.name
+        };
+        if (stored.preshared_key) {
+          peerData['preshared-key'] = stored.preshared_key;
+        }
+        // A failed step removes the re-created router peer again
+        const newId = await journal.run(router, 'recreate', {
+          mikrotikId: id,
+          peerName: stored.name,
+          payload: { publicKey: peerData['public-key'], movesKeys: true }
+        }, async () => {
+          const createdId = String(await mikrotik.createPeer(peerData));
+          // RouterOS may hand out an ID that another orphaned row still uses
+          if (createdId !== id) {
+            if (await database.getPeerKeys(router.id, createdId)) {
+              throw Object.assign(new Error(`The router assigned ${createdId}, which still has stored keys; resolve that item first`), { status: 409 });
+            }
+            await database.movePeerKeys(router.id, id, createdId);
+          }
+          return createdId;
+        });
+        return `Peer re-created on the router as ${newId}`;
+      }
+
+      case 'missing_keys/delete_peer':
+        await journal.run(router, 'delete', {
+          mikrotikId: id,
+          peerName: entry.name,
+          payload: { publicKey: entry.router.publicKey }
+        });
+        return 'Peer removed from the router';
+
+      case 'key_mismatch/use_database':
+        await mikrotik.updatePeer(id, { 'public-key': entry.stored.publicKey });
+        return 'Router public key replaced with the stored one';
+
+      case 'psk_mismatch/use_router': {
+        const peer = await mikrotik.getPeer(id);
+        await database.updatePresharedKey(router.id, id, peer['preshared-key'] || null);
+        return 'Stored preshared key replaced with the router one';
+      }
+
+      case 'psk_mismatch/use_database': {
+        const stored = await database.getPeerKeys(router.id, id);
+        await mikrotik.updatePeer(id, { 'preshared-key': stored.preshared_key || '' });
+        return 'Router preshared key replaced with the stored one';
+      }
+
+      case 'name_mismatch/use_router':
+        await database.updatePeerKeyDetails(router.id, id, { name: entry.router.name });
+        return `Stored name changed to "${entry.router.name}"`;
+
+      case 'name_mismatch/use_database':
+        await mikrotik.updatePeer(id, { comment: entry.stored.name });
+        return `Router comment changed to "${entry.stored.name}"`;
+
+      case 'address_mismatch/use_router':
+        await database.updatePeerKeyDetails(router.id, id, { allowed_ips: entry.router.allowedAddress });
+        return `Stored address changed to ${entry.router.allowedAddress}`;
+
+      case 'address_mismatch/use_database':
+        await mikrotik.updatePeer(id, { 'allowed-address': entry.stored.allowedAddress });
+        return `Router allowed-address changed to ${entry.stored.allowedAddress}`;
+
+      default:
+        throw Object.assign(new Error(`Unsupported resolution ${resolution} for ${entry.type}`), { status: 400 });
+    }
+  };
+
+  return { buildReport, applyResolution };
+};
+
+module.exports = { createReconciler };
@@ -0,0 +1,64 @@
+// Re-encrypt all stored peer keys with a new master key.
+//
+// Usage (stop the server first):
+//   node backend/rotate-master-key.js                 generate a new random key
+//   node backend/rotate-master-key.js --new-key <key>  use the given base64/hex key
+//
+// The current key is read the same way the server reads it (WGM_MASTER_KEY,
+// WGM_MASTER_KEY_FILE or backend/master.key).
+const fs = require('fs');
+const {
+  createKeyCipher,
+  generateMasterKey,
+  loadMasterKey,
+  parseMasterKey,
+  writeKeyFile
+} = require('./key-encryption');
+
+const parseArgs = (argv) => {
+  const index = argv.indexOf('--new-key');
+  return { newKey: index >= 0 ? argv[index + 1] : null };
+};
+
+const main = async () => {
+  const { newKey } = parseArgs(process.argv.slice(2));
+  const newKeyText = newKey || generateMasterKey();
+  const newCipher = createKeyCipher(parseMasterKey(newKeyText));
+
+  const current = loadMasterKey();
+  const database = require('./database');
+
+  if (!(await database.ready)) {
+    throw new Error('Database is not available');
+  }
+
+  // Keep the new key on disk before touching the database so it can never be lost
+  const pendingKeyFile = current.keyFile ? `${current.keyFile}.new` : null;
+  if (pendingKeyFile) {
+    writeKeyFile(pendingKeyFile, newKeyText);
+  }
+
+  let count;
+  try {
+    count = await database.rotateMasterKey(newCipher);
+  } catch (error) {
+    if (pendingKeyFile) fs.unlinkSync(pendingKeyFile);
+    throw error;
+  }
+  await database.close();
+
+  if (pendingKeyFile) {
+    fs.renameSync(pendingKeyFile, current.keyFile);
+    console.log(`🔑 Master key file updated: ${current.keyFile}`);
+  } else {
+    console.log('🔑 New master key (update WGM_MASTER_KEY before starting the server):');
+    console.log(newKeyText);
+  }
+
+  console.log(`✅ Master key rotated, ${count} peer(s) re-encrypted`);
+};
+
+main().catch((error) => {
+  console.error('❌ Master key rotation failed:', error.message);
+  process.exit(1);
+});
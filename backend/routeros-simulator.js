@@ -0,0 +1,472 @@
+// Simulated MikroTik router for development and tests. It speaks the RouterOS API protocol
+// (the one node-routeros uses on port 8728), so MikrotikAPI talks to it exactly like to a real
+// router. Implemented commands:
+//   /login, /system/identity/print, /ip/address/print, /ipv6/address/print
+//   /interface/wireguard/print
+//   /interface/wireguard/peers/print, add, set, remove
+// Peers get .id values the way RouterOS hands them out (*1, *2, ... *A, never reused). Enabled
+// peers whose simulated client is online show a current endpoint, growing rx/tx counters and a
+// last-handshake that renews every two minutes; the others never complete a handshake.
+//
+// Demo mode in config.json points every configured router at a local simulator:
+//   "demo": { "enabled": true, "port": 8728, "startSimulator": true }
+// Router n (from 0) uses port + n. With "startSimulator": false the server does not start the
+// simulators itself; run them with `npm run simulator` instead. Their state is kept in the
+// system temp directory, so peers survive restarts of the server.
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const nacl = require('tweetnacl');
+const { getPools, parseCidr, formatAddress } = require('./ipam');
+
+const DEFAULT_PORT = 8728;
+// Share of new peers whose simulated client connects
+const DEFAULT_ONLINE_RATIO = 0.7;
+const HANDSHAKE_INTERVAL_SECONDS = 120;
+
+const PEER_PROPERTIES = [
+  'interface', 'public-key', 'preshared-key', 'allowed-address', 'endpoint-address', 'endpoint-port',
+  'persistent-keepalive', 'comment', 'disabled', 'responder', 'name'
+];
+
+// Word lengths are sent as 1 to 5 bytes, the high bits of the first byte tell how many
+const encodeLength = (length) => {
+  if (length < 0x80) return Buffer.from([length]);
+  if (length < 0x4000) return Buffer.from([(length >> 8) | 0x80, length & 0xff]);
+  if (length < 0x200000) return Buffer.from([(length >> 16) | 0xc0, (length >> 8) & 0xff, length & 0xff]);
+  if (length < 0x10000000) {
+    return Buffer.from([(length >>> 24) | 0xe0, (length >> 16) & 0xff, (length >> 8) & 0xff, length & 0xff]);
+  }
+  return Buffer.from([0xf0, (length >>> 24) & 0xff, (length >> 16) & 0xff, (length >> 8) & 0xff, length & 0xff]);
+};
+
+// { length, size } of the length prefix at offset; null while it is incomplete
+const decodeLength = (buffer, offset) => {
+  if (offset >= buffer.length) return null;
+  const first = buffer[offset];
+  const size = first < 0x80 ? 1 : first < 0xc0 ? 2 : first < 0xe0 ? 3 : first < 0xf0 ? 4 : 5;
+  if (offset + size > buffer.length) return null;
+  let length = size === 5 ? 0 : first & (0xff >> size);
+  for (let i = 1; i < size; i++) {
+    length = length * 256 + buffer[offset + i];
+  }
+  return { length, size };
+};
+
+const encodeSentence = (words) => Buffer.concat([
+  ...words.flatMap(word => {
+    const bytes = Buffer.from(word, 'latin1');
+    return [encodeLength(bytes.length), bytes];
+  }),
+  Buffer.from([0])
+]);
+
+// RouterOS durations: 1w2d3h4m5s without the zero parts
+const formatDuration = (totalSeconds) => {
+  let seconds = Math.max(0, Math.floor(totalSeconds));
+  const parts = [];
+  for (const [unit, size] of [['w', 604800], ['d', 86400], ['h', 3600], ['m', 60]]) {
+    if (seconds >= size) {
+      parts.push(`${Math.floor(seconds / size)}${unit}`);
+      seconds %= size;
+    }
+  }
+  if (seconds > 0 || parts.length === 0) parts.push(`${seconds}s`);
+  return parts.join('');
+};
+
+const formatId = (number) => `*${number.toString(16).toUpperCase()}`;
+
+const isWireGuardKey = (value) => /^[A-Za-z0-9+/]{43}=$/.test(value || '');
+
+// A command failed the way RouterOS reports it: !trap with a message
+const trap = (message) => Object.assign(new Error(message), { trap: true });
+
+const randomInt = (min, max) => min + Math.floor(Math.random() * (max - min + 1));
+
+const createRouterOsSimulator = ({
+  identity = 'MikroTik',
+  username = 'admin',
+  password = '',
+  interfaces = [{ name: 'wg0', listenPort: 51820 }],
+  addresses = [],
+  onlineRatio = DEFAULT_ONLINE_RATIO,
+  stateFile = null
+} = {}) => {
+  const sockets = new Set();
+  // Queued by failNext(): command -> list of trap messages
+  const failures = new Map();
+  // Commands to apply without answering, dropping the session instead (disconnectAfterNext())
+  const disconnects = new Map();
+  let server = null;
+
+  const newState = () => ({
+    nextPeerId: 1,
+    interfaces: interfaces.map((iface, index) => {
+      const keys = nacl.box.keyPair();
+      return {
+        '.id': formatId(index + 1),
+        name: iface.name,
+        mtu: '1420',
+        'listen-port': String(iface.listenPort || 51820),
+        'private-key': Buffer.from(keys.secretKey).toString('base64'),
+        'public-key': Buffer.from(keys.publicKey).toString('base64'),
+        running: 'true',
+        disabled: 'false'
+      };
+    }),
+    peers: []
+  });
+
+  const loadState = () => {
+    if (stateFile && fs.existsSync(stateFile)) {
+      try {
+        return JSON.parse(fs.readFileSync(stateFile, 'utf8'));
+      } catch (error) {
+        console.error(`Ignoring unreadable simulator state ${stateFile}:`, error.message);
+      }
+    }
+    return newState();
+  };
+
+  const state = loadState();
+
+  const saveState = () => {
+    if (!stateFile) return;
+    try {
+      fs.writeFileSync(stateFile, JSON.stringify(state, null, 2));
+    } catch (error) {
+      console.error(`Failed to save simulator state ${stateFile}:`, error.message);
+    }
+  };
+
+  // Traffic of a peer's simulated client, evaluated whenever the peer is printed
+  const newTraffic = (online) => ({
+    online,
+    since: Date.now(),
+    rx: 0,
+    tx: 0,
+    rxRate: randomInt(200, 50000),
+    txRate: randomInt(100, 20000),
+    endpointAddress: `203.0.113.${randomInt(2, 254)}`,
+    endpointPort: randomInt(1024, 65535)
+  });
+
+  const isActive = (peer) => peer.traffic.online && peer.disabled !== 'true';
+
+  // Fold the traffic since the last change into the counters (before the peer is disabled)
+  const settleTraffic = (peer) => {
+    if (isActive(peer)) {
+      const seconds = (Date.now() - peer.traffic.since) / 1000;
+      peer.traffic.rx += Math.floor(seconds * peer.traffic.rxRate);
+      peer.traffic.tx += Math.floor(seconds * peer.traffic.txRate);
+    }
+    peer.traffic.since = Date.now();
+  };
+
+  const printPeer = ({ traffic, ...peer }) => {
+    const seconds = (Date.now() - traffic.since) / 1000;
+    const active = traffic.online && peer.disabled !== 'true';
+    const printed = {
+      ...peer,
+      rx: String(traffic.rx + (active ? Math.floor(seconds * traffic.rxRate) : 0)),
+      tx: String(traffic.tx + (active ? Math.floor(seconds * traffic.txRate) : 0))
+    };
+    if (active) {
+      printed['current-endpoint-address'] = traffic.endpointAddress;
+      printed['current-endpoint-port'] = String(traffic.endpointPort);
+      printed['last-handshake'] = formatDuration(seconds % HANDSHAKE_INTERVAL_SECONDS);
+    }
+    return printed;
+  };
+
+  const normalizeBoolean = (name, value) => {
+    if (['yes', 'true'].includes(value)) return 'true';
+    if (['no', 'false'].includes(value)) return 'false';
+    throw trap(`value of ${name} must be yes or no`);
+  };
+
+  // Check and normalize the properties of peers add/set
+  const peerProperties = (params, peerId = null) => {
+    const properties = {};
+    for (const [name, value] of Object.entries(params)) {
+      if (name === '.id') continue;
+      if (!PEER_PROPERTIES.includes(name)) {
+        throw trap(`unknown parameter ${name}`);
+      }
+      properties[name] = value;
+    }
+
+    if (properties.interface !== undefined && !state.interfaces.some(iface => iface.name === properties.interface)) {
+      throw trap('input does not match any value of interface');
+    }
+    if (properties['public-key'] !== undefined) {
+      if (!isWireGuardKey(properties['public-key'])) throw trap('invalid public-key');
+      if (state.peers.some(peer => peer['.id'] !== peerId && peer['public-key'] === properties['public-key'])) {
+        throw trap('failure: peer with the same public key already exists');
+      }
+    }
+    if (properties['preshared-key'] && !isWireGuardKey(properties['preshared-key'])) {
+      throw trap('invalid preshared-key');
+    }
+    if (properties['allowed-address'] !== undefined) {
+      const entries = properties['allowed-address'].split(',').map(entry => entry.trim()).filter(Boolean);
+      if (entries.some(entry => !parseCidr(entry))) throw trap('invalid value for argument allowed-address');
+      properties['allowed-address'] = entries.join(',');
+    }
+    for (const name of ['disabled', 'responder']) {
+      if (properties[name] !== undefined) properties[name] = normalizeBoolean(name, properties[name]);
+    }
+    return properties;
+  };
+
+  const findPeer = (id) => {
+    const peer = state.peers.find(candidate => candidate['.id'] === id);
+    if (!peer) throw trap('no such item');
+    return peer;
+  };
+
+  // Each handler gets the =name=value attributes and returns the !re rows (or { ret })
+  const commands = {
+    '/system/identity/print': () => [{ name: identity }],
+    '/ip/address/print': () => addresses.filter(entry => parseCidr(entry.address)?.family === 4),
+    '/ipv6/address/print': () => addresses.filter(entry => parseCidr(entry.address)?.family === 6),
+    '/interface/wireguard/print': () => state.interfaces,
+    '/interface/wireguard/peers/print': () => state.peers.map(printPeer),
+
+    '/interface/wireguard/peers/add': (params) => {
+      const properties = peerProperties(params);
+      if (!properties.interface) throw trap('failure: interface not specified');
+      if (!properties['public-key']) throw trap('failure: public-key not specified');
+
+      const peer = {
+        '.id': formatId(state.nextPeerId++),
+        interface: properties.interface,
+        'public-key': properties['public-key'],
+        'endpoint-address': '',
+        'endpoint-port': '0',
+        'allowed-address': '',
+        'preshared-key': '',
+        'persistent-keepalive': '0s',
+        responder: 'false',
+        disabled: 'false',
+        dynamic: 'false',
+        ...properties,
+        traffic: newTraffic(Math.random() < onlineRatio)
+      };
+      state.peers.push(peer);
+      saveState();
+      return { ret: peer['.id'] };
+    },
+
+    '/interface/wireguard/peers/set': (params) => {
+      if (!params['.id']) throw trap('failure: .id not specified');
+      const peer = findPeer(params['.id']);
+      const properties = peerProperties(params, peer['.id']);
+      settleTraffic(peer);
+      Object.assign(peer, properties);
+      saveState();
+      return [];
+    },
+
+    '/interface/wireguard/peers/remove': (params) => {
+      if (!params['.id']) throw trap('failure: .id not specified');
+      // Several items can be removed at once: =.id=*1,*2
+      const ids = params['.id'].split(',');
+      ids.forEach(findPeer);
+      state.peers = state.peers.filter(peer => !ids.includes(peer['.id']));
+      saveState();
+      return [];
+    }
+  };
+
+  // ?name=value query words select rows, =.proplist=a,b limits the printed properties
+  const filterRows = (rows, queries, proplist) => rows
+    .filter(row => queries.every(([name, value]) => (row[name] ?? '') === value))
+    .map(row => (proplist
+      ? Object.fromEntries(Object.entries(row).filter(([name]) => proplist.includes(name)))
+      : row));
+
+  const execute = (session, words) => {
+    const [command, ...rest] = words;
+    const params = {};
+    const queries = [];
+    let tag = null;
+    for (const word of rest) {
+      const attribute = word.match(/^=([^=]+)=(.*)$/s);
+      if (attribute) {
+        params[attribute[1]] = attribute[2];
+      } else if (word.startsWith('?')) {
+        const [name, ...value] = word.slice(1).split('=');
+        queries.push([name, value.join('=')]);
+      } else if (word.startsWith('.tag=')) {
+        tag = word.slice(5);
+      }
+    }
+    const tagged = (reply) => (tag === null ? reply : [...reply, `.tag=${tag}`]);
+    const attributes = (row) => Object.entries(row).map(([name, value]) => `=${name}=${value}`);
+    const send = (sentences) => session.socket.write(Buffer.concat(sentences.map(encodeSentence)));
+
+    try {
+      if (command === '/login') {
+        if (params.name !== username || params.password !== password) {
+          throw trap('invalid user name or password (6)');
+        }
+        session.loggedIn = true;
+        return send([tagged(['!done'])]);
+      }
+      if (!session.loggedIn) throw trap('not logged in');
+
+      const handler = commands[command];
+      if (!handler) throw trap('no such command prefix');
+      const queued = failures.get(command);
+      if (queued?.length) {
+        throw trap(queued.shift());
+      }
+
+      const result = handler(params);
+      if (disconnects.get(command) > 0) {
+        disconnects.set(command, disconnects.get(command) - 1);
+        return session.socket.destroy();
+      }
+      if (!Array.isArray(result)) {
+        return send([tagged(['!done', `=ret=${result.ret}`])]);
+      }
+      const proplist = params['.proplist'] ? params['.proplist'].split(',') : null;
+      return send([
+        ...filterRows(result, queries, proplist).map(row => tagged(['!re', ...attributes(row)])),
+        tagged(['!done'])
+      ]);
+    } catch (error) {
+      if (!error.trap) console.error(`Simulator failed on ${command}:`, error);
+      return send([tagged(['!trap', `=message=${error.message}`]), tagged(['!done'])]);
+    }
+  };
+
+  // Split the byte stream into sentences (lists of words ended by an empty word)
+  const handleData = (session, data) => {
+    session.buffer = Buffer.concat([session.buffer, data]);
+    let offset = 0;
+    for (;;) {
+      const words = [];
+      let position = offset;
+      let complete = false;
+      for (;;) {
+        const prefix = decodeLength(session.buffer, position);
+        if (!prefix || position + prefix.size + prefix.length > session.buffer.length) break;
+        position += prefix.size;
+        if (prefix.length === 0) {
+          complete = true;
+          break;
+        }
+        words.push(session.buffer.toString('latin1', position, position + prefix.length));
+        position += prefix.length;
+      }
+      if (!complete) break;
+      offset = position;
+      if (words.length > 0) execute(session, words);
+    }
+    session.buffer = session.buffer.subarray(offset);
+  };
+
+  const start = (port = DEFAULT_PORT, host = '127.0.0.1') => new Promise((resolve, reject) => {
+    server = net.createServer((socket) => {
+      const session = { socket, buffer: Buffer.alloc(0), loggedIn: false };
+      sockets.add(socket);
+      socket.on('data', (data) => handleData(session, data));
+      socket.on('error', () => socket.destroy());
+      socket.on('close', () => sockets.delete(socket));
+    });
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      server.removeListener('error', reject);
+      resolve(server.address().port);
+    });
+  });
+
+  const stop = () => new Promise((resolve) => {
+    sockets.forEach(socket => socket.destroy());
+    if (!server) return resolve();
+    server.close(() => resolve());
+    server = null;
+  });
+
+  return {
+    start,
+    stop,
+    // The next n runs of command fail with a !trap carrying message
+    failNext: (command, message = 'failure: simulated error', times = 1) => {
+      failures.set(command, [...(failures.get(command) || []), ...Array(times).fill(message)]);
+    },
+    // Apply the next n runs of command but lose the session before the reply, like a router
+    // that goes away in the middle of a change
+    disconnectAfterNext: (command, times = 1) => {
+      disconnects.set(command, (disconnects.get(command) || 0) + times);
+    },
+    // Drop all API sessions, like a router reboot or a network outage
+    disconnectAll: () => sockets.forEach(socket => socket.destroy()),
+    getPeers: () => state.peers.map(printPeer),
+    getInterfaces: () => state.interfaces
+  };
+};
+
+// Simulator settings for one configured router: its WireGuard interfaces and, for every address
+// pool, the pool's first address as the router's own address on that interface
+const simulatorOptionsForRouter = (routerConfig) => {
+  const wireguard = routerConfig.wireguard || {};
+  const { interfaces = {}, ...defaults } = wireguard;
+  const names = Object.keys(interfaces).length > 0 ? Object.keys(interfaces) : [wireguard.interfaceName || 'wg0'];
+
+  const addresses = [];
+  const simulatedInterfaces = names.map((name, index) => {
+    const settings = { ...defaults, ...(interfaces[name] || {}), interfaceName: name };
+    getPools(settings).forEach(pool => {
+      const prefix = pool.cidr.split('/')[1];
+      addresses.push({
+        '.id': formatId(addresses.length + 1),
+        address: `${formatAddress(pool.family, pool.start + 1n)}/${prefix}`,
+        interface: name,
+        disabled: 'false'
+      });
+    });
+    return { name, listenPort: Number(settings.serverPort) || 51820 + index };
+  });
+
+  return {
+    identity: routerConfig.name || routerConfig.id,
+    username: routerConfig.mikrotik?.username || 'admin',
+    password: routerConfig.mikrotik?.password || '',
+    interfaces: simulatedInterfaces,
+    addresses,
+    stateFile: path.join(os.tmpdir(), `wireguard-manager-demo-${routerConfig.id}.json`)
+  };
+};
+
+// Start one simulator per router; routers are { id, name, mikrotik, wireguard } config entries
+// whose mikrotik.port is already the demo port (see createRouterRegistry)
+const startDemoSimulators = async (routerConfigs) => {
+  const simulators = [];
+  for (const routerConfig of routerConfigs) {
+    const simulator = createRouterOsSimulator(simulatorOptionsForRouter(routerConfig));
+    try {
+      const port = await simulator.start(routerConfig.mikrotik.port);
+      simulators.push(simulator);
+      console.log(`🧪 Simulated router "${routerConfig.id}" listening on 127.0.0.1:${port}`);
+    } catch (error) {
+      console.error(`❌ Failed to start simulated router "${routerConfig.id}":`, error.message);
+    }
+  }
+  return simulators;
+};
+
+module.exports = { createRouterOsSimulator, simulatorOptionsForRouter, startDemoSimulators };
+
+// `npm run simulator`: the demo simulators for backend/config.json, without the server
+if (require.main === module) {
+  const { demoRouterConfigs } = require('./routers');
+  const config = JSON.parse(fs.readFileSync(path.join(__dirname, 'config.json'), 'utf8'));
+  startDemoSimulators(demoRouterConfigs(config)).then(simulators => {
+    if (simulators.length === 0) process.exit(1);
+  });
+}
@@ -0,0 +1,68 @@
+const { MikrotikAPI } = require('./mikrotik-api');
+const { getPools } = require('./ipam');
+
+// Older configs have a single top-level "mikrotik"/"wireguard" block instead of a "routers" list
+const normalizeRouterConfigs = (config) => {
+  if (Array.isArray(config.routers) && config.routers.length > 0) {
+    return config.routers;
+  }
+  if (config.mikrotik) {
+    return [{
+      id: 'default',
+      name: config.mikrotik.host,
+      mikrotik: config.mikrotik,
+      wireguard: config.wireguard || {}
+    }];
+  }
+  throw new Error('No routers configured. Add a "routers" list to backend/config.json');
+};
+
+// Demo mode: router n talks to the simulator on 127.0.0.1 at demo.port + n instead of its MikroTik
+// (see routeros-simulator.js)
+const demoRouterConfigs = (config) => {
+  const basePort = Number(config.demo?.port) || 8728;
+  return normalizeRouterConfigs(config).map((routerConfig, index) => ({
+    ...routerConfig,
+    id: String(routerConfig.id || `router${index + 1}`),
+    mikrotik: { ...routerConfig.mikrotik, host: '127.0.0.1', port: basePort + index }
+  }));
+};
+
+const createRouterRegistry = (config) => {
+  const routers = new Map();
+  const routerConfigs = config.demo?.enabled ? demoRouterConfigs(config) : normalizeRouterConfigs(config);
+
+  routerConfigs.forEach((routerConfig, index) => {
+    const id = String(routerConfig.id || `router${index + 1}`);
+    if (!/^[A-Za-z0-9_-]+$/.test(id)) {
+      throw new Error(`Invalid router id "${id}" (use letters, digits, "-" and "_")`);
+    }
+    if (routers.has(id)) {
+      throw new Error(`Duplicate router id "${id}" in config.json`);
+    }
+
+    const wireguard = routerConfig.wireguard || {};
+    // Report broken address pools at startup instead of on the first peer creation
+    const { interfaces = {}, ...defaults } = wireguard;
+    Object.entries(interfaces).forEach(([name, settings]) => {
+      getPools({ ...defaults, ...settings, interfaceName: name });
+    });
+
+    routers.set(id, {
+      id,
+      name: routerConfig.name || routerConfig.mikrotik?.host || id,
+      wireguard,
+      mikrotik: new MikrotikAPI({ ...routerConfig.mikrotik, wireguard })
+    });
+  });
+
+  const defaultId = routers.keys().next().value;
+
+  return {
+    defaultId,
+    get: (id) => routers.get(String(id)) || null,
+    list: () => Array.from(routers.values())
+  };
+};
+
+module.exports = { createRouterRegistry, demoRouterConfigs };
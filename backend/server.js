@@ -1,28 +1,176 @@
 const express = require('express');
 const cors = require('cors');
 const crypto = require('crypto');
-const { MikrotikAPI } = require('./mikrotik-api');
+const { createRouterRegistry, demoRouterConfigs } = require('./routers');
 const database = require('./database');
+const { createAuth, hasPermission } = require('./auth');
+const { createExpiryScheduler } = require('./expiry-scheduler');
+const { createQuotaPoller } = require('./quota-poller');
+const { createStatsCollector, buildStatsSeries, isPeerOnline } = require('./stats-collector');
+const { createLiveUpdates } = require('./live-updates');
+const { planImport } = require('./peer-import');
+const { allocateAddresses, describePools, getPools, parseAddressList } = require('./ipam');
+const { createProfileRegistry, generateClientConfig, resolveEndpoint } = require('./client-profiles');
+const {
+  DEFAULT_ROLLING_DAYS,
+  describePolicy,
+  describeQuota,
+  getQuotaWindowStarts,
+  isExpired,
+  mergePolicy,
+  parsePolicyFields,
+  savePolicyChanges,
+  toSqlTimestamp
+} = require('./peer-policies');
 const path = require('path');
 const fs = require('fs');
+const QRCode = require('qrcode');
+const archiver = require('archiver');
+const { toCsv } = require('./csv');
+const { createReconciler } = require('./reconciliation');
+const { createBackupService } = require('./backup');
+const { createPskRotation } = require('./psk-rotation');
+const { createKeyRotation } = require('./key-rotation');
+const { createOperationJournal } = require('./operation-journal');
+const { startDemoSimulators } = require('./routeros-simulator');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
+// A router that does not answer /api/health within this counts as unreachable
+const HEALTH_CHECK_TIMEOUT_MS = 5000;
+// Anonymous /api/health callers share one check per this interval
+const HEALTH_CACHE_MS = 10000;
 
 // Middleware
 app.use(cors());
 app.use(express.json());
 
-// Load configuration
+// Started with `node backend/server.js`; when required (by the tests) the app is only exported
+const isMainModule = require.main === module;
+
+// Invalid configuration ends the process, or is thrown to whoever required this module
+const configurationError = (message) => {
+  console.error(message);
+  if (isMainModule) process.exit(1);
+  throw new Error(message);
+};
+
+// Load configuration (WGM_CONFIG_PATH overrides backend/config.json)
 let config = {};
 try {
-  config = JSON.parse(fs.readFileSync(path.join(__dirname, 'config.json'), 'utf8'));
+  config = JSON.parse(fs.readFileSync(process.env.WGM_CONFIG_PATH || path.join(__dirname, 'config.json'), 'utf8'));
+} catch (error) {
+  configurationError('Config file not found or invalid. Please create backend/config.json');
+}
+
+// One MikrotikAPI connection per configured router
+let routers;
+try {
+  routers = createRouterRegistry(config);
+} catch (error) {
+  configurationError(`Invalid router configuration: ${error.message}`);
+}
+// Demo mode ("demo" in config.json): the routers are local simulators
+if (config.demo?.enabled && isMainModule) {
+  console.log('🧪 Demo mode: routers are simulated, no MikroTik will be contacted');
+  if (config.demo.startSimulator !== false) {
+    startDemoSimulators(demoRouterConfigs(config));
+  }
+}
+let clientProfiles;
+try {
+  clientProfiles = createProfileRegistry(config.clientProfiles);
 } catch (error) {
-  console.error('Config file not found or invalid. Please create backend/config.json');
-  process.exit(1);
+  configurationError(`Invalid client profile configuration: ${error.message}`);
 }
+const auth = createAuth(config.auth);
+const quotaRollingDays = Number(config.quotas?.rollingDays) || DEFAULT_ROLLING_DAYS;
+
+// Peer routes exist both router-scoped (/api/routers/:routerId/...) and unscoped for the default router
+const routerPaths = (subPath) => [`/api${subPath}`, `/api/routers/:routerId${subPath}`];
+
+// Middleware: attach the router addressed by :routerId (or the default router) as req.router
+const resolveRouter = (req, res, next) => {
+  const router = routers.get(req.params.routerId || routers.defaultId);
+  if (!router) {
+    return res.status(404).json({ error: `Unknown router: ${req.params.routerId}` });
+  }
+  req.router = router;
+  next();
+};
+
+// Authentication routes (login is the only /api route reachable without a session)
+app.post('/api/auth/login', auth.login);
+app.post('/api/auth/logout', auth.logout);
+
+// Ping every router once; results without hosts or error messages
+const checkRouterHealth = async () => {
+  const checks = await Promise.all(routers.list().map(async ({ id, mikrotik }) => {
+    let timer;
+    try {
+      const latencyMs = await Promise.race([
+        mikrotik.ping(),
+        new Promise((resolve, reject) => {
+          timer = setTimeout(() => reject(new Error('Health check timed out')), HEALTH_CHECK_TIMEOUT_MS);
+        })
+      ]);
+      return { id, connected: true, latencyMs };
+    } catch (error) {
+      const { disconnectedAt, nextRetryAt } = mikrotik.health;
+      return { id, connected: false, latencyMs: null, disconnectedAt, nextRetryAt };
+    } finally {
+      clearTimeout(timer);
+    }
+  }));
+  return { healthy: checks.every(check => check.connected), checkedAt: new Date().toISOString(), routers: checks };
+};
+
+// Cached (or in-flight) check served to anonymous callers, so they cannot make us ping the routers at will
+let cachedHealth = null;
+const cachedRouterHealth = () => {
+  if (!cachedHealth || Date.now() - cachedHealth.startedAt > HEALTH_CACHE_MS) {
+    cachedHealth = { startedAt: Date.now(), check: checkRouterHealth() };
+  }
+  return cachedHealth.check;
+};
+
+// Router connectivity for monitoring and the UI banner: 200 when every router answers, 503
+// otherwise. Anonymous callers get the overall status of a cached check; logged-in users get
+// a fresh check with the state of each router.
+app.get('/api/health', auth.identify, async (req, res) => {
+  try {
+    const health = req.user ? await checkRouterHealth() : await cachedRouterHealth();
+    res.status(health.healthy ? 200 : 503).json({
+      status: health.healthy ? 'ok' : 'degraded',
+      checkedAt: health.checkedAt,
+      ...(req.user ? { routers: health.routers } : {})
+    });
+  } catch (error) {
+    console.error('Error checking router health:', error);
+    res.status(500).json({ error: 'Health check failed' });
+  }
+});
+
+// Every other /api route requires a logged-in user
+app.use('/api', auth.requireAuth);
 
-const mikrotik = new MikrotikAPI(config.mikrotik);
+app.get('/api/auth/me', auth.me);
+
+// User management
+app.get('/api/users', auth.requirePermission('users:manage'), auth.listUsers);
+app.post('/api/users', auth.requirePermission('users:manage'), auth.createUser);
+app.put('/api/users/:id', auth.requirePermission('users:manage'), auth.updateUser);
+app.delete('/api/users/:id', auth.requirePermission('users:manage'), auth.deleteUser);
+
+// List configured routers
+app.get('/api/routers', auth.requirePermission('server:read'), (req, res) => {
+  res.json(routers.list().map(router => ({
+    id: router.id,
+    name: router.name,
+    host: router.mikrotik.config.host,
+    isDefault: router.id === routers.defaultId
+  })));
+});
 
 // Enhanced key generation with validation
 const generateKeys = (includePresharedKey = false) => {
@@ -152,39 +300,184 @@ const isValidWireGuardKey = (key) => {
   return base64Regex.test(key);
 };
 
-const getNextAvailableIP = async () => {
+// Curve25519 public key of a base64 WireGuard private key
+const derivePublicKey = (privateKey) => {
+  const nacl = require('tweetnacl');
+  return Buffer.from(nacl.scalarMult.base(Buffer.from(privateKey, 'base64'))).toString('base64');
+};
+
+// Keys of a client .conf file: PrivateKey from [Interface], PresharedKey from [Peer]
+const parseClientConfigKeys = (text) => {
+  const keys = {};
+  let section = null;
+  String(text).split(/\r?\n/).forEach(line => {
+    const trimmed = line.replace(/[#;].*$/, '').trim();
+    const sectionMatch = trimmed.match(/^\[(\w+)\]$/);
+    if (sectionMatch) {
+      section = sectionMatch[1].toLowerCase();
+      return;
+    }
+    const match = trimmed.match(/^(\w+)\s*=\s*(\S+)$/);
+    if (!match) return;
+    const key = match[1].toLowerCase();
+    if (section === 'interface' && key === 'privatekey') keys.privateKey = match[2];
+    if (section === 'peer' && key === 'presharedkey') keys.presharedKey = match[2];
+  });
+  return keys;
+};
+
+// Router-side fields recorded in the audit log (never includes keys)
+const describePeerForAudit = (peer) => {
+  if (!peer) return null;
+  return {
+    name: peer.comment || 'Unnamed',
+    interface: peer.interface || null,
+    allowedIPs: peer['allowed-address'] || '',
+    enabled: peer.disabled !== 'true',
+    publicKey: peer['public-key'] || null,
+    hasPresharedKey: !!peer['preshared-key']
+  };
+};
+
+// Fetch the current router state of a peer for the audit log, null if it is gone
+const getPeerSnapshot = async (router, id) => {
   try {
-    const peers = await mikrotik.getPeers();
-    const usedIPs = peers.map(peer => {
-      const allowedIPs = peer['allowed-address'] || '';
-      return allowedIPs.split('/')[0];
-    }).filter(ip => ip);
-
-    const baseIP = config.wireguard.clientSubnet || '172.16.0';
-    for (let i = 2; i < 255; i++) {
-      const testIP = `${baseIP}.${i}`;
-      if (!usedIPs.includes(testIP)) {
-        return `${testIP}/32`;
-      }
+    return describePeerForAudit(await router.mikrotik.getPeer(id));
+  } catch (error) {
+    return null;
+  }
+};
+
+// Write an audit entry; a failing audit write is logged but does not fail the request
+const recordAudit = async (req, action, { peerId = null, peerName = null, before = null, after = null } = {}) => {
+  try {
+    await database.addAuditEntry({
+      user_id: req.user?.id || null,
+      username: req.user?.username || null,
+      ip_address: req.ip,
+      action,
+      router_id: req.router?.id || null,
+      peer_id: peerId !== null ? String(peerId) : null,
+      peer_name: peerName,
+      before,
+      after
+    });
+  } catch (error) {
+    console.error(`Failed to record audit entry "${action}":`, error.message);
+  }
+};
+
+// Audit entries of background jobs are recorded as user "system"
+const recordSystemAudit = (router, action, details) =>
+  recordAudit({ user: { username: 'system' }, ip: null, router }, action, details);
+
+const journal = createOperationJournal({ routers, database, recordAudit: recordSystemAudit });
+const expiryScheduler = createExpiryScheduler({ routers, database, journal, recordAudit: recordSystemAudit, options: config.expiry });
+const quotaPoller = createQuotaPoller({ routers, database, recordAudit: recordSystemAudit, options: config.quotas });
+const statsCollector = createStatsCollector({ routers, database, options: config.stats });
+const pskRotation = createPskRotation({
+  routers,
+  database,
+  journal,
+  recordAudit: recordSystemAudit,
+  generatePresharedKey: () => generateKeys(true).presharedKey,
+  options: config.pskRotation
+});
+const liveUpdates = createLiveUpdates({
+  routers,
+  authorize: async (req) => hasPermission(await auth.sessionUser(req), 'peers:read'),
+  options: config.live
+});
+const reconciler = createReconciler({ database, journal, derivePublicKey });
+const keyRotation = createKeyRotation({ database, journal, generateKeys, derivePublicKey });
+const backups = createBackupService({ routers, database, journal, options: config.backup });
+
+// Push peer changes made through the API to other browsers without waiting for the next poll
+app.use(routerPaths('/peers'), (req, res, next) => {
+  if (req.method !== 'GET') {
+    res.on('finish', () => {
+      if (req.router && res.statusCode < 400) liveUpdates.notify(req.router);
+    });
+  }
+  next();
+});
+
+// Live peer status stream (Server-Sent Events)
+app.get(routerPaths('/events'), auth.requirePermission('peers:read'), resolveRouter, liveUpdates.subscribe);
+
+// Current quota status of one peer for API responses, null without a quota
+const getPeerQuotaStatus = async (router, id) => {
+  const policy = await database.getPeerPolicy(router.id, id);
+  if (!policy?.quota_bytes) return null;
+
+  const { monthStart, rollingStart } = getQuotaWindowStarts(quotaRollingDays);
+  const usage = await database.getQuotaUsage(router.id, monthStart, rollingStart);
+  return describeQuota(policy, usage.find(u => u.mikrotik_id === id), quotaRollingDays);
+};
+
+// PSK age and staged rotation of one peer (see psk-rotation.js)
+const getPeerKeyStatus = async (router, id) => {
+  const storedKey = await database.getPeerKeys(router.id, id);
+  return { ...pskRotation.describe(storedKey), ...keyRotation.describe(storedKey) };
+};
+
+// Settings for one WireGuard interface: "wireguard.interfaces.<name>" in config.json,
+// falling back to the router-wide "wireguard" values
+const getInterfaceSettings = (router, interfaceName) => {
+  const { interfaces = {}, ...defaults } = router.wireguard;
+  return { ...defaults, ...(interfaces[interfaceName] || {}), interfaceName };
+};
+
+// The router's own addresses (host part only, "172.16.0.1/24" reserves just 172.16.0.1)
+const getRouterAddressRanges = async (router) => {
+  const readAddresses = async (family) => {
+    try {
+      const addresses = family === 6 ? await router.mikrotik.getIpv6Addresses() : await router.mikrotik.getIpAddresses();
+      return parseAddressList(addresses.map(entry => String(entry.address || '').split('/')[0]).join(','));
+    } catch (error) {
+      console.warn(`Could not read IPv${family} addresses of router "${router.id}":`, error.message);
+      return [];
+    }
+  };
+  return [...await readAddresses(4), ...await readAddresses(6)];
+};
+
+// Addresses taken by peers on all interfaces (every allowed-address entry) and by the router,
+// so pools can never collide
+const getUsedAddressRanges = async (router, peers) => [
+  ...peers.flatMap(peer => parseAddressList(peer['allowed-address'])),
+  ...await getRouterAddressRanges(router)
+];
+
+const getNextAvailableIP = async (router, settings) => {
+  try {
+    const peers = await router.mikrotik.getPeers();
+    const pools = getPools(settings);
+    const addresses = allocateAddresses(pools, await getUsedAddressRanges(router, peers));
+    if (!addresses) {
+      // A full pool is a conflict with the existing peers, not a server failure
+      const cidrs = pools.map(pool => pool.cidr).join(', ');
+      throw Object.assign(new Error(`No available IP addresses in the pool of interface "${settings.interfaceName}" (${cidrs})`), { status: 409 });
     }
-    throw new Error('No available IP addresses');
+    // One host address per configured family, e.g. "172.16.0.5/32,fd00:16::5/128"
+    return addresses.join(',');
   } catch (error) {
-    throw new Error(`Failed to get next available IP: ${error.message}`);
+    throw Object.assign(new Error(`Failed to get next available IP: ${error.message}`), { status: error.status });
   }
 };
 
 // API Routes
 // Function to clean up orphaned database entries
-const cleanupOrphanedPeers = async () => {
+const cleanupOrphanedPeers = async (router) => {
   try {
-    console.log('🧹 Cleaning up orphaned database entries...');
+    console.log(`🧹 Cleaning up orphaned database entries for router "${router.id}"...`);
     
     // Get all peers from MikroTik
-    const mikrotikPeers = await mikrotik.getPeers();
+    const mikrotikPeers = await router.mikrotik.getPeers();
     const activePeerIds = mikrotikPeers.map(peer => String(peer['.id']));
     
     // Get all stored keys from database
-    const storedKeys = await database.getAllPeersKeyStatus();
+    const storedKeys = await database.getAllPeersKeyStatus(router.id);
     
     // Find orphaned entries
     const orphanedEntries = storedKeys.filter(stored => 
@@ -199,7 +492,7 @@ const cleanupOrphanedPeers = async () => {
       
       // Delete orphaned entries
       for (const entry of orphanedEntries) {
-        await database.deletePeerKeys(entry.mikrotik_id);
+        await database.deletePeerKeys(router.id, entry.mikrotik_id);
         console.log(`✅ Cleaned up orphaned entry: ${entry.name}`);
       }
       
@@ -207,6 +500,17 @@ const cleanupOrphanedPeers = async () => {
     } else {
       console.log('✅ No orphaned entries found');
     }
+
+    // Policies, usage and counters of peers that no longer exist on the router
+    const trackedIds = new Set([
+      ...(await database.getPeerPolicies(router.id)).map(p => p.mikrotik_id),
+      ...(await database.getPeerCounters(router.id)).map(c => c.mikrotik_id)
+    ]);
+    for (const trackedId of trackedIds) {
+      if (!activePeerIds.includes(trackedId)) {
+        await database.deletePeerData(router.id, trackedId);
+      }
+    }
     
     return orphanedEntries.length;
   } catch (error) {
@@ -216,21 +520,30 @@ const cleanupOrphanedPeers = async () => {
 };
 
 // Update the GET /api/peers route to include cleanup
-app.get('/api/peers', async (req, res) => {
+app.get(routerPaths('/peers'), auth.requirePermission('peers:read'), resolveRouter, async (req, res) => {
+  const { mikrotik } = req.router;
   try {
     // Optional: Add cleanup parameter
     const cleanup = req.query.cleanup === 'true';
     
+    if (cleanup && !hasPermission(req.user, 'peers:cleanup')) {
+      return res.status(403).json({ error: 'Your role does not allow this action (peers:cleanup)' });
+    }
+    
     if (cleanup) {
-      await cleanupOrphanedPeers();
+      await cleanupOrphanedPeers(req.router);
     }
     
-    const peers = await mikrotik.getPeers();
-    const storedKeys = await database.getAllPeersKeyStatus();
+    const peers = await mikrotik.getPeers(req.query.interface || null);
+    const storedKeys = await database.getAllPeersKeyStatus(req.router.id);
+    const policies = await database.getPeerPolicies(req.router.id);
+    const { monthStart, rollingStart } = getQuotaWindowStarts(quotaRollingDays);
+    const usage = await database.getQuotaUsage(req.router.id, monthStart, rollingStart);
     
     const formattedPeers = peers.map(peer => {
       const peerId = String(peer['.id']);
       const storedKey = storedKeys.find(sk => sk.mikrotik_id === peerId);
+      const policy = policies.find(p => p.mikrotik_id === peerId);
       const peerName = peer.comment || 'Unnamed';
       
       console.log(`Formatting peer - MikroTik ID: ${peerId}, Name: "${peerName}", Has stored keys: ${!!storedKey}`);
@@ -238,29 +551,38 @@ app.get('/api/peers', async (req, res) => {
       return {
         id: peerId,
         name: peerName,
+        interface: peer.interface || '',
         publicKey: peer['public-key'],
         allowedIPs: peer['allowed-address'],
         endpoint: peer.endpoint || '',
         enabled: peer.disabled !== 'true',
+        online: isPeerOnline(peer),
         lastHandshake: peer['last-handshake'] || peer['last-seen'] || 'Never',
         transferRx: peer['rx'] || peer['rx-bytes'] || '0',
         transferTx: peer['tx'] || peer['tx-bytes'] || '0',
         hasPresharedKey: !!(peer['preshared-key']),
         hasStoredKeys: !!storedKey,
-        keyCreatedAt: storedKey?.created_at || null
+        keyCreatedAt: storedKey?.created_at || null,
+        expiresAt: policy?.expires_at || null,
+        expired: isExpired(policy?.expires_at),
+        tags: describePolicy(policy).tags,
+        clientProfile: describePolicy(policy).clientProfile,
+        quota: describeQuota(policy, usage.find(u => u.mikrotik_id === peerId), quotaRollingDays),
+        ...pskRotation.describe(storedKey),
+        ...keyRotation.describe(storedKey)
       };
     });
     
     res.json(formattedPeers);
   } catch (error) {
     console.error('Error fetching peers:', error);
-    res.status(500).json({ error: error.message });
+    res.status(error.status || 500).json({ error: error.message });
   }
 });
 // Manual cleanup route
-app.post('/api/cleanup-orphaned-peers', async (req, res) => {
+app.post(routerPaths('/cleanup-orphaned-peers'), auth.requirePermission('peers:cleanup'), resolveRouter, async (req, res) => {
   try {
-    const cleanedCount = await cleanupOrphanedPeers();
+    const cleanedCount = await cleanupOrphanedPeers(req.router);
     res.json({ 
       success: true, 
       message: `Cleaned up ${cleanedCount} orphaned entries`,
@@ -268,186 +590,740 @@ app.post('/api/cleanup-orphaned-peers', async (req, res) => {
     });
   } catch (error) {
     console.error('Cleanup error:', error);
-    res.status(500).json({ error: error.message });
+    res.status(error.status || 500).json({ error: error.message });
   }
 });
 
 
-// NEW: Get peer configuration file - FIXED filename
-app.get('/api/peers/:id/config', async (req, res) => {
+// Drift report: every difference between the router's peers and the stored keys
+app.get(routerPaths('/reconciliation'), auth.requirePermission('peers:cleanup'), resolveRouter, async (req, res) => {
   try {
-    let { id } = req.params;
-    
-    console.log(`Config route called with ID: "${id}" (type: ${typeof id})`);
-    
-    // Ensure ID is a string and clean it
-    id = String(id).trim();
-    
-    if (!id || id === 'undefined' || id === 'null') {
-      return res.status(400).json({ error: 'Invalid peer ID provided' });
+    res.json(await reconciler.buildReport(req.router));
+  } catch (error) {
+    console.error('Error building reconciliation report:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Apply the chosen resolution per report item: { resolutions: [{ id, resolution }] }. The report
+// is rebuilt first so nothing is applied to drift that has changed since it was shown.
+app.post(routerPaths('/reconciliation'), auth.requirePermission('peers:cleanup'), resolveRouter, async (req, res) => {
+  const selections = Array.isArray(req.body.resolutions) ? req.body.resolutions : null;
+  if (!selections || selections.length === 0) {
+    return res.status(400).json({ error: 'resolutions must be a non-empty list of { id, resolution }' });
+  }
+
+  try {
+    const report = await reconciler.buildReport(req.router);
+    const results = [];
+
+    for (const { id, resolution } of selections) {
+      const entry = report.items.find(candidate => candidate.id === id);
+      if (!entry) {
+        results.push({ id, resolution, status: 'skipped', message: 'No longer differs' });
+        continue;
+      }
+      try {
+        const message = await reconciler.applyResolution(req.router, entry, resolution);
+        await recordAudit(req, 'peer.reconcile', {
+          peerId: entry.mikrotikId,
+          peerName: entry.name,
+          before: { type: entry.type, router: entry.router, stored: entry.stored },
+          after: { resolution, result: message, ...(entry.newId ? { newId: entry.newId } : {}) }
+        });
+        console.log(`🔧 Reconciled ${entry.type} of "${entry.name}" (${entry.mikrotikId}): ${message}`);
+        results.push({ id, resolution, status: 'applied', message });
+      } catch (error) {
+        console.error(`Failed to apply ${resolution} to ${id}:`, error.message);
+        results.push({ id, resolution, status: 'failed', message: error.message });
+      }
     }
+
+    res.json({
+      results,
+      applied: results.filter(result => result.status === 'applied').length,
+      failed: results.filter(result => result.status === 'failed').length
+    });
+  } catch (error) {
+    console.error('Reconciliation error:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Operation journal: unfinished router + database changes and the latest settled ones
+app.get(routerPaths('/journal'), auth.requirePermission('peers:cleanup'), resolveRouter, async (req, res) => {
+  try {
+    const [pending, recent] = await Promise.all([
+      database.getJournalEntries({ router_id: req.router.id, status: 'pending' }),
+      database.getJournalEntries({ router_id: req.router.id, limit: 20 })
+    ]);
+    res.json({ pending, recent });
+  } catch (error) {
+    console.error('Error fetching operation journal:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Replay or roll back the unfinished operations now (also done on startup)
+app.post(routerPaths('/journal/recover'), auth.requirePermission('peers:cleanup'), resolveRouter, async (req, res) => {
+  try {
+    const results = await journal.recover(req.router);
+    res.json({
+      results,
+      settled: results.filter(result => result.status !== 'pending').length,
+      pending: results.filter(result => result.status === 'pending').length
+    });
+  } catch (error) {
+    console.error('Journal recovery error:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+
+// Build the client .conf for a peer from its stored keys. Errors carry an HTTP status.
+// With pending, the staged preshared key of a PSK rotation is used instead of the current one.
+const buildPeerConfig = async (router, id, { pending = false } = {}) => {
+  const { mikrotik } = router;
+
+  // Ensure ID is a string and clean it
+  id = String(id).trim();
+  
+  if (!id || id === 'undefined' || id === 'null') {
+    throw Object.assign(new Error('Invalid peer ID provided'), { status: 400 });
+  }
+  
+  console.log(`Generating config for peer ID: ${id}`);
+  
+  // Get peer keys from database
+  const storedKeys = await database.getPeerKeys(router.id, id);
+  console.log('Stored keys found:', !!storedKeys);
+  
+  if (!storedKeys) {
+    const allKeys = await database.getAllPeersKeyStatus(router.id);
+    console.log('Available peer IDs in database:', allKeys.map(k => k.mikrotik_id));
     
-    console.log(`Generating config for peer ID: ${id}`);
-    
-    // Get peer keys from database
-    const storedKeys = await database.getPeerKeys(id);
-    console.log('Stored keys found:', !!storedKeys);
-    
-    if (!storedKeys) {
-      const allKeys = await database.getAllPeersKeyStatus();
-      console.log('Available peer IDs in database:', allKeys.map(k => k.mikrotik_id));
-      
-      return res.status(404).json({ 
-        error: 'Peer configuration not found. Keys may not be stored for this peer.',
+    throw Object.assign(new Error('Peer configuration not found. Keys may not be stored for this peer.'), {
+      status: 404,
+      details: {
         requestedId: id,
         availableIds: allKeys.map(k => k.mikrotik_id)
-      });
-    }
-    
-    // Debug: Log the stored peer name
-    console.log(`Stored peer name: "${storedKeys.name}"`);
-    
-    // Get server info
-    const serverInfo = await mikrotik.getServerInfo();
-    console.log('Server info retrieved:', !!serverInfo['public-key']);
-    
-    if (!serverInfo['public-key']) {
-      return res.status(500).json({ 
-        error: 'Server public key not configured. Please check WireGuard interface setup.' 
-      });
-    }
-    
-    // Generate configuration
-    let configContent = `[Interface]
-PrivateKey = ${storedKeys.private_key}
-Address = ${storedKeys.allowed_ips}
-DNS = 172.16.0.1
+      }
+    });
+  }
+  
+  // Debug: Log the stored peer name
+  console.log(`Stored peer name: "${storedKeys.name}"`);
 
-[Peer]
-PublicKey = ${serverInfo['public-key']}
-Endpoint = ${config.wireguard.serverEndpoint}
-AllowedIPs = ${config.wireguard.allowedIPs}`;
+  if (pending && !storedKeys.pending_preshared_key) {
+    throw Object.assign(new Error('No preshared key rotation is staged for this peer'), { status: 404 });
+  }
+  
+  // Use the public key and listen port of the interface the peer lives on
+  let routerPeer = null;
+  try {
+    routerPeer = await mikrotik.getPeer(id);
+  } catch (peerError) {
+    console.warn(`Peer ${id} not found on router, using default interface: ${peerError.message}`);
+  }
+  const interfaceName = routerPeer?.interface || await mikrotik.getWireGuardInterface();
+  const settings = getInterfaceSettings(router, interfaceName);
+  
+  const serverInfo = await mikrotik.getServerInfo(interfaceName);
+  console.log(`Server info retrieved for interface ${interfaceName}:`, !!serverInfo['public-key']);
+  
+  if (!serverInfo['public-key']) {
+    throw new Error('Server public key not configured. Please check WireGuard interface setup.');
+  }
 
-    if (storedKeys.preshared_key) {
-      configContent += `\nPresharedKey = ${storedKeys.preshared_key}`;
-    }
+  // A profile removed from config.json falls back to the default one
+  const { clientProfile } = describePolicy(await database.getPeerPolicy(router.id, id));
+  let profile = clientProfiles.get(clientProfile);
+  if (!profile) {
+    console.warn(`Client profile "${clientProfile}" of peer ${id} no longer exists, using the default profile`);
+    profile = clientProfiles.get(null);
+  }
 
-    configContent += `\nPersistentKeepalive = 25`;
+  const content = generateClientConfig({
+    privateKey: storedKeys.private_key,
+    presharedKey: pending ? storedKeys.pending_preshared_key : storedKeys.preshared_key,
+    addresses: storedKeys.allowed_ips,
+    settings,
+    server: serverInfo,
+    profile
+  });
+
+  // Use stored name, with fallback to "peer"
+  const fileName = (storedKeys.name && storedKeys.name.trim()) ? 
+                  storedKeys.name.replace(/[^a-zA-Z0-9-_]/g, '_') : 'peer';
+
+  return { id, name: storedKeys.name, fileName, content };
+};
+
+const sendConfigError = (res, error) => {
+  res.status(error.status || 500).json({ error: error.message, ...(error.details || {}) });
+};
+
+// NEW: Get peer configuration file - FIXED filename
+app.get(routerPaths('/peers/:id/config'), auth.requirePermission('peers:config'), resolveRouter, async (req, res) => {
+  try {
+    console.log(`Config route called with ID: "${req.params.id}" (type: ${typeof req.params.id})`);
 
-    // Use stored name, with fallback to "peer"
-    const fileName = (storedKeys.name && storedKeys.name.trim()) ? 
-                    storedKeys.name.replace(/[^a-zA-Z0-9-_]/g, '_') : 'peer';
+    const pending = req.query.pending === 'true';
+    const peerConfig = await buildPeerConfig(req.router, req.params.id, { pending });
     
-    console.log(`Setting filename to: ${fileName}.conf`);
+    console.log(`Setting filename to: ${peerConfig.fileName}.conf`);
 
     // Set headers for file download
     res.setHeader('Content-Type', 'text/plain');
-    res.setHeader('Content-Disposition', `attachment; filename="${fileName}.conf"`);
-    res.send(configContent);
+    res.setHeader('Content-Disposition', `attachment; filename="${peerConfig.fileName}.conf"`);
+    res.send(peerConfig.content);
+    
+    await recordAudit(req, 'peer.config_download', {
+      peerId: peerConfig.id,
+      peerName: peerConfig.name,
+      after: pending ? { pendingPresharedKey: true } : null
+    });
     
-    console.log(`✅ Config generated successfully for: ${storedKeys.name} (file: ${fileName}.conf)`);
+    console.log(`✅ Config generated successfully for: ${peerConfig.name} (file: ${peerConfig.fileName}.conf)`);
     
   } catch (error) {
     console.error('Error generating config:', error);
-    res.status(500).json({ error: error.message });
+    sendConfigError(res, error);
   }
 });
 
+// Render the peer configuration as a QR code (?format=png|svg) for mobile clients
+app.get(routerPaths('/peers/:id/qrcode'), auth.requirePermission('peers:config'), resolveRouter, async (req, res) => {
+  const format = String(req.query.format || 'png').toLowerCase();
+  if (!['png', 'svg'].includes(format)) {
+    return res.status(400).json({ error: 'format must be "png" or "svg"' });
+  }
 
-// Create new peer - Updated with default preshared key
-app.post('/api/peers', async (req, res) => {
   try {
-    const { name, allowedIPs, usePresharedKey = true } = req.body; // Default to true
-    
-    if (!name || !name.trim()) {
-      return res.status(400).json({ error: 'Peer name is required' });
+    const pending = req.query.pending === 'true';
+    const peerConfig = await buildPeerConfig(req.router, req.params.id, { pending });
+    // Medium error correction keeps a full config with PSK at a scannable size
+    const options = { errorCorrectionLevel: 'M', margin: 2 };
+
+    res.setHeader('Cache-Control', 'no-store');
+    if (format === 'svg') {
+      res.type('image/svg+xml').send(await QRCode.toString(peerConfig.content, { ...options, type: 'svg' }));
+    } else {
+      res.type('image/png').send(await QRCode.toBuffer(peerConfig.content, { ...options, width: 400 }));
     }
 
-    const interfaceName = config.wireguard?.interfaceName || await mikrotik.getWireGuardInterface();
-    
-    // Always generate preshared key by default (enhanced security)
-    const keys = generateKeys(usePresharedKey);
-    
-    if (!isValidWireGuardKey(keys.publicKey)) {
-      throw new Error('Generated invalid public key');
+    await recordAudit(req, 'peer.config_qrcode', {
+      peerId: peerConfig.id,
+      peerName: peerConfig.name,
+      after: pending ? { pendingPresharedKey: true } : null
+    });
+
+    console.log(`✅ QR code generated for: ${peerConfig.name}`);
+  } catch (error) {
+    console.error('Error generating QR code:', error);
+    sendConfigError(res, error);
+  }
+});
+
+// Staged PSK rotation: stage a new key ({ deadline } optional), push it now, or drop it.
+// Like regenerating the PSK in the peer form these change keys, hence peers:regenerate.
+app.post(routerPaths('/peers/:id/psk-rotation'), auth.requirePermission('peers:regenerate'), resolveRouter, async (req, res) => {
+  const { id } = req.params;
+  try {
+    const { name, deadline } = await pskRotation.stage(req.router, id, { deadline: req.body.deadline || null });
+    await recordAudit(req, 'peer.psk_staged', { peerId: id, peerName: name, after: { deadline } });
+    console.log(`🔑 Staged preshared key rotation of "${name}", due ${deadline}`);
+    res.json({ id, ...(await getPeerKeyStatus(req.router, id)) });
+  } catch (error) {
+    console.error('Error staging PSK rotation:', error.message);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.post(routerPaths('/peers/:id/psk-rotation/complete'), auth.requirePermission('peers:regenerate'), resolveRouter, async (req, res) => {
+  const { id } = req.params;
+  try {
+    const { name, stagedAt, deadline } = await pskRotation.complete(req.router, id);
+    await recordAudit(req, 'peer.psk_rotated', {
+      peerId: id,
+      peerName: name,
+      before: { stagedAt, deadline },
+      after: { reason: 'confirmed' }
+    });
+    console.log(`🔑 Pushed staged preshared key of "${name}" to the router`);
+    res.json({ id, ...(await getPeerKeyStatus(req.router, id)) });
+  } catch (error) {
+    console.error('Error completing PSK rotation:', error.message);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.delete(routerPaths('/peers/:id/psk-rotation'), auth.requirePermission('peers:regenerate'), resolveRouter, async (req, res) => {
+  const { id } = req.params;
+  try {
+    const { name, stagedAt, deadline } = await pskRotation.cancel(req.router, id);
+    await recordAudit(req, 'peer.psk_rotation_cancelled', { peerId: id, peerName: name, before: { stagedAt, deadline } });
+    res.json({ id, ...(await getPeerKeyStatus(req.router, id)) });
+  } catch (error) {
+    console.error('Error cancelling PSK rotation:', error.message);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// In-place keypair rotation: new keys on the existing router peer ({ rotatePresharedKey } defaults
+// to true), then confirm once the client uses them or revert to the previous keys
+app.post(routerPaths('/peers/:id/key-rotation'), auth.requirePermission('peers:regenerate'), resolveRouter, async (req, res) => {
+  const { id } = req.params;
+  try {
+    const { name, previousPublicKey, publicKey, presharedKeyRotated } = await keyRotation.rotate(req.router, id, {
+      rotatePresharedKey: req.body.rotatePresharedKey !== false
+    });
+    await recordAudit(req, 'peer.key_rotate', {
+      peerId: id,
+      peerName: name,
+      before: { publicKey: previousPublicKey },
+      after: { publicKey, presharedKeyRotated }
+    });
+    console.log(`🔑 Rotated keys of "${name}" in place; previous keys kept until confirmed`);
+    const routerPeer = await req.router.mikrotik.getPeer(id);
+    res.json({
+      id,
+      publicKey,
+      hasPresharedKey: !!routerPeer['preshared-key'],
+      ...(await getPeerKeyStatus(req.router, id))
+    });
+  } catch (error) {
+    console.error('Error rotating peer keys:', error.message);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.post(routerPaths('/peers/:id/key-rotation/confirm'), auth.requirePermission('peers:regenerate'), resolveRouter, async (req, res) => {
+  const { id } = req.params;
+  try {
+    const { name, rotatedAt } = await keyRotation.confirm(req.router, id);
+    await recordAudit(req, 'peer.key_rotation_confirmed', { peerId: id, peerName: name, before: { rotatedAt } });
+    res.json({ id, ...(await getPeerKeyStatus(req.router, id)) });
+  } catch (error) {
+    console.error('Error confirming key rotation:', error.message);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.post(routerPaths('/peers/:id/key-rotation/revert'), auth.requirePermission('peers:regenerate'), resolveRouter, async (req, res) => {
+  const { id } = req.params;
+  try {
+    const { name, rotatedAt, publicKey } = await keyRotation.revert(req.router, id);
+    await recordAudit(req, 'peer.key_rotation_reverted', { peerId: id, peerName: name, before: { rotatedAt }, after: { publicKey } });
+    console.log(`🔑 Reverted key rotation of "${name}"`);
+    res.json({ id, publicKey, ...(await getPeerKeyStatus(req.router, id)) });
+  } catch (error) {
+    console.error('Error reverting key rotation:', error.message);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Bulk export: a ZIP with one .conf per peer (all peers, or body.ids), optionally QR code PNGs
+// and a manifest.csv listing every requested peer, including the ones that had to be skipped
+app.post(routerPaths('/peers/export'), auth.requirePermission('peers:config'), resolveRouter, async (req, res) => {
+  const { mikrotik } = req.router;
+  const { ids, includeQrCodes = false, includeManifest = true } = req.body;
+
+  if (ids !== undefined && (!Array.isArray(ids) || ids.length === 0)) {
+    return res.status(400).json({ error: 'ids must be a non-empty array of peer IDs' });
+  }
+
+  try {
+    const routerPeers = await mikrotik.getPeers();
+    const peersById = new Map(routerPeers.map(peer => [String(peer['.id']), peer]));
+    const requestedIds = ids ? ids.map(id => String(id)) : Array.from(peersById.keys());
+
+    const entries = [];
+    const usedFileNames = new Set();
+    for (const id of requestedIds) {
+      const routerPeer = peersById.get(id);
+      const entry = {
+        id,
+        name: routerPeer?.comment || '',
+        interface: routerPeer?.interface || '',
+        address: routerPeer?.['allowed-address'] || '',
+        file: '',
+        qrFile: '',
+        status: 'exported'
+      };
+
+      if (!routerPeer) {
+        entry.status = 'skipped: peer not found on router';
+      } else {
+        try {
+          const peerConfig = await buildPeerConfig(req.router, id);
+          // Peers may share a name; keep every file
+          let fileName = peerConfig.fileName;
+          for (let n = 2; usedFileNames.has(fileName.toLowerCase()); n++) {
+            fileName = `${peerConfig.fileName}_${n}`;
+          }
+          usedFileNames.add(fileName.toLowerCase());
+
+          entry.name = peerConfig.name;
+          entry.file = `${fileName}.conf`;
+          entry.content = peerConfig.content;
+          if (includeQrCodes) {
+            entry.qrFile = `qrcodes/${fileName}.png`;
+            entry.qrCode = await QRCode.toBuffer(peerConfig.content, { errorCorrectionLevel: 'M', margin: 2, width: 400 });
+          }
+        } catch (configError) {
+          entry.status = `skipped: ${configError.message}`;
+        }
+      }
+      entries.push(entry);
     }
-    
-    if (keys.presharedKey && !isValidWireGuardKey(keys.presharedKey)) {
-      throw new Error('Generated invalid preshared key');
+
+    const exported = entries.filter(entry => entry.content);
+    if (exported.length === 0) {
+      return res.status(404).json({
+        error: 'No configuration available for the selected peers',
+        skipped: entries.map(({ id, name, status }) => ({ id, name, status }))
+      });
     }
-    
-    const finalAllowedIPs = allowedIPs || await getNextAvailableIP();
 
-    const peerData = {
-      'interface': interfaceName,
-      'public-key': keys.publicKey,
-      'allowed-address': finalAllowedIPs,
-      comment: name.trim(),
-      disabled: 'false'
-    };
+    const archiveName = `wireguard-configs-${req.router.id}-${new Date().toISOString().slice(0, 10)}.zip`;
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="${archiveName.replace(/[^a-zA-Z0-9-_.]/g, '_')}"`);
+    res.setHeader('Cache-Control', 'no-store');
 
-    // Add preshared key (now default)
-    if (keys.presharedKey) {
-      peerData['preshared-key'] = keys.presharedKey;
+    const archive = archiver('zip', { zlib: { level: 9 } });
+    archive.on('error', (archiveError) => {
+      console.error('Error writing config archive:', archiveError);
+      res.destroy(archiveError);
+    });
+    archive.pipe(res);
+
+    exported.forEach(entry => {
+      archive.append(entry.content, { name: entry.file });
+      if (entry.qrCode) {
+        archive.append(entry.qrCode, { name: entry.qrFile });
+      }
+    });
+
+    if (includeManifest) {
+      archive.append(toCsv([
+        ['name', 'id', 'interface', 'address', 'config_file', 'qr_file', 'status'],
+        ...entries.map(entry => [entry.name, entry.id, entry.interface, entry.address, entry.file, entry.qrFile, entry.status])
+      ]), { name: 'manifest.csv' });
     }
 
-    console.log(`Creating peer "${name.trim()}" with${keys.presharedKey ? ' enhanced' : ''} security`);
-    const mikrotikId = await mikrotik.createPeer(peerData);
-    
-    if (!mikrotikId || mikrotikId === '') {
+    await archive.finalize();
+
+    await recordAudit(req, 'peer.config_export', {
+      after: {
+        exported: exported.map(entry => entry.name),
+        skipped: entries.length - exported.length,
+        qrCodes: !!includeQrCodes
+      }
+    });
+
+    console.log(`✅ Exported ${exported.length} configurations (${entries.length - exported.length} skipped)`);
+  } catch (error) {
+    console.error('Error exporting configs:', error);
+    if (res.headersSent) {
+      res.destroy(error);
+    } else {
+      sendConfigError(res, error);
+    }
+  }
+});
+
+// Adopt a peer that was created on the router: store the client's existing private key (pasted
+// or taken from its .conf) once it is proven to match the router's public key. The router peer
+// itself is not touched, so the tunnel keeps working.
+app.post(routerPaths('/peers/:id/adopt'), auth.requirePermission('peers:adopt'), resolveRouter, async (req, res) => {
+  const { mikrotik } = req.router;
+  const { id } = req.params;
+
+  try {
+    const fromConfig = req.body.config ? parseClientConfigKeys(req.body.config) : {};
+    const privateKey = String(req.body.privateKey || fromConfig.privateKey || '').trim();
+    const presharedKey = String(req.body.presharedKey || fromConfig.presharedKey || '').trim() || null;
+
+    if (!privateKey) {
+      return res.status(400).json({ error: req.body.config ? 'No PrivateKey found in the [Interface] section' : 'A private key or .conf file is required' });
+    }
+    if (!isValidWireGuardKey(privateKey)) {
+      return res.status(400).json({ error: 'Private key is not a valid WireGuard key' });
+    }
+    if (presharedKey && !isValidWireGuardKey(presharedKey)) {
+      return res.status(400).json({ error: 'Preshared key is not a valid WireGuard key' });
+    }
+
+    let routerPeer;
+    try {
+      routerPeer = await mikrotik.getPeer(id);
+    } catch (peerError) {
+      return res.status(404).json({ error: 'Peer not found on router' });
+    }
+
+    if (await database.getPeerKeys(req.router.id, id)) {
+      return res.status(409).json({ error: 'Keys are already stored for this peer' });
+    }
+
+    if (derivePublicKey(privateKey) !== routerPeer['public-key']) {
+      return res.status(400).json({ error: 'This private key does not belong to the peer (its public key does not match the router)' });
+    }
+
+    // The router's preshared key wins; a different one in the file would produce a broken config
+    const routerPresharedKey = routerPeer['preshared-key'] || null;
+    if (presharedKey && routerPresharedKey && presharedKey !== routerPresharedKey) {
+      return res.status(400).json({ error: 'The preshared key does not match the one configured on the router' });
+    }
+
+    const name = routerPeer.comment || 'Unnamed';
+    await database.savePeerKeys({
+      router_id: req.router.id,
+      mikrotik_id: String(id),
+      name,
+      private_key: privateKey,
+      preshared_key: routerPresharedKey || presharedKey,
+      allowed_ips: routerPeer['allowed-address'],
+      interface: routerPeer.interface
+    });
+
+    await recordAudit(req, 'peer.adopt', {
+      peerId: id,
+      peerName: name,
+      after: { source: req.body.config ? 'config-file' : 'private-key', hasPresharedKey: !!(routerPresharedKey || presharedKey) }
+    });
+
+    console.log(`✅ Adopted existing peer "${name}" (${id})`);
+    res.json({ id: String(id), name, hasStoredKeys: true, hasPresharedKey: !!(routerPresharedKey || presharedKey) });
+  } catch (error) {
+    console.error('Error adopting peer:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+
+// Create new peer - Updated with default preshared key
+// Create a peer on the router and store its keys and policy. Used by POST /peers and the CSV
+// import; allowedIPs may be empty to take the next free address of the interface subnet.
+const createPeer = async (req, { name, allowedIPs, usePresharedKey = true, interfaceName, policy, source = null }) => {
+  const { mikrotik } = req.router;
+
+  // Always generate preshared key by default (enhanced security)
+  const keys = generateKeys(usePresharedKey);
+  
+  if (!isValidWireGuardKey(keys.publicKey)) {
+    throw new Error('Generated invalid public key');
+  }
+  
+  if (keys.presharedKey && !isValidWireGuardKey(keys.presharedKey)) {
+    throw new Error('Generated invalid preshared key');
+  }
+  
+  const finalAllowedIPs = allowedIPs || await getNextAvailableIP(req.router, getInterfaceSettings(req.router, interfaceName));
+
+  const peerData = {
+    'interface': interfaceName,
+    'public-key': keys.publicKey,
+    'allowed-address': finalAllowedIPs,
+    comment: name,
+    disabled: 'false'
+  };
+
+  // Add preshared key (now default)
+  if (keys.presharedKey) {
+    peerData['preshared-key'] = keys.presharedKey;
+  }
+
+  console.log(`Creating peer "${name}" with${keys.presharedKey ? ' enhanced' : ''} security`);
+  // Journaled: if anything below fails the router peer is removed again
+  const mikrotikId = await journal.run(req.router, 'create', { peerName: name, payload: { publicKey: keys.publicKey } }, async (progress) => {
+    const createdId = await mikrotik.createPeer(peerData);
+
+    if (!createdId || createdId === '') {
       throw new Error('Failed to get valid MikroTik peer ID');
     }
+
+    console.log('Got MikroTik ID:', createdId, 'for peer:', name);
+    await progress({ mikrotikId: createdId });
+
+    // Save keys to database
+    const dbData = {
+      router_id: req.router.id,
+      mikrotik_id: String(createdId),
+      name,
+      private_key: keys.privateKey,
+      preshared_key: keys.presharedKey || null,
+      allowed_ips: finalAllowedIPs,
+      interface: interfaceName
+    };
+
+    console.log('Saving to database:', {
+      mikrotik_id: dbData.mikrotik_id,
+      name: `"${dbData.name}"`,
+      allowed_ips: dbData.allowed_ips,
+      has_private_key: !!dbData.private_key,
+      has_preshared_key: !!dbData.preshared_key,
+      security_level: dbData.preshared_key ? 'Enhanced (PSK)' : 'Standard'
+    });
     
-    console.log('Got MikroTik ID:', mikrotikId, 'for peer:', name.trim());
+    await database.savePeerKeys(dbData);
+    console.log(`✅ Keys saved to database successfully for peer: "${dbData.name}"`);
+
+    await savePolicyChanges(database, req.router.id, dbData.mikrotik_id, describePolicy(null), policy);
     
-    // Save keys to database
+    await recordAudit(req, 'peer.create', {
+      peerId: createdId,
+      peerName: dbData.name,
+      after: { ...describePeerForAudit(peerData), ...policy, ...(source ? { source } : {}) }
+    });
+
+    return createdId;
+  });
+  
+  return {
+    id: String(mikrotikId),
+    name,
+    interface: interfaceName,
+    publicKey: keys.publicKey,
+    allowedIPs: finalAllowedIPs,
+    enabled: true,
+    lastHandshake: 'Never',
+    transferRx: '0',
+    transferTx: '0',
+    hasPresharedKey: !!keys.presharedKey,
+    hasStoredKeys: true,
+    expiresAt: policy.expiresAt,
+    expired: false,
+    tags: policy.tags,
+    clientProfile: policy.clientProfile,
+    quota: describeQuota(
+      { quota_bytes: policy.quotaBytes, quota_period: policy.quotaPeriod },
+      null,
+      quotaRollingDays
+    ),
+    ...(await getPeerKeyStatus(req.router, String(mikrotikId)))
+  };
+};
+
+app.post(routerPaths('/peers'), auth.requirePermission('peers:create'), resolveRouter, async (req, res) => {
+  const { mikrotik, wireguard } = req.router;
+  try {
+    const { name, allowedIPs, usePresharedKey = true, interface: requestedInterface } = req.body; // Default to true
+    
+    if (!name || !name.trim()) {
+      return res.status(400).json({ error: 'Peer name is required' });
+    }
+
+    let policy;
     try {
-      const dbData = {
-        mikrotik_id: String(mikrotikId),
-        name: name.trim(),
-        private_key: keys.privateKey,
-        preshared_key: keys.presharedKey || null,
-        allowed_ips: finalAllowedIPs
-      };
-      
-      console.log('Saving to database:', {
-        mikrotik_id: dbData.mikrotik_id,
-        name: `"${dbData.name}"`,
-        allowed_ips: dbData.allowed_ips,
-        has_private_key: !!dbData.private_key,
-        has_preshared_key: !!dbData.preshared_key,
-        security_level: dbData.preshared_key ? 'Enhanced (PSK)' : 'Standard'
-      });
-      
-      await database.savePeerKeys(dbData);
-      console.log(`✅ Keys saved to database successfully for peer: "${dbData.name}"`);
-      
-    } catch (dbError) {
-      console.error('Database save error:', dbError);
+      policy = mergePolicy(describePolicy(null), parsePolicyFields(req.body));
+    } catch (policyError) {
+      return res.status(policyError.status).json({ error: policyError.message });
+    }
+    if (isExpired(policy.expiresAt)) {
+      return res.status(400).json({ error: 'Expiry date must be in the future' });
+    }
+    if (!clientProfiles.get(policy.clientProfile)) {
+      return res.status(400).json({ error: `Unknown client profile "${policy.clientProfile}"` });
+    }
+
+    if (requestedInterface) {
       try {
-        await mikrotik.deletePeer(mikrotikId);
-        console.log('Cleaned up MikroTik peer after database error');
-      } catch (cleanupError) {
-        console.error('Failed to cleanup peer after database error:', cleanupError);
+        await mikrotik.getWireGuardInterfaceInfo(requestedInterface);
+      } catch (interfaceError) {
+        return res.status(400).json({ error: interfaceError.message });
       }
-      throw new Error(`Failed to save peer keys: ${dbError.message}`);
     }
-    
-    res.json({
-      id: String(mikrotikId),
+
+    const interfaceName = requestedInterface || wireguard.interfaceName || await mikrotik.getWireGuardInterface();
+
+    res.json(await createPeer(req, {
       name: name.trim(),
-      publicKey: keys.publicKey,
-      allowedIPs: finalAllowedIPs,
-      enabled: true,
-      lastHandshake: 'Never',
-      transferRx: '0',
-      transferTx: '0',
-      hasPresharedKey: !!keys.presharedKey,
-      hasStoredKeys: true
-    });
+      allowedIPs,
+      usePresharedKey,
+      interfaceName,
+      policy
+    }));
   } catch (error) {
     console.error('Error creating peer:', error);
-    res.status(500).json({ error: error.message });
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// CSV import: validate all rows against the router's current peers
+const planPeerImport = async (req) => {
+  const { mikrotik, wireguard } = req.router;
+  const { csv, interface: requestedInterface } = req.body;
+
+  if (!csv || !String(csv).trim()) {
+    throw Object.assign(new Error('CSV content is required'), { status: 400 });
+  }
+
+  if (requestedInterface) {
+    try {
+      await mikrotik.getWireGuardInterfaceInfo(requestedInterface);
+    } catch (interfaceError) {
+      throw Object.assign(new Error(interfaceError.message), { status: 400 });
+    }
+  }
+
+  const interfaceName = requestedInterface || wireguard.interfaceName || await mikrotik.getWireGuardInterface();
+  const pools = getPools(getInterfaceSettings(req.router, interfaceName));
+  const existingPeers = await mikrotik.getPeers();
+
+  const plan = planImport({
+    csv: String(csv),
+    existingPeers,
+    usedRanges: await getUsedAddressRanges(req.router, existingPeers),
+    allocateAddresses: (usedRanges, skipFamilies) => allocateAddresses(pools, usedRanges, skipFamilies)
+  });
+
+  return { ...plan, interface: interfaceName };
+};
+
+app.post(routerPaths('/peers/import/preview'), auth.requirePermission('peers:create'), resolveRouter, async (req, res) => {
+  try {
+    res.json(await planPeerImport(req));
+  } catch (error) {
+    console.error('Error previewing peer import:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Nothing is created unless every row is valid; rows are then created one by one and each
+// result is reported, so a router error halfway through leaves the earlier peers in place.
+app.post(routerPaths('/peers/import'), auth.requirePermission('peers:create'), resolveRouter, async (req, res) => {
+  try {
+    const plan = await planPeerImport(req);
+    if (!plan.valid) {
+      return res.status(400).json({ error: 'The CSV file contains invalid rows', ...plan });
+    }
+
+    console.log(`📥 Importing ${plan.rows.length} peers into ${plan.interface} on router "${req.router.id}"`);
+    const results = [];
+    for (const row of plan.rows) {
+      try {
+        const peer = await createPeer(req, {
+          name: row.name,
+          allowedIPs: row.allowedIPs,
+          usePresharedKey: row.usePresharedKey,
+          interfaceName: plan.interface,
+          policy: mergePolicy(describePolicy(null), { tags: row.tags, expiresAt: row.expiresAt }),
+          source: 'csv-import'
+        });
+        results.push({ line: row.line, name: row.name, status: 'created', id: peer.id, allowedIPs: peer.allowedIPs });
+      } catch (rowError) {
+        console.error(`Import of line ${row.line} ("${row.name}") failed:`, rowError.message);
+        results.push({ line: row.line, name: row.name, status: 'failed', allowedIPs: row.allowedIPs, error: rowError.message });
+      }
+    }
+
+    const created = results.filter(result => result.status === 'created').length;
+    console.log(`✅ Import finished: ${created} created, ${results.length - created} failed`);
+    res.json({ interface: plan.interface, results, created, failed: results.length - created });
+  } catch (error) {
+    console.error('Error importing peers:', error);
+    res.status(error.status || 500).json({ error: error.message });
   }
 });
 
@@ -455,7 +1331,8 @@ app.post('/api/peers', async (req, res) => {
 
 
 // Update peer - Enhanced with default preshared key for complete regeneration
-app.put('/api/peers/:id', async (req, res) => {
+app.put(routerPaths('/peers/:id'), auth.requirePermission('peers:update'), resolveRouter, async (req, res) => {
+  const { mikrotik, wireguard } = req.router;
   try {
     const { id } = req.params;
     const { name, allowedIPs, enabled, updatePresharedKey = false, regenerateCompletely = false } = req.body;
@@ -464,6 +1341,39 @@ app.put('/api/peers/:id', async (req, res) => {
       return res.status(400).json({ error: 'Peer name is required' });
     }
 
+    // Replacing keys breaks the existing client, so it is reserved for admins
+    if ((regenerateCompletely || updatePresharedKey) && !hasPermission(req.user, 'peers:regenerate')) {
+      return res.status(403).json({ error: 'Your role does not allow this action (peers:regenerate)' });
+    }
+
+    let requestedPolicy;
+    try {
+      requestedPolicy = parsePolicyFields(req.body);
+    } catch (policyError) {
+      return res.status(policyError.status).json({ error: policyError.message });
+    }
+
+    const storedPolicy = await database.getPeerPolicy(req.router.id, id);
+    const previousPolicy = describePolicy(storedPolicy);
+    const policy = mergePolicy(previousPolicy, requestedPolicy);
+
+    if (requestedPolicy.clientProfile && !clientProfiles.get(requestedPolicy.clientProfile)) {
+      return res.status(400).json({ error: `Unknown client profile "${requestedPolicy.clientProfile}"` });
+    }
+
+    // An expired peer can only be re-enabled together with a new expiry date
+    if (enabled && isExpired(policy.expiresAt)) {
+      return res.status(400).json({ error: 'Peer has expired. Set a later expiry date to enable it.' });
+    }
+
+    const before = await getPeerSnapshot(req.router, id);
+
+    // Same for a peer the quota poller disabled, unless its quota changes
+    const quotaChanged = policy.quotaBytes !== previousPolicy.quotaBytes || policy.quotaPeriod !== previousPolicy.quotaPeriod;
+    if (enabled && before && !before.enabled && storedPolicy?.quota_exceeded_at && !quotaChanged) {
+      return res.status(400).json({ error: 'Peer is over its data quota. Raise or remove the quota to enable it.' });
+    }
+
     if (regenerateCompletely) {
       // Generate completely new keys WITH preshared key by default
       const newKeys = generateKeys(true); // Always include preshared key for complete regen
@@ -472,11 +1382,8 @@ app.put('/api/peers/:id', async (req, res) => {
         throw new Error('Generated invalid keys');
       }
       
-      // Delete old peer and create new one
-      await mikrotik.deletePeer(id);
-      await database.deletePeerKeys(id);
-      
-      const interfaceName = config.wireguard?.interfaceName || await mikrotik.getWireGuardInterface();
+      // The regenerated peer stays on the interface of the one it replaces
+      const interfaceName = before?.interface || wireguard.interfaceName || await mikrotik.getWireGuardInterface();
       const peerData = {
         'interface': interfaceName,
         'public-key': newKeys.publicKey,
@@ -485,23 +1392,34 @@ app.put('/api/peers/:id', async (req, res) => {
         comment: name.trim(),
         disabled: enabled ? 'false' : 'true'
       };
-      
-      const newId = await mikrotik.createPeer(peerData);
-      
-      // Save new keys to database
-      await database.savePeerKeys({
-        mikrotik_id: newId,
-        name: name.trim(),
-        private_key: newKeys.privateKey,
-        preshared_key: newKeys.presharedKey,
-        allowed_ips: allowedIPs
+
+      // Delete old peer, create the new one and store its keys; journaled so a failure halfway
+      // is finished by recovery instead of leaving the peer without router entry or keys
+      const { mikrotikId: newId } = await journal.run(req.router, 'regenerate', {
+        mikrotikId: id,
+        peerName: name.trim(),
+        payload: {
+          oldPublicKey: before?.publicKey || null,
+          peerData,
+          privateKey: newKeys.privateKey,
+          previousPolicy,
+          policy
+        }
       });
       
       console.log(`✅ Peer "${name.trim()}" completely regenerated with enhanced security (PSK)`);
       
+      await recordAudit(req, 'peer.regenerate', {
+        peerId: newId,
+        peerName: name.trim(),
+        before: before && { ...before, id, ...previousPolicy },
+        after: { ...describePeerForAudit(peerData), id: newId, ...policy }
+      });
+      
       res.json({
         id: newId,
         name: name.trim(),
+        interface: interfaceName,
         publicKey: newKeys.publicKey,
         allowedIPs: allowedIPs,
         enabled: enabled,
@@ -510,6 +1428,12 @@ app.put('/api/peers/:id', async (req, res) => {
         transferTx: '0',
         hasPresharedKey: true,
         hasStoredKeys: true,
+        expiresAt: policy.expiresAt,
+        expired: false,
+        tags: policy.tags,
+        clientProfile: policy.clientProfile,
+        quota: await getPeerQuotaStatus(req.router, newId),
+        ...(await getPeerKeyStatus(req.router, String(newId))),
         regenerated: true
       });
     } else {
@@ -528,15 +1452,25 @@ app.put('/api/peers/:id', async (req, res) => {
           throw new Error('Generated invalid preshared key');
         }
         
-        updateData['preshared-key'] = presharedKey;
         newPresharedKey = presharedKey;
         
-        // Update preshared key in database
-        await database.updatePresharedKey(id, presharedKey);
+        // Router and database get the new key together (journaled)
+        await journal.run(req.router, 'psk_update', { mikrotikId: id, peerName: name.trim(), payload: { presharedKey } });
         console.log(`✅ Updated preshared key for peer: "${name.trim()}"`);
       }
 
       await mikrotik.updatePeer(id, updateData);
+      // Stored name and address feed the drift report and generated configs
+      await database.updatePeerKeyDetails(req.router.id, id, { name: name.trim(), allowed_ips: allowedIPs });
+
+      await savePolicyChanges(database, req.router.id, id, previousPolicy, policy);
+      
+      await recordAudit(req, 'peer.update', {
+        peerId: id,
+        peerName: name.trim(),
+        before: before && { ...before, ...previousPolicy },
+        after: { ...(await getPeerSnapshot(req.router, id)), ...policy, presharedKeyRegenerated: !!newPresharedKey }
+      });
       
       res.json({
         id: id,
@@ -548,127 +1482,98 @@ app.put('/api/peers/:id', async (req, res) => {
         transferTx: '0',
         hasPresharedKey: !!(newPresharedKey),
         hasStoredKeys: true,
+        expiresAt: policy.expiresAt,
+        expired: isExpired(policy.expiresAt),
+        tags: policy.tags,
+        clientProfile: policy.clientProfile,
+        quota: await getPeerQuotaStatus(req.router, id),
+        ...(await getPeerKeyStatus(req.router, id)),
         newPresharedKey: newPresharedKey
       });
     }
   } catch (error) {
     console.error('Error updating peer:', error);
-    res.status(500).json({ error: error.message });
+    res.status(error.status || 500).json({ error: error.message });
   }
 });
 
 
 // Enhanced delete peer route
-app.delete('/api/peers/:id', async (req, res) => {
+app.delete(routerPaths('/peers/:id'), auth.requirePermission('peers:delete'), resolveRouter, async (req, res) => {
   try {
     const { id } = req.params;
+    const before = await getPeerSnapshot(req.router, id);
+    const storedKeys = await database.getAllPeersKeyStatus(req.router.id);
+    const storedName = storedKeys.find(sk => sk.mikrotik_id === id)?.name;
+    
+    // Router peer (if it still exists) and stored data; an unreachable router leaves the
+    // deletion pending in the journal instead of deleting only the stored keys
+    await journal.run(req.router, 'delete', {
+      mikrotikId: id,
+      peerName: before?.name || storedName || null,
+      payload: { publicKey: before?.publicKey || null }
+    });
     
-    try {
-      // Try to delete from MikroTik first
-      await mikrotik.deletePeer(id);
-    } catch (mikrotikError) {
-      console.warn(`Failed to delete peer from MikroTik (may already be deleted): ${mikrotikError.message}`);
-      // Continue to clean up database even if MikroTik delete fails
-    }
-    
-    // Always clean up from database
-    await database.deletePeerKeys(id);
+    await recordAudit(req, 'peer.delete', {
+      peerId: id,
+      peerName: before?.name || storedName || null,
+      before
+    });
     
     res.json({ success: true, message: 'Peer deleted (including orphaned data if any)' });
   } catch (error) {
     console.error('Error deleting peer:', error);
-    res.status(500).json({ error: error.message });
+    res.status(error.status || 500).json({ error: error.message });
   }
 });
 
-// NEW: Get peer configuration file - FIXED with ID validation
-app.get('/api/peers/:id/config', async (req, res) => {
+// Traffic and connectivity history of a peer (?from=&to= as ISO dates, default: last 24 hours)
+app.get(routerPaths('/peers/:id/stats'), auth.requirePermission('peers:read'), resolveRouter, async (req, res) => {
   try {
-    let { id } = req.params;
-    
-    // Debug: Log the received ID
-    console.log(`Config route called with ID: "${id}" (type: ${typeof id})`);
-    
-    // Ensure ID is a string and clean it
-    id = String(id).trim();
-    
-    if (!id || id === 'undefined' || id === 'null') {
-      return res.status(400).json({ error: 'Invalid peer ID provided' });
-    }
-    
-    console.log(`Generating config for peer ID: ${id}`);
-    
-    // Get peer keys from database
-    const storedKeys = await database.getPeerKeys(id);
-    console.log('Stored keys found:', !!storedKeys);
-    
-    if (!storedKeys) {
-      // Debug: Let's see what IDs we have in the database
-      const allKeys = await database.getAllPeersKeyStatus();
-      console.log('Available peer IDs in database:', allKeys.map(k => k.mikrotik_id));
-      
-      return res.status(404).json({ 
-        error: 'Peer configuration not found. Keys may not be stored for this peer.',
-        requestedId: id,
-        availableIds: allKeys.map(k => k.mikrotik_id)
-      });
-    }
-    
-    // Get server info
-    const serverInfo = await mikrotik.getServerInfo();
-    console.log('Server info retrieved:', !!serverInfo['public-key']);
-    
-    if (!serverInfo['public-key']) {
-      return res.status(500).json({ 
-        error: 'Server public key not configured. Please check WireGuard interface setup.' 
-      });
-    }
-    
-    // Generate configuration
-    let configContent = `[Interface]
-PrivateKey = ${storedKeys.private_key}
-Address = ${storedKeys.allowed_ips}
-DNS = 1.1.1.1
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 24 * 60 * 60 * 1000);
 
-[Peer]
-PublicKey = ${serverInfo['public-key']}
-Endpoint = ${config.wireguard.serverEndpoint}
-AllowedIPs = ${config.wireguard.allowedIPs}`;
-
-    if (storedKeys.preshared_key) {
-      configContent += `\nPresharedKey = ${storedKeys.preshared_key}`;
+    if (isNaN(from.getTime()) || isNaN(to.getTime()) || from >= to) {
+      return res.status(400).json({ error: 'from and to must be valid dates with from before to' });
     }
 
-    configContent += `\nPersistentKeepalive = 25`;
+    const rows = await database.getPeerStats(req.router.id, req.params.id, toSqlTimestamp(from), toSqlTimestamp(to));
+    const series = buildStatsSeries(rows, from, to, statsCollector.settings);
 
-    // Set headers for file download
-    res.setHeader('Content-Type', 'text/plain');
-    res.setHeader('Content-Disposition', `attachment; filename="${storedKeys.name}.conf"`);
-    res.send(configContent);
-    
-    console.log(`✅ Config generated successfully for: ${storedKeys.name}`);
-    
+    res.json({
+      peerId: req.params.id,
+      from: from.toISOString(),
+      to: to.toISOString(),
+      ...series
+    });
   } catch (error) {
-    console.error('Error generating config:', error);
+    console.error('Error fetching peer statistics:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-
+// Client config profiles from config.json, for the profile picker in the peer form
+app.get('/api/client-profiles', auth.requirePermission('peers:read'), (req, res) => {
+  res.json(clientProfiles.list());
+});
 
 // Get server info
-app.get('/api/server-info', async (req, res) => {
+app.get(routerPaths('/server-info'), auth.requirePermission('server:read'), resolveRouter, async (req, res) => {
+  const { mikrotik, wireguard } = req.router;
   try {
     console.log('Fetching server info from MikroTik...');
-    const serverInfo = await mikrotik.getServerInfo();
+    const serverInfo = await mikrotik.getServerInfo(req.query.interface || null);
     console.log('Raw server info from MikroTik:', serverInfo);
+    const settings = getInterfaceSettings(req.router, serverInfo.name || wireguard.interfaceName);
     
     const response = {
       publicKey: serverInfo['public-key'] || null,
-      endpoint: config.wireguard.serverEndpoint || 'your.server.com:51820',
-      port: serverInfo['listen-port'] || config.wireguard.serverPort || 51820,
-      allowedIPs: config.wireguard.allowedIPs || '0.0.0.0/0',
-      interfaceName: serverInfo.name || config.wireguard.interfaceName || 'wg0'
+      endpoint: resolveEndpoint(settings.serverEndpoint, serverInfo['listen-port']) || 'your.server.com:51820',
+      port: serverInfo['listen-port'] || settings.serverPort || 51820,
+      allowedIPs: settings.allowedIPs || '0.0.0.0/0',
+      interfaceName: serverInfo.name || wireguard.interfaceName || 'wg0',
+      routerId: req.router.id,
+      routerName: req.router.name
     };
     
     console.log('Formatted server info response:', response);
@@ -680,22 +1585,77 @@ app.get('/api/server-info', async (req, res) => {
     res.json(response);
   } catch (error) {
     console.error('Error fetching server info:', error);
-    res.status(500).json({ 
+    const settings = getInterfaceSettings(req.router, wireguard.interfaceName);
+    res.status(error.status || 500).json({ 
       error: error.message,
       publicKey: null,
-      endpoint: config.wireguard.serverEndpoint || 'your.server.com:51820',
-      port: config.wireguard.serverPort || 51820,
-      allowedIPs: config.wireguard.allowedIPs || '0.0.0.0/0'
+      endpoint: settings.serverEndpoint || 'your.server.com:51820',
+      port: settings.serverPort || 51820,
+      allowedIPs: settings.allowedIPs || '0.0.0.0/0'
     });
   }
 });
+
+// List WireGuard interfaces of a router with their client settings
+app.get(routerPaths('/interfaces'), auth.requirePermission('server:read'), resolveRouter, async (req, res) => {
+  const { mikrotik } = req.router;
+  try {
+    const interfaces = await mikrotik.getWireGuardInterfaces();
+    const peers = await mikrotik.getPeers();
+    let defaultInterface = null;
+    try {
+      defaultInterface = await mikrotik.getWireGuardInterface();
+    } catch (error) {
+      console.warn('No default WireGuard interface:', error.message);
+    }
+    
+    res.json(interfaces.map(iface => {
+      const settings = getInterfaceSettings(req.router, iface.name);
+      return {
+        name: iface.name,
+        publicKey: iface['public-key'] || null,
+        listenPort: iface['listen-port'] || null,
+        enabled: iface.disabled !== 'true',
+        running: iface.running !== 'false',
+        isDefault: iface.name === defaultInterface,
+        peerCount: peers.filter(peer => peer.interface === iface.name).length,
+        endpoint: resolveEndpoint(settings.serverEndpoint, iface['listen-port']) || null,
+        addressPools: getPools(settings).map(pool => pool.cidr),
+        allowedIPs: settings.allowedIPs || null
+      };
+    }));
+  } catch (error) {
+    console.error('Error fetching interfaces:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Address pools of every WireGuard interface with used, reserved and free addresses
+app.get(routerPaths('/ipam'), auth.requirePermission('server:read'), resolveRouter, async (req, res) => {
+  const { mikrotik } = req.router;
+  try {
+    const interfaces = await mikrotik.getWireGuardInterfaces();
+    const peers = await mikrotik.getPeers();
+    const routerAddresses = await getRouterAddressRanges(req.router);
+
+    res.json(interfaces.map(iface => ({
+      interface: iface.name,
+      pools: describePools(getPools(getInterfaceSettings(req.router, iface.name)), peers, routerAddresses)
+    })));
+  } catch (error) {
+    console.error('Error fetching address pools:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
 // Debug route to check database contents
-app.get('/api/debug/database-peers', async (req, res) => {
+app.get('/api/debug/database-peers', auth.requirePermission('debug:read'), async (req, res) => {
   try {
     const allPeers = await database.getAllPeersKeyStatus();
     res.json({
       count: allPeers.length,
       peers: allPeers.map(peer => ({
+        router_id: peer.router_id,
         mikrotik_id: peer.mikrotik_id,
         mikrotik_id_type: typeof peer.mikrotik_id,
         name: peer.name,
@@ -707,8 +1667,92 @@ app.get('/api/debug/database-peers', async (req, res) => {
     res.status(500).json({ error: error.message });
   }
 });
+// Backups: scheduled ones stored on the server, plus download/inspect/restore
+const backupUpload = express.raw({ type: () => true, limit: '200mb' });
+const backupPassphrase = (req) => req.get('X-Backup-Passphrase') || null;
+
+app.get('/api/backups', auth.requirePermission('backup:manage'), (req, res) => {
+  try {
+    const { intervalHours, keep, encrypted } = backups.settings;
+    res.json({ schedule: { intervalHours, keep, encrypted }, backups: backups.listBackups() });
+  } catch (error) {
+    console.error('Error listing backups:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Create a backup now and download it; { passphrase } encrypts it
+app.post('/api/backups', auth.requirePermission('backup:manage'), async (req, res) => {
+  try {
+    const archive = await backups.createArchive({ passphrase: req.body.passphrase || null });
+    await recordAudit(req, 'backup.create', { after: { fileName: archive.fileName, encrypted: archive.encrypted } });
+
+    res.setHeader('Content-Type', 'application/octet-stream');
+    res.setHeader('Content-Disposition', `attachment; filename="${archive.fileName}"`);
+    res.send(archive.data);
+  } catch (error) {
+    console.error('Error creating backup:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.get('/api/backups/:name', auth.requirePermission('backup:manage'), (req, res) => {
+  const filePath = backups.backupPath(req.params.name);
+  if (!filePath) {
+    return res.status(404).json({ error: 'Backup not found' });
+  }
+  res.download(filePath, req.params.name);
+});
+
+// Upload a backup (raw body, passphrase in X-Backup-Passphrase) and show what it contains
+app.post('/api/backups/inspect', auth.requirePermission('backup:manage'), backupUpload, async (req, res) => {
+  try {
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({ error: 'Upload the backup file as the request body' });
+    }
+    res.json(await backups.inspectArchive(req.body, { passphrase: backupPassphrase(req) }));
+  } catch (error) {
+    console.error('Error reading backup:', error.message);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Replace the database with the uploaded backup; ?recreatePeers=true also re-creates peers that
+// are missing on the router. All sessions end, so the client has to log in again.
+app.post('/api/backups/restore', auth.requirePermission('backup:manage'), backupUpload, async (req, res) => {
+  try {
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({ error: 'Upload the backup file as the request body' });
+    }
+    const result = await backups.restoreArchive(req.body, {
+      passphrase: backupPassphrase(req),
+      recreatePeers: req.query.recreatePeers === 'true'
+    });
+    // The restored users table may not contain this user, or under another ID
+    await recordAudit({ user: { username: req.user.username }, ip: req.ip }, 'backup.restore', {
+      after: { backupCreatedAt: result.createdAt, created: result.created, moved: result.moved, missing: result.missing, failed: result.failed }
+    });
+    res.json(result);
+  } catch (error) {
+    console.error('Error restoring backup:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Audit log with optional filters (?username=&action=&routerId=&peerId=&peerName=&from=&to=&limit=&offset=)
+app.get('/api/audit', auth.requirePermission('audit:read'), async (req, res) => {
+  try {
+    const { username, action, routerId, peerId, peerName, from, to, limit, offset } = req.query;
+    const result = await database.getAuditEntries({ username, action, routerId, peerId, peerName, from, to, limit, offset });
+    res.json(result);
+  } catch (error) {
+    console.error('Error fetching audit log:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 // Toggle peer status (enable/disable)
-app.patch('/api/peers/:id/toggle', async (req, res) => {
+app.patch(routerPaths('/peers/:id/toggle'), auth.requirePermission('peers:toggle'), resolveRouter, async (req, res) => {
+  const { mikrotik } = req.router;
   try {
     const { id } = req.params;
     
@@ -723,7 +1767,18 @@ app.patch('/api/peers/:id/toggle', async (req, res) => {
     // Determine new status (toggle current status)
     const currentlyDisabled = currentPeer.disabled === 'true';
     const newDisabledStatus = currentlyDisabled ? 'false' : 'true';
-    const newEnabledStatus = !currentlyDisabled;
+    const newEnabledStatus = currentlyDisabled;
+
+    // Enabling: refuse while the peer is past its expiry date
+    if (currentlyDisabled) {
+      const policy = await database.getPeerPolicy(req.router.id, id);
+      if (isExpired(policy?.expires_at)) {
+        return res.status(400).json({ error: 'Peer has expired. Set a later expiry date to enable it.' });
+      }
+      if (policy?.quota_exceeded_at) {
+        return res.status(400).json({ error: 'Peer is over its data quota. Raise or remove the quota to enable it.' });
+      }
+    }
     
     console.log(`Peer "${currentPeer.comment}" - Current: ${currentlyDisabled ? 'Disabled' : 'Enabled'}, New: ${newEnabledStatus ? 'Enabled' : 'Disabled'}`);
     
@@ -737,6 +1792,13 @@ app.patch('/api/peers/:id/toggle', async (req, res) => {
     // Get updated peer info
     const updatedPeer = await mikrotik.getPeer(id);
     
+    await recordAudit(req, 'peer.toggle', {
+      peerId: id,
+      peerName: updatedPeer.comment || 'Unnamed',
+      before: describePeerForAudit(currentPeer),
+      after: describePeerForAudit(updatedPeer)
+    });
+    
     res.json({
       id: updatedPeer['.id'],
       name: updatedPeer.comment || 'Unnamed',
@@ -746,7 +1808,7 @@ app.patch('/api/peers/:id/toggle', async (req, res) => {
     
   } catch (error) {
     console.error('Error toggling peer status:', error);
-    res.status(500).json({ error: error.message });
+    res.status(error.status || 500).json({ error: error.message });
   }
 });
 
@@ -759,34 +1821,70 @@ if (process.env.NODE_ENV === 'production') {
   });
 }
 
-// Graceful shutdown
-process.on('SIGINT', async () => {
-  console.log('\nReceived SIGINT. Graceful shutdown...');
-  try {
-    await database.close();
-    process.exit(0);
-  } catch (error) {
-    console.error('Error during shutdown:', error);
-    process.exit(1);
-  }
-});
-
-app.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
-  console.log(`API available at http://localhost:${PORT}/api`);
-  if (process.env.NODE_ENV !== 'production') {
-    console.log(`Frontend will be available at http://localhost:3000`);
-  }
-  
-  // Test MikroTik connection on startup
-  setTimeout(async () => {
+// Graceful shutdown, startup tasks and the HTTP listener only run when started directly
+if (isMainModule) {
+  // Graceful shutdown
+  process.on('SIGINT', async () => {
+    console.log('\nReceived SIGINT. Graceful shutdown...');
     try {
-      console.log('Testing MikroTik connection...');
-      await mikrotik.connect();
-      console.log('✅ MikroTik connection test successful');
+      await database.close();
+      process.exit(0);
     } catch (error) {
-      console.log('❌ MikroTik connection test failed');
-      console.log('Server will continue running, but peer management will not work until connection is fixed.');
+      console.error('Error during shutdown:', error);
+      process.exit(1);
     }
-  }, 2000);
-});
+  });
+
+  app.listen(PORT, () => {
+    console.log(`Server running on port ${PORT}`);
+    console.log(`API available at http://localhost:${PORT}/api`);
+    if (process.env.NODE_ENV !== 'production') {
+      console.log(`Frontend will be available at http://localhost:3000`);
+    }
+
+    // Make sure there is an account to log in with
+    setTimeout(async () => {
+      try {
+        await auth.ensureInitialAdmin();
+        await database.deleteExpiredSessions();
+        await database.claimLegacyPeerKeys(routers.defaultId);
+      } catch (error) {
+        console.error('❌ Failed to prepare user accounts:', error.message);
+      }
+    }, 500);
+
+    // Finish or roll back operations interrupted by a crash or a lost router connection
+    setTimeout(() => journal.recoverAll(), 4000);
+
+    // Disable (and optionally delete) peers past their expiry date
+    setTimeout(() => expiryScheduler.start(), 5000);
+
+    // Accumulate traffic counters and enforce data quotas
+    setTimeout(() => quotaPoller.start(), 6000);
+
+    // Sample peer statistics for the history charts
+    setTimeout(() => statsCollector.start(), 7000);
+
+    // Stage and push preshared key rotations
+    setTimeout(() => pskRotation.start(), 7500);
+
+    // Scheduled backups (config.json "backup")
+    setTimeout(() => backups.start(), 8000);
+
+    // Test MikroTik connections on startup
+    setTimeout(async () => {
+      for (const router of routers.list()) {
+        try {
+          console.log(`Testing MikroTik connection for router "${router.id}"...`);
+          await router.mikrotik.connect();
+          console.log(`✅ MikroTik connection test successful for router "${router.id}"`);
+        } catch (error) {
+          console.log(`❌ MikroTik connection test failed for router "${router.id}"`);
+          console.log('Server will continue running, but peer management on this router will not work until connection is fixed.');
+        }
+      }
+    }, 2000);
+  });
+}
+
+module.exports = app;
@@ -0,0 +1,193 @@
+// Background job that samples every router's peers into peer_stats for the history charts.
+// Samples are kept at full ("raw") resolution for a while, then folded into hourly and
+// later daily buckets, and finally dropped (see the "stats" block in config.json).
+const { toSqlTimestamp } = require('./peer-policies');
+
+// WireGuard re-handshakes every 2 minutes while traffic flows
+const ONLINE_THRESHOLD_SECONDS = 180;
+
+const DEFAULTS = {
+  sampleIntervalSeconds: 60,
+  rawRetentionHours: 48,
+  hourlyRetentionDays: 30,
+  dailyRetentionDays: 365,
+  onlineThresholdSeconds: ONLINE_THRESHOLD_SECONDS
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// RouterOS durations look like "1w2d3h4m5s" (any part may be missing)
+const parseRouterOsDuration = (value) => {
+  if (!value || typeof value !== 'string') return null;
+  const match = value.match(/^(?:(\d+)w)?(?:(\d+)d)?(?:(\d+)h)?(?:(\d+)m)?(?:(\d+)s)?/);
+  if (!match || match[0] === '') return null;
+
+  const [, weeks = 0, days = 0, hours = 0, minutes = 0, seconds = 0] = match.map(n => n && Number(n));
+  return (((weeks * 7 + days) * 24 + hours) * 60 + minutes) * 60 + seconds;
+};
+
+// A peer counts as online while it is enabled and had a recent handshake
+const isPeerOnline = (peer, thresholdSeconds = ONLINE_THRESHOLD_SECONDS) => {
+  const handshakeAge = parseRouterOsDuration(peer['last-handshake']);
+  return peer.disabled !== 'true' && handshakeAge !== null && handshakeAge <= thresholdSeconds;
+};
+
+const parseCounter = (value) => {
+  const parsed = parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : 0;
+};
+
+const floorTo = (time, stepMs) => new Date(Math.floor(time / stepMs) * stepMs);
+
+const createStatsCollector = ({ routers, database, options = {} }) => {
+  const settings = { ...DEFAULTS };
+  Object.keys(DEFAULTS).forEach(key => {
+    if (Number(options[key]) > 0) settings[key] = Number(options[key]);
+  });
+
+  // Last counters per "<router>/<peer id>"; the first sample after start is only a baseline
+  const lastCounters = new Map();
+  let timer = null;
+  let running = false;
+  let lastMaintenance = 0;
+
+  const samplePeer = (router, peer) => {
+    const id = String(peer['.id']);
+    const key = `${router.id}/${id}`;
+    const rx = parseCounter(peer.rx || peer['rx-bytes']);
+    const tx = parseCounter(peer.tx || peer['tx-bytes']);
+    const last = lastCounters.get(key);
+    lastCounters.set(key, { rx, tx });
+
+    // Lower counters mean the peer was re-created or the router rebooted
+    const delta = (current, previous) => (current >= previous ? current - previous : current);
+    const handshakeAge = parseRouterOsDuration(peer['last-handshake']);
+
+    return {
+      mikrotik_id: id,
+      rx_bytes: last ? delta(rx, last.rx) : 0,
+      tx_bytes: last ? delta(tx, last.tx) : 0,
+      online: isPeerOnline(peer, settings.onlineThresholdSeconds),
+      handshake_age: handshakeAge
+    };
+  };
+
+  const collect = async () => {
+    const sampledAt = toSqlTimestamp(new Date());
+
+    for (const router of routers.list()) {
+      try {
+        const peers = await router.mikrotik.getPeers();
+        await database.addPeerStatsSamples(router.id, sampledAt, peers.map(peer => samplePeer(router, peer)));
+      } catch (error) {
+        console.error(`Statistics sample failed for router "${router.id}":`, error.message);
+      }
+    }
+  };
+
+  // Downsample and expire old buckets, at most once an hour. Cutoffs are aligned to whole
+  // hours/days so a bucket is never folded half-way.
+  const maintain = async () => {
+    const now = Date.now();
+    if (now - lastMaintenance < HOUR_MS) return;
+    lastMaintenance = now;
+
+    try {
+      const rawBefore = toSqlTimestamp(floorTo(now - settings.rawRetentionHours * HOUR_MS, HOUR_MS));
+      const hourlyBefore = toSqlTimestamp(floorTo(now - settings.hourlyRetentionDays * DAY_MS, DAY_MS));
+      const dailyBefore = toSqlTimestamp(floorTo(now - settings.dailyRetentionDays * DAY_MS, DAY_MS));
+
+      const hourly = await database.downsamplePeerStats('raw', 'hour', '%Y-%m-%d %H:00:00', rawBefore);
+      const daily = await database.downsamplePeerStats('hour', 'day', '%Y-%m-%d 00:00:00', hourlyBefore);
+      const dropped = await database.deletePeerStatsBefore('day', dailyBefore);
+
+      if (hourly || daily || dropped) {
+        console.log(`📈 Statistics maintenance: ${hourly} raw → hourly, ${daily} hourly → daily, ${dropped} daily dropped`);
+      }
+    } catch (error) {
+      console.error('Statistics maintenance failed:', error.message);
+    }
+  };
+
+  // One sample of all routers; overlapping runs are skipped
+  const runOnce = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await collect();
+      await maintain();
+    } finally {
+      running = false;
+    }
+  };
+
+  const start = () => {
+    if (timer) return;
+    console.log(`📈 Peer statistics sampled every ${settings.sampleIntervalSeconds}s ` +
+      `(raw ${settings.rawRetentionHours}h, hourly ${settings.hourlyRetentionDays}d, daily ${settings.dailyRetentionDays}d)`);
+    runOnce();
+    timer = setInterval(runOnce, settings.sampleIntervalSeconds * 1000);
+  };
+
+  const stop = () => {
+    if (timer) {
+      clearInterval(timer);
+      timer = null;
+    }
+  };
+
+  return { start, stop, runOnce, settings };
+};
+
+// Chart steps to choose from; the range is split into at most MAX_POINTS buckets
+const STEPS_MS = [5 * 60 * 1000, 15 * 60 * 1000, HOUR_MS, 6 * HOUR_MS, DAY_MS, 7 * DAY_MS];
+const MAX_POINTS = 300;
+
+// Turn stored buckets into an evenly spaced series between from and to (Dates). The step is
+// never finer than the coarsest resolution still stored for that range, so downsampled
+// hours/days are not drawn as spikes.
+const buildStatsSeries = (rows, from, to, settings = DEFAULTS) => {
+  const rangeMs = to - from;
+  let minStep = STEPS_MS[0];
+  if (from < Date.now() - settings.rawRetentionHours * HOUR_MS) minStep = HOUR_MS;
+  if (from < Date.now() - settings.hourlyRetentionDays * DAY_MS) minStep = DAY_MS;
+
+  const stepMs = STEPS_MS.find(step => step >= minStep && rangeMs / step <= MAX_POINTS) || STEPS_MS[STEPS_MS.length - 1];
+  const start = floorTo(from.getTime(), stepMs).getTime();
+
+  const buckets = new Map();
+  for (let time = start; time < to.getTime(); time += stepMs) {
+    buckets.set(time, { rxBytes: 0, txBytes: 0, samples: 0, onlineSamples: 0, handshakeAge: null });
+  }
+
+  rows.forEach(row => {
+    const time = floorTo(new Date(`${row.bucket_start.replace(' ', 'T')}Z`).getTime(), stepMs).getTime();
+    const bucket = buckets.get(time);
+    if (!bucket) return;
+    bucket.rxBytes += row.rx_bytes;
+    bucket.txBytes += row.tx_bytes;
+    bucket.samples += row.samples;
+    bucket.onlineSamples += row.online_samples;
+    if (row.handshake_age !== null && (bucket.handshakeAge === null || row.handshake_age < bucket.handshakeAge)) {
+      bucket.handshakeAge = row.handshake_age;
+    }
+  });
+
+  const stepSeconds = stepMs / 1000;
+  return {
+    stepSeconds,
+    points: Array.from(buckets.entries()).map(([time, bucket]) => ({
+      time: new Date(time).toISOString(),
+      rxBytes: bucket.rxBytes,
+      txBytes: bucket.txBytes,
+      rxRate: Math.round(bucket.rxBytes / stepSeconds),
+      txRate: Math.round(bucket.txBytes / stepSeconds),
+      // Share of samples with a recent handshake; null where nothing was sampled
+      uptime: bucket.samples > 0 ? bucket.onlineSamples / bucket.samples : null,
+      handshakeAge: bucket.handshakeAge
+    }))
+  };
+};
+
+module.exports = { createStatsCollector, buildStatsSeries, isPeerOnline, parseRouterOsDuration };
@@ -0,0 +1,74 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { startTestServer } = require('./helpers');
+const { createRouterRegistry } = require('../routers');
+const { createQuotaPoller } = require('../quota-poller');
+const { createExpiryScheduler } = require('../expiry-scheduler');
+const { createOperationJournal } = require('../operation-journal');
+const { toSqlDate } = require('../peer-policies');
+
+describe('background jobs', () => {
+  let api;
+  let routers;
+
+  before(async () => {
+    api = await startTestServer();
+    // The jobs only run when the server is started directly; here they get their own connection
+    routers = createRouterRegistry(JSON.parse(fs.readFileSync(process.env.WGM_CONFIG_PATH, 'utf8')));
+  });
+
+  after(async () => {
+    await api.close();
+  });
+
+  const isDisabled = (id) => api.simulator.getPeers().find(peer => peer['.id'] === id).disabled === 'true';
+  const useTraffic = (id, bytes) => api.database.recordPeerTraffic(api.routerId, id, toSqlDate(new Date()), {
+    rxBytes: bytes, txBytes: 0, counterRx: 0, counterTx: 0
+  });
+  // Move all traffic out of the quota windows
+  const rollOver = (id) => api.database.runStatement("UPDATE peer_usage SET day = '2000-01-01' WHERE mikrotik_id = ?", [id]);
+
+  it('disables a peer over its quota and re-enables it after the rollover', async () => {
+    const poller = createQuotaPoller({ routers, database: api.database, recordAudit: async () => {} });
+    const peer = (await api.request('POST', '/api/peers', { name: 'capped', quotaBytes: 1000 })).body;
+
+    await useTraffic(peer.id, 5000);
+    await poller.runOnce();
+    assert.equal(isDisabled(peer.id), true);
+
+    await rollOver(peer.id);
+    await poller.runOnce();
+    assert.equal(isDisabled(peer.id), false);
+  });
+
+  it('leaves a peer disabled by an admin off after the rollover', async () => {
+    const poller = createQuotaPoller({ routers, database: api.database, recordAudit: async () => {} });
+    const peer = (await api.request('POST', '/api/peers', { name: 'switched off', quotaBytes: 1000 })).body;
+    assert.equal((await api.request('PATCH', `/api/peers/${peer.id}/toggle`)).status, 200);
+    assert.equal(isDisabled(peer.id), true);
+
+    await useTraffic(peer.id, 5000);
+    await poller.runOnce();
+    assert.equal((await api.database.getPeerPolicy(api.routerId, peer.id)).quota_exceeded_at, null);
+
+    await rollOver(peer.id);
+    await poller.runOnce();
+    assert.equal(isDisabled(peer.id), true);
+  });
+
+  it('disables expired peers and settles the expiry of peers already gone from the router', async () => {
+    const recordAudit = async () => {};
+    const journal = createOperationJournal({ routers, database: api.database, recordAudit });
+    const scheduler = createExpiryScheduler({ routers, database: api.database, journal, recordAudit });
+    const peer = (await api.request('POST', '/api/peers', { name: 'expiring' })).body;
+    await api.database.setPeerExpiry(api.routerId, peer.id, '2000-01-01 00:00:00');
+    await api.database.setPeerExpiry(api.routerId, '*EE', '2000-01-01 00:00:00');
+
+    await scheduler.runOnce();
+    assert.equal(isDisabled(peer.id), true);
+    assert.ok((await api.database.getPeerPolicy(api.routerId, peer.id)).expired_at);
+    assert.ok((await api.database.getPeerPolicy(api.routerId, '*EE')).expired_at);
+    assert.deepEqual(await api.database.getDuePeerExpiries(api.routerId), []);
+  });
+});
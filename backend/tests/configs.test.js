@@ -0,0 +1,116 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const nacl = require('tweetnacl');
+const { startTestServer } = require('./helpers');
+
+// "Key = value" lines of a WireGuard config, per section
+const parseConfig = (text) => {
+  const sections = {};
+  let current = null;
+  for (const line of text.split('\n')) {
+    const section = line.match(/^\[(\w+)\]$/);
+    if (section) {
+      current = sections[section[1]] = {};
+    } else if (current && line.includes(' = ')) {
+      const [key, ...value] = line.split(' = ');
+      current[key] = value.join(' = ');
+    }
+  }
+  return sections;
+};
+
+const publicKeyOf = (privateKey) =>
+  Buffer.from(nacl.scalarMult.base(Buffer.from(privateKey, 'base64'))).toString('base64');
+
+describe('client configs', () => {
+  let api;
+  let laptop;
+  let phone;
+
+  before(async () => {
+    api = await startTestServer();
+    laptop = (await api.request('POST', '/api/peers', { name: 'Laptop (home)' })).body;
+    phone = (await api.request('POST', '/api/peers', { name: 'phone', interface: 'wg-small', usePresharedKey: false })).body;
+  });
+
+  after(async () => {
+    await api.close();
+  });
+
+  it('generates the config of a peer from its stored keys', async () => {
+    const response = await api.request('GET', `/api/peers/${laptop.id}/config`);
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /^text\/plain/);
+    assert.equal(response.headers.get('content-disposition'), 'attachment; filename="Laptop__home_.conf"');
+
+    const config = parseConfig(response.body);
+    const server = api.simulator.getInterfaces().find(iface => iface.name === 'wg-test');
+    const routerPeer = api.simulator.getPeers().find(peer => peer['.id'] === laptop.id);
+
+    assert.equal(publicKeyOf(config.Interface.PrivateKey), routerPeer['public-key']);
+    assert.equal(config.Interface.Address, '10.10.0.2/32');
+    assert.equal(config.Interface.DNS, '10.10.0.1');
+    assert.equal(config.Peer.PublicKey, server['public-key']);
+    assert.equal(config.Peer.Endpoint, 'vpn.example.com:51820');
+    assert.equal(config.Peer.AllowedIPs, '10.10.0.0/24');
+    assert.equal(config.Peer.PresharedKey, routerPeer['preshared-key']);
+  });
+
+  it('uses the settings and server key of the peer\'s interface', async () => {
+    const response = await api.request('GET', `/api/peers/${phone.id}/config`);
+    assert.equal(response.status, 200);
+
+    const config = parseConfig(response.body);
+    const server = api.simulator.getInterfaces().find(iface => iface.name === 'wg-small');
+    assert.equal(config.Interface.Address, '10.20.0.2/32');
+    assert.equal(config.Peer.PublicKey, server['public-key']);
+    assert.equal(config.Peer.Endpoint, 'vpn.example.com:51821');
+    assert.equal(config.Peer.PresharedKey, undefined);
+  });
+
+  it('renders the config as a QR code', async () => {
+    const svg = await api.request('GET', `/api/peers/${laptop.id}/qrcode?format=svg`);
+    assert.equal(svg.status, 200);
+    assert.match(svg.headers.get('content-type'), /^image\/svg\+xml/);
+    assert.match(svg.body, /<svg/);
+
+    const invalid = await api.request('GET', `/api/peers/${laptop.id}/qrcode?format=gif`);
+    assert.equal(invalid.status, 400);
+  });
+
+  it('exports the selected configs as a ZIP archive', async () => {
+    const response = await api.request('POST', '/api/peers/export', { ids: [laptop.id] });
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /zip/);
+
+    const empty = await api.request('POST', '/api/peers/export', { ids: [] });
+    assert.equal(empty.status, 400);
+  });
+
+  it('answers 404 for a peer without stored keys', async () => {
+    await api.database.deletePeerKeys(api.routerId, phone.id);
+
+    const response = await api.request('GET', `/api/peers/${phone.id}/config`);
+    assert.equal(response.status, 404);
+    assert.equal(response.body.requestedId, phone.id);
+    assert.deepEqual(response.body.availableIds, [laptop.id]);
+
+    const qrcode = await api.request('GET', `/api/peers/${phone.id}/qrcode`);
+    assert.equal(qrcode.status, 404);
+
+    const peers = await api.request('GET', '/api/peers');
+    assert.equal(peers.body.find(peer => peer.id === phone.id).hasStoredKeys, false);
+  });
+
+  it('answers 404 for an unknown peer', async () => {
+    const response = await api.request('GET', '/api/peers/*FF/config');
+    assert.equal(response.status, 404);
+  });
+
+  it('reports the server settings of the default interface', async () => {
+    const response = await api.request('GET', '/api/server-info');
+    assert.equal(response.status, 200);
+    assert.equal(response.body.publicKey, api.simulator.getInterfaces()[0]['public-key']);
+    assert.equal(response.body.endpoint, 'vpn.example.com:51820');
+  });
+});
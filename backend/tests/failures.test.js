@@ -0,0 +1,208 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const nacl = require('tweetnacl');
+const { startTestServer } = require('./helpers');
+
+// Journal recovery runs once the router can be reached again (reconnects back off from 1s)
+const recoverJournal = async (api) => {
+  for (let attempt = 0; attempt < 10; attempt++) {
+    const response = await api.request('POST', '/api/journal/recover');
+    if (response.status === 200 && response.body.results.every(result => result.status !== 'pending')) {
+      return response.body.results;
+    }
+    await new Promise(resolve => setTimeout(resolve, 500));
+  }
+  throw new Error('Journal entries stayed pending');
+};
+
+describe('failures and cleanup', () => {
+  let api;
+
+  before(async () => {
+    api = await startTestServer();
+  });
+
+  after(async () => {
+    await api.close();
+  });
+
+  it('leaves nothing behind when the router rejects a new peer', async () => {
+    api.simulator.failNext('/interface/wireguard/peers/add', 'failure: out of memory');
+
+    const response = await api.request('POST', '/api/peers', { name: 'rejected' });
+    assert.equal(response.status, 500);
+    assert.match(response.body.error, /out of memory/);
+    assert.match(response.body.error, /create did not finish; the change was rolled back/);
+
+    assert.deepEqual(api.simulator.getPeers(), []);
+    assert.deepEqual(await api.database.getAllPeersKeyStatus(api.routerId), []);
+    assert.deepEqual((await api.request('GET', '/api/journal')).body.pending, []);
+  });
+
+  it('rolls back a peer whose creation lost the router connection midway', async () => {
+    // The router adds the peer but the reply never arrives
+    api.simulator.disconnectAfterNext('/interface/wireguard/peers/add');
+
+    const response = await api.request('POST', '/api/peers', { name: 'interrupted' });
+    assert.equal(response.status, 500);
+    assert.match(response.body.error, /create did not finish/);
+    assert.equal(api.simulator.getPeers().length, 1);
+    assert.deepEqual(await api.database.getAllPeersKeyStatus(api.routerId), []);
+
+    const journal = await api.request('GET', '/api/journal');
+    assert.deepEqual(journal.body.pending.map(entry => [entry.operation, entry.peer_name]), [['create', 'interrupted']]);
+
+    const results = await recoverJournal(api);
+    assert.deepEqual(results.map(result => [result.operation, result.status]), [['create', 'rolled_back']]);
+    assert.deepEqual(api.simulator.getPeers(), []);
+  });
+
+  it('finishes a deletion the router did not confirm', async () => {
+    const peer = (await api.request('POST', '/api/peers', { name: 'to delete' })).body;
+    api.simulator.failNext('/interface/wireguard/peers/remove', 'failure: busy');
+
+    const response = await api.request('DELETE', `/api/peers/${peer.id}`);
+    assert.equal(response.status, 500);
+    assert.match(response.body.error, /delete did not finish; it is kept in the journal/);
+    assert.equal(api.simulator.getPeers().length, 1);
+
+    const results = await recoverJournal(api);
+    assert.deepEqual(results.map(result => [result.operation, result.status]), [['delete', 'replayed']]);
+    assert.deepEqual(api.simulator.getPeers(), []);
+    assert.equal(await api.database.getPeerKeys(api.routerId, peer.id), undefined);
+  });
+
+  it('puts the old keys back when a key rotation loses the router connection', async () => {
+    const peer = (await api.request('POST', '/api/peers', { name: 'rotating' })).body;
+    const publicKeyOnRouter = () => api.simulator.getPeers().find(candidate => candidate['.id'] === peer.id)['public-key'];
+    const originalPublicKey = publicKeyOnRouter();
+    const originalKeys = await api.database.getPeerKeys(api.routerId, peer.id);
+
+    // The router takes the new key but the reply never arrives
+    api.simulator.disconnectAfterNext('/interface/wireguard/peers/set');
+    const response = await api.request('POST', `/api/peers/${peer.id}/key-rotation`, {});
+    assert.notEqual(response.status, 200);
+    assert.match(response.body.error, /key_rotate did not finish/);
+
+    await recoverJournal(api);
+    assert.equal(publicKeyOnRouter(), originalPublicKey);
+    const keys = await api.database.getPeerKeys(api.routerId, peer.id);
+    assert.equal(keys.private_key, originalKeys.private_key);
+    assert.equal(keys.previous_private_key, null);
+    assert.deepEqual((await api.request('GET', '/api/journal')).body.pending, []);
+  });
+
+  it('reports an exhausted address pool without touching the router', async () => {
+    // wg-small is a /30 with the router on .1: room for one peer
+    const first = await api.request('POST', '/api/peers', { name: 'only one', interface: 'wg-small' });
+    assert.equal(first.status, 200);
+    assert.equal(first.body.allowedIPs, '10.20.0.2/32');
+
+    const second = await api.request('POST', '/api/peers', { name: 'one too many', interface: 'wg-small' });
+    assert.equal(second.status, 409);
+    assert.match(second.body.error, /No available IP addresses in the pool of interface "wg-small" \(10\.20\.0\.0\/30\)/);
+    assert.equal(api.simulator.getPeers().filter(peer => peer.interface === 'wg-small').length, 1);
+
+    const ipam = await api.request('GET', '/api/ipam');
+    const [pool] = ipam.body.find(entry => entry.interface === 'wg-small').pools;
+    assert.equal(pool.used, 1);
+    assert.equal(pool.free, 0);
+    assert.equal(pool.nextFree, null);
+  });
+
+  it('removes stored keys of peers that are gone from the router', async () => {
+    const kept = (await api.request('POST', '/api/peers', { name: 'kept' })).body;
+    await api.database.savePeerKeys({
+      router_id: api.routerId,
+      mikrotik_id: '*99',
+      name: 'removed on the router',
+      private_key: 'cGxhY2Vob2xkZXItcHJpdmF0ZS1rZXktZm9yLXRlc3Q=',
+      preshared_key: null,
+      allowed_ips: '10.10.0.99/32'
+    });
+
+    const response = await api.request('POST', '/api/cleanup-orphaned-peers');
+    assert.equal(response.status, 200);
+    assert.equal(response.body.cleanedCount, 1);
+    assert.equal(await api.database.getPeerKeys(api.routerId, '*99'), undefined);
+    assert.ok(await api.database.getPeerKeys(api.routerId, kept.id));
+
+    const again = await api.request('POST', '/api/cleanup-orphaned-peers');
+    assert.equal(again.body.cleanedCount, 0);
+  });
+
+  it('re-creates a peer from stored keys on its interface, when the interface is known', async () => {
+    const keyPair = nacl.box.keyPair();
+    const orphan = {
+      router_id: api.routerId,
+      private_key: Buffer.from(keyPair.secretKey).toString('base64'),
+      preshared_key: null
+    };
+    await api.database.savePeerKeys({ ...orphan, mikrotik_id: '*A0', name: 'gone', allowed_ips: '10.20.0.3/32', interface: 'wg-small' });
+    await api.database.savePeerKeys({ ...orphan, mikrotik_id: '*A1', name: 'gone long ago', allowed_ips: '10.10.0.98/32' });
+
+    const report = (await api.request('GET', '/api/reconciliation')).body;
+    const known = report.items.find(entry => entry.id === 'orphaned_keys:*A0');
+    const legacy = report.items.find(entry => entry.id === 'orphaned_keys:*A1');
+    assert.deepEqual(known.resolutions, ['delete_keys', 'recreate_peer']);
+    assert.deepEqual(legacy.resolutions, ['delete_keys']);
+    assert.match(legacy.message, /interface is unknown/);
+
+    const response = await api.request('POST', '/api/reconciliation', {
+      resolutions: [{ id: known.id, resolution: 'recreate_peer' }, { id: legacy.id, resolution: 'delete_keys' }]
+    });
+    assert.deepEqual(response.body.results.map(result => result.status), ['applied', 'applied']);
+
+    const recreated = api.simulator.getPeers().find(peer => peer['public-key'] === Buffer.from(keyPair.publicKey).toString('base64'));
+    assert.equal(recreated.interface, 'wg-small');
+    assert.equal(recreated['allowed-address'], '10.20.0.3/32');
+    assert.deepEqual((await api.request('GET', '/api/journal')).body.pending, []);
+  });
+
+  it('settles the journal and claims keys without a router when a backup is restored', async () => {
+    const peer = (await api.request('POST', '/api/peers', { name: 'backed up' })).body;
+    // A row as stored before multi-router support
+    await api.database.runStatement('UPDATE peer_keys SET router_id = NULL WHERE mikrotik_id = ?', [peer.id]);
+    const backup = await api.request('POST', '/api/backups', {});
+    assert.equal(backup.status, 200);
+
+    // Pending for a router that is no longer configured, so recovery cannot settle it
+    await api.database.createJournalEntry('retired', 'delete', { mikrotik_id: '*7', peer_name: 'old', payload: {} });
+
+    const response = await api.request('POST', '/api/backups/restore', backup.body);
+    assert.equal(response.status, 200);
+    assert.equal(response.body.discardedOperations, 1);
+    assert.equal(response.body.results.find(result => result.id === peer.id).status, 'present');
+
+    // A restore ends every session
+    await api.login();
+    assert.equal((await api.database.getPeerKeys(api.routerId, peer.id)).name, 'backed up');
+    const journal = await api.database.allRows("SELECT status FROM operation_journal WHERE router_id = 'retired'");
+    assert.deepEqual(journal.map(entry => entry.status), ['discarded']);
+  });
+
+  it('reports a router that stopped answering as unhealthy', async () => {
+    assert.equal((await api.request('GET', '/api/health')).status, 200);
+
+    await api.simulator.stop();
+    const response = await api.request('GET', '/api/health');
+    assert.equal(response.status, 503);
+    assert.equal(response.body.status, 'degraded');
+    assert.deepEqual(response.body.routers.map(router => [router.id, router.connected]), [['main', false]]);
+
+    const peers = await api.request('GET', '/api/peers');
+    assert.equal(peers.status, 503);
+    assert.match(peers.body.error, /unreachable/);
+  });
+
+  it('gives anonymous health checks only the overall status', async () => {
+    api.logout();
+    try {
+      const response = await api.request('GET', '/api/health');
+      assert.equal(response.status, 503);
+      assert.deepEqual(Object.keys(response.body).sort(), ['checkedAt', 'status']);
+    } finally {
+      await api.login();
+    }
+  });
+});
@@ -0,0 +1,151 @@
+// Boots the Express app against a RouterOS simulator, a temporary SQLite file and a throwaway
+// master key. Every test file runs in its own process (node --test), so each gets a fresh
+// server; call startTestServer() once in before() and close() in after().
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { createRouterOsSimulator, simulatorOptionsForRouter } = require('../routeros-simulator');
+
+const ADMIN = { username: 'admin', password: 'test-password' };
+
+// One router with a regular interface and one whose pool has room for a single peer
+const testRouterConfig = (port) => ({
+  id: 'main',
+  name: 'Test router',
+  mikrotik: { host: '127.0.0.1', port, username: 'api', password: 'api-password' },
+  wireguard: {
+    interfaceName: 'wg-test',
+    interfaces: {
+      'wg-test': {
+        serverEndpoint: 'vpn.example.com:51820',
+        serverPort: 51820,
+        addressPools: [{ cidr: '10.10.0.0/24', exclude: ['10.10.0.1'] }],
+        dns: '10.10.0.1',
+        allowedIPs: '10.10.0.0/24'
+      },
+      'wg-small': {
+        serverEndpoint: 'vpn.example.com:51821',
+        serverPort: 51821,
+        addressPools: [{ cidr: '10.20.0.0/30', exclude: ['10.20.0.1'] }],
+        allowedIPs: '10.20.0.0/30'
+      }
+    }
+  }
+});
+
+// The server logs every router command; WGM_TEST_LOGS=1 shows it
+const silenceServerLogs = () => {
+  if (process.env.WGM_TEST_LOGS) return;
+  for (const method of ['log', 'warn', 'error']) {
+    console[method] = () => {};
+  }
+};
+
+const startTestServer = async () => {
+  silenceServerLogs();
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'wgm-test-'));
+
+  // The simulator needs the router's interfaces, the router config needs the simulator's port
+  const routerConfig = testRouterConfig(0);
+  const simulator = createRouterOsSimulator({
+    ...simulatorOptionsForRouter(routerConfig),
+    stateFile: null,
+    onlineRatio: 0
+  });
+  routerConfig.mikrotik.port = await simulator.start(0);
+
+  const configPath = path.join(directory, 'config.json');
+  fs.writeFileSync(configPath, JSON.stringify({
+    routers: [routerConfig],
+    auth: { sessionTtlHours: 1 },
+    backup: { directory: path.join(directory, 'backups') }
+  }));
+  process.env.WGM_CONFIG_PATH = configPath;
+  process.env.WGM_DB_PATH = path.join(directory, 'test.db');
+  process.env.WGM_MASTER_KEY = crypto.randomBytes(32).toString('base64');
+
+  const app = require('../server');
+  const database = require('../database');
+  const { hashPassword } = require('../auth');
+  await database.ready;
+  await database.createUser({ username: ADMIN.username, password_hash: await hashPassword(ADMIN.password), role: 'admin' });
+
+  const server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  // fetch() wrapper: JSON (or a Buffer) in, JSON, text or a Buffer out, session cookie of the last login
+  let cookie = null;
+  const request = async (method, url, body) => {
+    const binary = Buffer.isBuffer(body);
+    const response = await fetch(`${baseUrl}${url}`, {
+      method,
+      headers: {
+        ...(body !== undefined ? { 'Content-Type': binary ? 'application/octet-stream' : 'application/json' } : {}),
+        ...(cookie ? { Cookie: cookie } : {})
+      },
+      body: body !== undefined && !binary ? JSON.stringify(body) : body
+    });
+    const contentType = response.headers.get('content-type') || '';
+    if (contentType.includes('application/octet-stream')) {
+      return { status: response.status, headers: response.headers, body: Buffer.from(await response.arrayBuffer()) };
+    }
+    const text = await response.text();
+    let data = text;
+    if (contentType.includes('application/json')) {
+      data = JSON.parse(text);
+    }
+    return { status: response.status, headers: response.headers, body: data };
+  };
+
+  // Server-Sent Events stream opened with the current session: the names of the events received
+  // so far, and `ended` once the server closes it
+  const stream = async (url) => {
+    const controller = new AbortController();
+    const response = await fetch(`${baseUrl}${url}`, {
+      headers: cookie ? { Cookie: cookie } : {},
+      signal: controller.signal
+    });
+    const events = [];
+    const ended = (async () => {
+      const decoder = new TextDecoder();
+      try {
+        for await (const chunk of response.body) {
+          for (const match of decoder.decode(chunk, { stream: true }).matchAll(/^event: (.+)$/gm)) {
+            events.push(match[1]);
+          }
+        }
+      } catch (error) {
+        // cancel()
+      }
+    })();
+    return { status: response.status, events, ended, cancel: () => controller.abort() };
+  };
+
+  const login = async (username = ADMIN.username, password = ADMIN.password) => {
+    cookie = null;
+    const response = await request('POST', '/api/auth/login', { username, password });
+    const setCookie = response.headers.get('set-cookie');
+    cookie = setCookie ? setCookie.split(';')[0] : null;
+    return response;
+  };
+
+  const logout = () => {
+    cookie = null;
+  };
+
+  await login();
+
+  const close = async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+    await simulator.stop();
+    await database.close();
+    fs.rmSync(directory, { recursive: true, force: true });
+  };
+
+  return { request, stream, login, logout, simulator, database, routerId: routerConfig.id, close };
+};
+
+module.exports = { ADMIN, startTestServer };
@@ -0,0 +1,220 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers');
+
+describe('peer routes', () => {
+  let api;
+  let peer;
+
+  before(async () => {
+    api = await startTestServer();
+  });
+
+  after(async () => {
+    await api.close();
+  });
+
+  it('rejects requests without a session', async () => {
+    api.logout();
+    const response = await api.request('GET', '/api/peers');
+    assert.equal(response.status, 401);
+    await api.login();
+  });
+
+  it('lists the router interfaces and an empty peer list', async () => {
+    const interfaces = await api.request('GET', '/api/interfaces');
+    assert.equal(interfaces.status, 200);
+    assert.deepEqual(interfaces.body.map(iface => iface.name), ['wg-test', 'wg-small']);
+    assert.equal(interfaces.body.find(iface => iface.isDefault).name, 'wg-test');
+
+    const peers = await api.request('GET', '/api/peers');
+    assert.equal(peers.status, 200);
+    assert.deepEqual(peers.body, []);
+  });
+
+  it('creates a peer with the next free address and stores its keys', async () => {
+    const response = await api.request('POST', '/api/peers', { name: 'laptop' });
+    assert.equal(response.status, 200);
+    peer = response.body;
+    assert.equal(peer.id, '*1');
+    assert.equal(peer.name, 'laptop');
+    assert.equal(peer.interface, 'wg-test');
+    // 10.10.0.1 is excluded and used by the router
+    assert.equal(peer.allowedIPs, '10.10.0.2/32');
+    assert.equal(peer.hasPresharedKey, true);
+    assert.equal(peer.hasStoredKeys, true);
+
+    const [routerPeer] = api.simulator.getPeers();
+    assert.equal(routerPeer['.id'], '*1');
+    assert.equal(routerPeer['public-key'], peer.publicKey);
+    assert.equal(routerPeer.comment, 'laptop');
+
+    const stored = await api.database.getPeerKeys(api.routerId, '*1');
+    assert.equal(stored.name, 'laptop');
+    assert.equal(stored.allowed_ips, '10.10.0.2/32');
+  });
+
+  it('requires a peer name', async () => {
+    const response = await api.request('POST', '/api/peers', { name: '  ' });
+    assert.equal(response.status, 400);
+    assert.equal(api.simulator.getPeers().length, 1);
+  });
+
+  it('creates a peer on another interface with a given address', async () => {
+    const response = await api.request('POST', '/api/peers', { name: 'phone', interface: 'wg-small', allowedIPs: '10.20.0.2/32' });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.id, '*2');
+    assert.equal(response.body.interface, 'wg-small');
+    assert.equal(api.simulator.getPeers()[1]['allowed-address'], '10.20.0.2/32');
+  });
+
+  it('rejects an unknown interface', async () => {
+    const response = await api.request('POST', '/api/peers', { name: 'tablet', interface: 'wg-missing' });
+    assert.equal(response.status, 400);
+    assert.match(response.body.error, /wg-missing/);
+  });
+
+  it('lists peers with router state and stored key status', async () => {
+    const response = await api.request('GET', '/api/peers');
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body.map(entry => [entry.id, entry.name, entry.enabled]), [
+      ['*1', 'laptop', true],
+      ['*2', 'phone', true]
+    ]);
+    assert.ok(response.body.every(entry => entry.hasStoredKeys));
+  });
+
+  it('updates name, address and state of a peer', async () => {
+    const response = await api.request('PUT', '/api/peers/*1', {
+      name: 'work laptop',
+      allowedIPs: '10.10.0.10/32',
+      enabled: false
+    });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.name, 'work laptop');
+
+    const routerPeer = api.simulator.getPeers().find(entry => entry['.id'] === '*1');
+    assert.equal(routerPeer.comment, 'work laptop');
+    assert.equal(routerPeer['allowed-address'], '10.10.0.10/32');
+    assert.equal(routerPeer.disabled, 'true');
+    assert.equal(routerPeer['public-key'], peer.publicKey);
+  });
+
+  it('keeps the stored name and address in step with edits', async () => {
+    const report = await api.request('GET', '/api/reconciliation');
+    assert.equal(report.status, 200);
+    assert.deepEqual(report.body.items, []);
+
+    const config = await api.request('GET', '/api/peers/*1/config');
+    assert.equal(config.status, 200);
+    assert.match(config.body, /^Address = 10\.10\.0\.10\/32$/m);
+    assert.equal(config.headers.get('content-disposition'), 'attachment; filename="work_laptop.conf"');
+  });
+
+  it('replaces the preshared key on request', async () => {
+    const previous = api.simulator.getPeers().find(entry => entry['.id'] === '*1')['preshared-key'];
+    const response = await api.request('PUT', '/api/peers/*1', {
+      name: 'work laptop',
+      allowedIPs: '10.10.0.10/32',
+      enabled: false,
+      updatePresharedKey: true
+    });
+    assert.equal(response.status, 200);
+    assert.ok(response.body.newPresharedKey);
+
+    const routerPeer = api.simulator.getPeers().find(entry => entry['.id'] === '*1');
+    assert.notEqual(routerPeer['preshared-key'], previous);
+    assert.equal(routerPeer['preshared-key'], response.body.newPresharedKey);
+    assert.equal((await api.database.getPeerKeys(api.routerId, '*1')).preshared_key, response.body.newPresharedKey);
+  });
+
+  it('toggles a peer on and off', async () => {
+    const enabled = await api.request('PATCH', '/api/peers/*1/toggle');
+    assert.equal(enabled.status, 200);
+    assert.equal(enabled.body.enabled, true);
+    assert.equal(enabled.body.message, 'Peer enabled successfully');
+    assert.equal(api.simulator.getPeers()[0].disabled, 'false');
+
+    const disabled = await api.request('PATCH', '/api/peers/*1/toggle');
+    assert.equal(disabled.body.enabled, false);
+    assert.equal(disabled.body.message, 'Peer disabled successfully');
+    assert.equal(api.simulator.getPeers()[0].disabled, 'true');
+  });
+
+  it('regenerates a peer as a new router peer with new keys', async () => {
+    const oldKeys = await api.database.getPeerKeys(api.routerId, '*1');
+    const response = await api.request('PUT', '/api/peers/*1', {
+      name: 'work laptop',
+      allowedIPs: '10.10.0.10/32',
+      enabled: true,
+      regenerateCompletely: true
+    });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.id, '*3');
+    assert.notEqual(response.body.publicKey, peer.publicKey);
+
+    const routerPeers = api.simulator.getPeers();
+    assert.deepEqual(routerPeers.map(entry => entry['.id']), ['*2', '*3']);
+    assert.equal(routerPeers[1]['public-key'], response.body.publicKey);
+    assert.equal(routerPeers[1]['allowed-address'], '10.10.0.10/32');
+
+    assert.equal(await api.database.getPeerKeys(api.routerId, '*1'), undefined);
+    const newKeys = await api.database.getPeerKeys(api.routerId, '*3');
+    assert.notEqual(newKeys.private_key, oldKeys.private_key);
+  });
+
+  it('deletes a peer from the router and the database', async () => {
+    const response = await api.request('DELETE', '/api/peers/*3');
+    assert.equal(response.status, 200);
+    assert.equal(response.body.success, true);
+    assert.deepEqual(api.simulator.getPeers().map(entry => entry['.id']), ['*2']);
+    assert.equal(await api.database.getPeerKeys(api.routerId, '*3'), undefined);
+
+    const journal = await api.request('GET', '/api/journal');
+    assert.deepEqual(journal.body.pending, []);
+  });
+
+  it('records the changes in the audit log', async () => {
+    const response = await api.request('GET', '/api/audit');
+    assert.equal(response.status, 200);
+    const actions = response.body.entries.map(entry => entry.action);
+    for (const action of ['peer.create', 'peer.update', 'peer.toggle', 'peer.regenerate', 'peer.delete']) {
+      assert.ok(actions.includes(action), `missing ${action}`);
+    }
+  });
+
+  it('keeps viewers from changing peers', async () => {
+    const created = await api.request('POST', '/api/users', { username: 'viewer', password: 'viewer-password', role: 'viewer' });
+    assert.equal(created.status, 200);
+
+    await api.login('viewer', 'viewer-password');
+    assert.equal((await api.request('GET', '/api/peers')).status, 200);
+    assert.equal((await api.request('POST', '/api/peers', { name: 'not allowed' })).status, 403);
+    assert.equal((await api.request('DELETE', '/api/peers/*2')).status, 403);
+    assert.equal((await api.request('PATCH', '/api/peers/*2/toggle')).status, 403);
+    await api.login();
+  });
+
+  it('closes live update streams once their session ends', async () => {
+    await api.login('viewer', 'viewer-password');
+    const events = await api.stream('/api/events');
+    assert.equal(events.status, 200);
+    // Let the first poll take its baseline
+    await new Promise(resolve => setTimeout(resolve, 300));
+
+    await api.request('POST', '/api/auth/logout');
+    await api.login();
+    // The new peer is pushed to every open stream
+    assert.equal((await api.request('POST', '/api/peers', { name: 'pushed' })).status, 200);
+
+    let timer;
+    const timeout = new Promise(resolve => {
+      timer = setTimeout(resolve, 5000, 'open');
+    });
+    const outcome = await Promise.race([events.ended.then(() => 'ended'), timeout]);
+    clearTimeout(timer);
+    events.cancel();
+    assert.equal(outcome, 'ended');
+    assert.deepEqual(events.events, []);
+  });
+});
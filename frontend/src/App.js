@@ -1,29 +1,79 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import axios from 'axios';
 import PeerList from './components/PeerList';
 import PeerForm from './components/PeerForm';
+import LoginForm from './components/LoginForm';
+import UserManager from './components/UserManager';
+import AuditLog from './components/AuditLog';
+import PeerQrCode from './components/PeerQrCode';
+import PeerStats from './components/PeerStats';
+import PeerImport from './components/PeerImport';
+import PeerAdopt from './components/PeerAdopt';
+import AddressPools from './components/AddressPools';
+import Reconciliation from './components/Reconciliation';
+import BackupRestore from './components/BackupRestore';
+import RouterHealthBanner from './components/RouterHealthBanner';
 import Modal from 'react-modal';
 import './App.css';
 
 Modal.setAppElement('#root');
 
 function App() {
+  const [user, setUser] = useState(null);
+  const [authChecked, setAuthChecked] = useState(false);
   const [peers, setPeers] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [showAddForm, setShowAddForm] = useState(false);
+  const [showUsers, setShowUsers] = useState(false);
+  const [showAudit, setShowAudit] = useState(false);
+  const [showImport, setShowImport] = useState(false);
+  const [showAddresses, setShowAddresses] = useState(false);
+  const [showDrift, setShowDrift] = useState(false);
+  const [showBackup, setShowBackup] = useState(false);
+  const [selectingExport, setSelectingExport] = useState(false);
   const [editingPeer, setEditingPeer] = useState(null);
+  const [qrPeer, setQrPeer] = useState(null);
+  const [statsPeer, setStatsPeer] = useState(null);
+  const [adoptPeer, setAdoptPeer] = useState(null);
   const [serverInfo, setServerInfo] = useState(null);
+  const [routers, setRouters] = useState([]);
+  const [interfaces, setInterfaces] = useState([]);
+  const [clientProfiles, setClientProfiles] = useState([]);
+  const [liveConnected, setLiveConnected] = useState(false);
+  const [routerId, setRouterId] = useState(() => localStorage.getItem('selectedRouterId'));
+
+  // All peer operations target the router selected in the header
+  const routerBase = `/api/routers/${encodeURIComponent(routerId || '')}`;
 
   useEffect(() => {
-    fetchPeers();
-    fetchServerInfo();
+    // Drop back to the login screen whenever the session expires
+    const interceptor = axios.interceptors.response.use(
+      response => response,
+      error => {
+        if (error.response?.status === 401 && !error.config?.url?.startsWith('/api/auth/')) {
+          setUser(null);
+        }
+        return Promise.reject(error);
+      }
+    );
+
+    checkSession();
+
+    return () => axios.interceptors.response.eject(interceptor);
   }, []);
 
-  const fetchPeers = async () => {
+  useEffect(() => {
+    if (user) {
+      fetchRouters();
+      fetchClientProfiles();
+    }
+  }, [user]);
+
+  const fetchPeers = useCallback(async (showLoading = true) => {
     try {
-      setLoading(true);
-      const response = await axios.get('/api/peers');
+      if (showLoading) setLoading(true);
+      const response = await axios.get(`${routerBase}/peers`);
       setPeers(response.data);
       setError(null);
     } catch (error) {
@@ -31,12 +81,15 @@ function App() {
     } finally {
       setLoading(false);
     }
-  };
+  }, [routerBase]);
 
-  const fetchServerInfo = async () => {
+  // Reload without the loading screen (after a router came back)
+  const refreshPeersQuietly = useCallback(() => fetchPeers(false), [fetchPeers]);
+
+  const fetchServerInfo = useCallback(async () => {
     try {
       console.log('Fetching server info...');
-      const response = await axios.get('/api/server-info');
+      const response = await axios.get(`${routerBase}/server-info`);
       console.log('Server info received:', response.data);
       setServerInfo(response.data);
     } catch (error) {
@@ -48,11 +101,112 @@ function App() {
         allowedIPs: '0.0.0.0/0'
       });
     }
+  }, [routerBase]);
+
+  const fetchInterfaces = useCallback(async () => {
+    try {
+      const response = await axios.get(`${routerBase}/interfaces`);
+      setInterfaces(response.data);
+    } catch (error) {
+      console.error('Failed to fetch WireGuard interfaces:', error);
+      setInterfaces([]);
+    }
+  }, [routerBase]);
+
+  useEffect(() => {
+    if (user && routerId) {
+      localStorage.setItem('selectedRouterId', routerId);
+      fetchPeers();
+      fetchServerInfo();
+      fetchInterfaces();
+    }
+  }, [user, routerId, fetchPeers, fetchServerInfo, fetchInterfaces]);
+
+  // Live peer status pushed by the backend (Server-Sent Events); EventSource reconnects on its own
+  useEffect(() => {
+    if (!user || !routerId) return undefined;
+
+    const events = new EventSource(`${routerBase}/events`);
+    events.onopen = () => setLiveConnected(true);
+    events.onerror = () => setLiveConnected(false);
+
+    events.addEventListener('peers-update', (event) => {
+      const { peers: updates } = JSON.parse(event.data);
+      setPeers(current => current.map(peer => {
+        const update = updates.find(u => u.id === peer.id);
+        return update ? { ...peer, ...update } : peer;
+      }));
+    });
+
+    // Peers were added or removed (possibly by another admin): reload the list quietly
+    events.addEventListener('peers-changed', () => fetchPeers(false));
+
+    return () => {
+      events.close();
+      setLiveConnected(false);
+    };
+  }, [user, routerId, routerBase, fetchPeers]);
+
+  const fetchRouters = async () => {
+    try {
+      const response = await axios.get('/api/routers');
+      setRouters(response.data);
+      // Keep the previous selection if that router still exists
+      setRouterId(current => {
+        if (response.data.some(router => router.id === current)) return current;
+        return (response.data.find(router => router.isDefault) || response.data[0])?.id || null;
+      });
+    } catch (error) {
+      setError('Failed to fetch routers: ' + error.message);
+      setLoading(false);
+    }
+  };
+
+  const checkSession = async () => {
+    try {
+      const response = await axios.get('/api/auth/me');
+      setUser(response.data);
+    } catch (error) {
+      setUser(null);
+    } finally {
+      setAuthChecked(true);
+    }
+  };
+
+  // Mirrors the role permissions enforced by the backend
+  const can = (permission) => !!user?.permissions?.includes(permission);
+
+  const handleLogin = async (credentials) => {
+    const response = await axios.post('/api/auth/login', credentials);
+    setUser(response.data);
+  };
+
+  const handleLogout = async () => {
+    try {
+      await axios.post('/api/auth/logout');
+    } catch (error) {
+      console.error('Logout failed:', error);
+    }
+    setUser(null);
+    setPeers([]);
+    setShowUsers(false);
+    setShowAudit(false);
+    setShowBackup(false);
+  };
+
+  const fetchClientProfiles = async () => {
+    try {
+      const response = await axios.get('/api/client-profiles');
+      setClientProfiles(response.data);
+    } catch (error) {
+      console.error('Failed to fetch client profiles:', error);
+      setClientProfiles([]);
+    }
   };
 
   const handleCreatePeer = async (peerData) => {
     try {
-      const response = await axios.post('/api/peers', peerData);
+      const response = await axios.post(`${routerBase}/peers`, peerData);
       setPeers([...peers, response.data]);
       setShowAddForm(false);
       
@@ -69,7 +223,7 @@ function App() {
 
   const handleUpdatePeer = async (id, peerData) => {
     try {
-      const response = await axios.put(`/api/peers/${id}`, peerData);
+      const response = await axios.put(`${routerBase}/peers/${id}`, peerData);
       setPeers(peers.map(peer => peer.id === id ? response.data : peer));
       setEditingPeer(null);
       
@@ -98,7 +252,7 @@ function App() {
     }
 
     try {
-      await axios.delete(`/api/peers/${id}`);
+      await axios.delete(`${routerBase}/peers/${id}`);
       setPeers(peers.filter(peer => peer.id !== id));
       alert('Peer deleted successfully!');
     } catch (error) {
@@ -106,8 +260,43 @@ function App() {
     }
   };
 
+  // ZIP of the selected peers' configs, built by the backend from the stored keys
+  const handleExportConfigs = async (ids, options) => {
+    try {
+      const response = await axios.post(`${routerBase}/peers/export`, { ids, ...options }, {
+        responseType: 'blob'
+      });
+
+      let fileName = 'wireguard-configs.zip';
+      const matches = response.headers['content-disposition']?.match(/filename="(.+)"/);
+      if (matches && matches[1]) {
+        fileName = matches[1];
+      }
+
+      const url = URL.createObjectURL(new Blob([response.data], { type: 'application/zip' }));
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = fileName;
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      URL.revokeObjectURL(url);
+
+      setSelectingExport(false);
+    } catch (error) {
+      // Error bodies arrive as a Blob because of responseType
+      let message = error.message;
+      try {
+        message = JSON.parse(await error.response.data.text()).error || message;
+      } catch (parseError) {
+        // keep the generic message
+      }
+      alert('Failed to export configurations: ' + message);
+    }
+  };
+
 // Download config using database-stored keys - FIXED to use server filename
-const downloadPeerConfig = async (peerId, peerName) => {
+const downloadPeerConfig = async (peerId, peerName, { pending = false } = {}) => {
   try {
     console.log('downloadPeerConfig called with:', {
       peerId: peerId,
@@ -126,7 +315,8 @@ const downloadPeerConfig = async (peerId, peerName) => {
     
     console.log(`Downloading config for peer ID: ${actualPeerId}`);
     
-    const response = await axios.get(`/api/peers/${actualPeerId}/config`, {
+    const response = await axios.get(`${routerBase}/peers/${actualPeerId}/config`, {
+      params: pending ? { pending: true } : undefined,
       responseType: 'blob'
     });
     
@@ -184,7 +374,7 @@ const handleCleanupOrphaned = async () => {
   }
 
   try {
-    const response = await axios.post('/api/cleanup-orphaned-peers');
+    const response = await axios.post(`${routerBase}/cleanup-orphaned-peers`);
     alert(`Cleanup completed: ${response.data.message}`);
     fetchPeers(); // Refresh the list
   } catch (error) {
@@ -192,6 +382,61 @@ const handleCleanupOrphaned = async () => {
   }
 };
 
+// Staged preshared key rotation: stage a new key, push it to the router or drop it
+const handlePskRotation = async (peer, action) => {
+  if (action === 'download') {
+    downloadPeerConfig(peer.id, peer.name, { pending: true });
+    return;
+  }
+
+  const confirmations = {
+    stage: `Generate a new preshared key for "${peer.name}"? The current key keeps working until the new one is pushed.`,
+    complete: `Push the new preshared key of "${peer.name}" to the router now? The client must already use the new config.`,
+    cancel: `Discard the staged preshared key of "${peer.name}"?`
+  };
+  if (!window.confirm(confirmations[action])) {
+    return;
+  }
+
+  try {
+    const url = `${routerBase}/peers/${peer.id}/psk-rotation`;
+    if (action === 'stage') {
+      const response = await axios.post(url);
+      alert(`New preshared key staged. Hand out the new config; it is pushed to the router on ${new Date(`${response.data.pskRotation.deadline.replace(' ', 'T')}Z`).toLocaleString()} at the latest.`);
+    } else if (action === 'complete') {
+      await axios.post(`${url}/complete`);
+    } else {
+      await axios.delete(url);
+    }
+    fetchPeers(false);
+  } catch (error) {
+    alert('Preshared key rotation failed: ' + (error.response?.data?.error || error.message));
+  }
+};
+
+// In-place keypair rotation: new keys on the same router peer, then confirm or revert
+const handleKeyRotation = async (peer, action) => {
+  const confirmations = {
+    rotate: `Replace the keys of "${peer.name}" on the router? The client stops working until it gets the new config; the previous keys are kept until you confirm.`,
+    confirm: `Has "${peer.name}" switched to the new keys? The previous keys are deleted.`,
+    revert: `Put the previous keys of "${peer.name}" back on the router?`
+  };
+  if (!window.confirm(confirmations[action])) {
+    return;
+  }
+
+  try {
+    const url = `${routerBase}/peers/${peer.id}/key-rotation`;
+    await axios.post(action === 'rotate' ? url : `${url}/${action}`);
+    if (action === 'rotate') {
+      downloadPeerConfig(peer.id, peer.name);
+    }
+    fetchPeers(false);
+  } catch (error) {
+    alert('Key rotation failed: ' + (error.response?.data?.error || error.message));
+  }
+};
+
 // Add this function to the App component
 const handleTogglePeer = async (peerId, peerName, currentStatus) => {
   const action = currentStatus ? 'disable' : 'enable';
@@ -201,7 +446,7 @@ const handleTogglePeer = async (peerId, peerName, currentStatus) => {
   }
 
   try {
-    const response = await axios.patch(`/api/peers/${peerId}/toggle`);
+    const response = await axios.patch(`${routerBase}/peers/${peerId}/toggle`);
     
     // Update the peer in the local state
     setPeers(peers.map(peer => 
@@ -217,6 +462,18 @@ const handleTogglePeer = async (peerId, peerName, currentStatus) => {
   }
 };
 
+  if (!authChecked) {
+    return (
+      <div className="app">
+        <div className="loading">Loading...</div>
+      </div>
+    );
+  }
+
+  if (!user) {
+    return <LoginForm onLogin={handleLogin} />;
+  }
+
   if (loading) {
     return (
       <div className="app">
@@ -230,33 +487,128 @@ const handleTogglePeer = async (peerId, peerName, currentStatus) => {
 		<header className="app-header">
 		  <h1>WireGuard Peer Manager</h1>
 		  <div className="header-actions">
+			{routers.length > 1 && (
+			  <select 
+			    className="router-select"
+			    value={routerId || ''}
+			    onChange={(e) => setRouterId(e.target.value)}
+			    title="Router"
+			  >
+			    {routers.map(router => (
+			      <option key={router.id} value={router.id}>{router.name}</option>
+			    ))}
+			  </select>
+			)}
+			<span
+			  className={`live-indicator ${liveConnected ? 'live-on' : 'live-off'}`}
+			  title={liveConnected ? 'Receiving live updates' : 'Live updates disconnected, use Refresh'}
+			>
+			  {liveConnected ? '● Live' : '○ Offline'}
+			</span>
 			<button 
 			  className="btn btn-secondary"
-			  onClick={fetchPeers}
+			  onClick={() => fetchPeers()}
 			  title="Refresh peer list"
 			>
 			  🔄 Refresh
 			</button>
+			{can('peers:cleanup') && (
+			  <button 
+			    className="btn btn-warning"
+			    onClick={handleCleanupOrphaned}
+			    title="Clean up orphaned database entries"
+			  >
+			    🧹 Cleanup
+			  </button>
+			)}
+			{can('peers:cleanup') && (
+			  <button 
+			    className="btn btn-secondary"
+			    onClick={() => setShowDrift(true)}
+			    title="Compare router peers with the stored keys and resolve differences"
+			  >
+			    🔍 Drift
+			  </button>
+			)}
+			{can('peers:config') && (
+			  <button 
+			    className={`btn ${selectingExport ? 'btn-info' : 'btn-secondary'}`}
+			    onClick={() => setSelectingExport(!selectingExport)}
+			    title="Download several peer configurations as a ZIP archive"
+			  >
+			    📦 Export
+			  </button>
+			)}
+			{can('server:read') && (
+			  <button 
+			    className="btn btn-secondary"
+			    onClick={() => setShowAddresses(true)}
+			    title="Address pools and assignments"
+			  >
+			    🌐 Addresses
+			  </button>
+			)}
+			{can('users:manage') && (
+			  <button 
+			    className="btn btn-secondary"
+			    onClick={() => setShowUsers(true)}
+			    title="Manage user accounts"
+			  >
+			    👥 Users
+			  </button>
+			)}
+			{can('audit:read') && (
+			  <button 
+			    className="btn btn-secondary"
+			    onClick={() => setShowAudit(true)}
+			    title="Show audit log"
+			  >
+			    📋 Audit
+			  </button>
+			)}
+			{can('backup:manage') && (
+			  <button 
+			    className="btn btn-secondary"
+			    onClick={() => setShowBackup(true)}
+			    title="Back up or restore peers, keys and settings"
+			  >
+			    💾 Backup
+			  </button>
+			)}
+			{can('peers:create') && (
+			  <button 
+			    className="btn btn-secondary"
+			    onClick={() => setShowImport(true)}
+			    title="Create peers from a CSV file"
+			  >
+			    📥 Import
+			  </button>
+			)}
+			{can('peers:create') && (
+			  <button 
+			    className="btn btn-primary"
+			    onClick={() => setShowAddForm(true)}
+			  >
+			    Add New Peer
+			  </button>
+			)}
+			<span className="header-user" title="Signed in user">👤 {user.username} ({user.role})</span>
 			<button 
-			  className="btn btn-warning"
-			  onClick={handleCleanupOrphaned}
-			  title="Clean up orphaned database entries"
-			>
-			  🧹 Cleanup
-			</button>
-			<button 
-			  className="btn btn-primary"
-			  onClick={() => setShowAddForm(true)}
+			  className="btn btn-secondary"
+			  onClick={handleLogout}
+			  title="Sign out"
 			>
-			  Add New Peer
+			  Logout
 			</button>
 		  </div>
 		</header>
 
+      <RouterHealthBanner routers={routers} onRecovered={refreshPeersQuietly} />
+
       {error && (
         <div className="error-message">
           {error}
-          <button onClick={fetchPeers}>Retry</button>
+          <button onClick={() => fetchPeers()}>Retry</button>
         </div>
       )}
 
@@ -266,7 +618,16 @@ const handleTogglePeer = async (peerId, peerName, currentStatus) => {
           onEdit={setEditingPeer}
           onDelete={handleDeletePeer}
           onShowConfig={downloadPeerConfig}
+          onShowQrCode={setQrPeer}
+          onShowStats={setStatsPeer}
+          onAdopt={setAdoptPeer}
 		  onToggle={handleTogglePeer}
+          onPskRotation={handlePskRotation}
+          onKeyRotation={handleKeyRotation}
+          can={can}
+          selecting={selectingExport}
+          onExport={handleExportConfigs}
+          onCancelSelection={() => setSelectingExport(false)}
         />
       </main>
 
@@ -288,6 +649,8 @@ const handleTogglePeer = async (peerId, peerName, currentStatus) => {
         <PeerForm 
           onSubmit={handleCreatePeer}
           onCancel={() => setShowAddForm(false)}
+          interfaces={interfaces}
+          clientProfiles={clientProfiles}
         />
       </Modal>
 
@@ -312,9 +675,195 @@ const handleTogglePeer = async (peerId, peerName, currentStatus) => {
             onSubmit={(data) => handleUpdatePeer(editingPeer.id, data)}
             onCancel={() => setEditingPeer(null)}
             isEditing
+            canRegenerate={can('peers:regenerate')}
+            clientProfiles={clientProfiles}
           />
         )}
       </Modal>
+
+      <Modal
+        isOpen={showUsers}
+        onRequestClose={() => setShowUsers(false)}
+        className="modal"
+        overlayClassName="modal-overlay"
+      >
+        <div className="modal-header">
+          <h2>User Accounts</h2>
+          <button 
+            className="modal-close"
+            onClick={() => setShowUsers(false)}
+          >
+            ×
+          </button>
+        </div>
+        {showUsers && <UserManager currentUser={user} />}
+      </Modal>
+
+      <Modal
+        isOpen={showAudit}
+        onRequestClose={() => setShowAudit(false)}
+        className="modal modal-wide"
+        overlayClassName="modal-overlay"
+      >
+        <div className="modal-header">
+          <h2>Audit Log</h2>
+          <button 
+            className="modal-close"
+            onClick={() => setShowAudit(false)}
+          >
+            ×
+          </button>
+        </div>
+        {showAudit && <AuditLog />}
+      </Modal>
+
+      <Modal
+        isOpen={showAddresses}
+        onRequestClose={() => setShowAddresses(false)}
+        className="modal modal-wide"
+        overlayClassName="modal-overlay"
+      >
+        <div className="modal-header">
+          <h2>Address Pools</h2>
+          <button 
+            className="modal-close"
+            onClick={() => setShowAddresses(false)}
+          >
+            ×
+          </button>
+        </div>
+        {showAddresses && <AddressPools routerBase={routerBase} />}
+      </Modal>
+
+      <Modal
+        isOpen={showBackup}
+        onRequestClose={() => setShowBackup(false)}
+        className="modal modal-wide"
+        overlayClassName="modal-overlay"
+      >
+        <div className="modal-header">
+          <h2>Backup &amp; Restore</h2>
+          <button 
+            className="modal-close"
+            onClick={() => setShowBackup(false)}
+          >
+            ×
+          </button>
+        </div>
+        {showBackup && <BackupRestore onRestored={handleLogout} />}
+      </Modal>
+
+      <Modal
+        isOpen={showDrift}
+        onRequestClose={() => setShowDrift(false)}
+        className="modal modal-wide"
+        overlayClassName="modal-overlay"
+      >
+        <div className="modal-header">
+          <h2>Router / Database Drift</h2>
+          <button 
+            className="modal-close"
+            onClick={() => setShowDrift(false)}
+          >
+            ×
+          </button>
+        </div>
+        {showDrift && (
+          <Reconciliation
+            routerBase={routerBase}
+            onResolved={() => fetchPeers(false)}
+            onAdopt={setAdoptPeer}
+          />
+        )}
+      </Modal>
+
+      <Modal
+        isOpen={!!adoptPeer}
+        onRequestClose={() => setAdoptPeer(null)}
+        className="modal"
+        overlayClassName="modal-overlay"
+      >
+        <div className="modal-header">
+          <h2>Adopt Peer — {adoptPeer?.name}</h2>
+          <button 
+            className="modal-close"
+            onClick={() => setAdoptPeer(null)}
+          >
+            ×
+          </button>
+        </div>
+        {adoptPeer && (
+          <PeerAdopt
+            peer={adoptPeer}
+            routerBase={routerBase}
+            onAdopted={() => {
+              setAdoptPeer(null);
+              fetchPeers(false);
+            }}
+            onCancel={() => setAdoptPeer(null)}
+          />
+        )}
+      </Modal>
+
+      <Modal
+        isOpen={showImport}
+        onRequestClose={() => setShowImport(false)}
+        className="modal modal-wide"
+        overlayClassName="modal-overlay"
+      >
+        <div className="modal-header">
+          <h2>Import Peers from CSV</h2>
+          <button 
+            className="modal-close"
+            onClick={() => setShowImport(false)}
+          >
+            ×
+          </button>
+        </div>
+        {showImport && (
+          <PeerImport
+            routerBase={routerBase}
+            interfaces={interfaces}
+            onImported={() => fetchPeers(false)}
+          />
+        )}
+      </Modal>
+
+      <Modal
+        isOpen={!!qrPeer}
+        onRequestClose={() => setQrPeer(null)}
+        className="modal"
+        overlayClassName="modal-overlay"
+      >
+        <div className="modal-header">
+          <h2>{qrPeer?.name || 'Peer'} — QR Code</h2>
+          <button 
+            className="modal-close"
+            onClick={() => setQrPeer(null)}
+          >
+            ×
+          </button>
+        </div>
+        {qrPeer && <PeerQrCode peer={qrPeer} routerBase={routerBase} />}
+      </Modal>
+
+      <Modal
+        isOpen={!!statsPeer}
+        onRequestClose={() => setStatsPeer(null)}
+        className="modal modal-wide"
+        overlayClassName="modal-overlay"
+      >
+        <div className="modal-header">
+          <h2>{statsPeer?.name || 'Peer'} — Statistics</h2>
+          <button 
+            className="modal-close"
+            onClick={() => setStatsPeer(null)}
+          >
+            ×
+          </button>
+        </div>
+        {statsPeer && <PeerStats peer={statsPeer} routerBase={routerBase} />}
+      </Modal>
     </div>
   );
 }
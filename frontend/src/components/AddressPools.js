@@ -0,0 +1,89 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+
+// Address pools of every interface with their used, reserved and free addresses
+function AddressPools({ routerBase }) {
+  const [interfaces, setInterfaces] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const fetchPools = async () => {
+      try {
+        const response = await axios.get(`${routerBase}/ipam`);
+        if (!cancelled) setInterfaces(response.data);
+      } catch (error) {
+        if (!cancelled) {
+          setError('Failed to fetch address pools: ' + (error.response?.data?.error || error.message));
+        }
+      }
+    };
+
+    fetchPools();
+    return () => {
+      cancelled = true;
+    };
+  }, [routerBase]);
+
+  if (error) {
+    return <div className="error-message">{error}</div>;
+  }
+
+  if (!interfaces) {
+    return <p className="stats-empty">Loading address pools...</p>;
+  }
+
+  return (
+    <div className="address-pools">
+      {interfaces.map(iface => (
+        <section key={iface.interface} className="address-pool-interface">
+          <h3>{iface.interface}</h3>
+          {iface.pools.map(pool => {
+            const usedPercent = pool.size ? Math.min(100, (pool.used / pool.size) * 100) : 0;
+            const reservedPercent = pool.size ? Math.min(100 - usedPercent, (pool.reserved / pool.size) * 100) : 0;
+            return (
+              <div key={pool.cidr} className="address-pool">
+                <div className="address-pool-header">
+                  <strong>{pool.cidr}</strong>
+                  <span>
+                    {pool.used} used · {pool.reserved} reserved
+                    {/* IPv6 pool sizes are too large to be meaningful as counts */}
+                    {pool.family === 'ipv4' && ` · ${pool.free} free of ${pool.size}`}
+                    {pool.nextFree ? ` · next: ${pool.nextFree}` : ' · pool exhausted'}
+                  </span>
+                </div>
+                <div className="quota-bar" title={`${usedPercent.toFixed(1)}% used`}>
+                  <div className="pool-bar-used" style={{ width: `${usedPercent}%` }} />
+                  <div className="pool-bar-reserved" style={{ width: `${reservedPercent}%` }} />
+                </div>
+                {pool.excluded.length > 0 && (
+                  <p className="address-pool-excluded">Reserved: {pool.excluded.join(', ')}</p>
+                )}
+                {pool.assignments.length > 0 && (
+                  <table className="audit-table">
+                    <thead>
+                      <tr><th>Peer</th><th>Interface</th><th>Allowed addresses</th><th>Status</th></tr>
+                    </thead>
+                    <tbody>
+                      {pool.assignments.map(peer => (
+                        <tr key={peer.id}>
+                          <td>{peer.name}</td>
+                          <td>{peer.interface}</td>
+                          <td>{peer.allowedAddress}</td>
+                          <td>{peer.enabled ? 'Enabled' : 'Disabled'}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                )}
+              </div>
+            );
+          })}
+        </section>
+      ))}
+    </div>
+  );
+}
+
+export default AddressPools;
@@ -0,0 +1,204 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+
+const ACTIONS = [
+  { value: '', label: 'All actions' },
+  { value: 'peer.create', label: 'Created' },
+  { value: 'peer.update', label: 'Edited' },
+  { value: 'peer.toggle', label: 'Enabled / disabled' },
+  { value: 'peer.regenerate', label: 'Regenerated' },
+  { value: 'peer.psk_staged', label: 'PSK rotation staged' },
+  { value: 'peer.psk_rotated', label: 'PSK rotated' },
+  { value: 'peer.psk_rotation_cancelled', label: 'PSK rotation cancelled' },
+  { value: 'peer.key_rotate', label: 'Keys rotated' },
+  { value: 'peer.key_rotation_confirmed', label: 'Key rotation confirmed' },
+  { value: 'peer.key_rotation_reverted', label: 'Key rotation reverted' },
+  { value: 'peer.adopt', label: 'Adopted' },
+  { value: 'peer.reconcile', label: 'Reconciled' },
+  { value: 'journal.recover', label: 'Recovered from journal' },
+  { value: 'peer.expire', label: 'Expired' },
+  { value: 'peer.quota_exceeded', label: 'Over quota' },
+  { value: 'peer.quota_reset', label: 'Quota reset' },
+  { value: 'peer.delete', label: 'Deleted' },
+  { value: 'peer.config_download', label: 'Config downloaded' },
+  { value: 'peer.config_qrcode', label: 'QR code shown' },
+  { value: 'peer.config_export', label: 'Configs exported' },
+  { value: 'backup.create', label: 'Backup created' },
+  { value: 'backup.restore', label: 'Backup restored' }
+];
+
+const PAGE_SIZE = 50;
+
+const EMPTY_FILTERS = {
+  username: '',
+  action: '',
+  peerName: '',
+  from: '',
+  to: ''
+};
+
+function AuditLog() {
+  const [entries, setEntries] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [offset, setOffset] = useState(0);
+  const [error, setError] = useState(null);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  // Filters of the last search; paging keeps them while the form is being edited
+  const [appliedFilters, setAppliedFilters] = useState(EMPTY_FILTERS);
+
+  const fetchEntries = useCallback(async (newOffset) => {
+    try {
+      const params = { limit: PAGE_SIZE, offset: newOffset };
+      Object.entries(appliedFilters).forEach(([key, value]) => {
+        if (value) params[key] = value;
+      });
+      // Date inputs give whole days; include the full "to" day
+      if (params.to) params.to = `${params.to} 23:59:59`;
+
+      const response = await axios.get('/api/audit', { params });
+      setEntries(response.data.entries);
+      setTotal(response.data.total);
+      setOffset(newOffset);
+      setError(null);
+    } catch (error) {
+      setError('Failed to fetch audit log: ' + (error.response?.data?.error || error.message));
+    }
+  }, [appliedFilters]);
+
+  useEffect(() => {
+    fetchEntries(0);
+  }, [fetchEntries]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFilters(prev => ({
+      ...prev,
+      [name]: value
+    }));
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    setAppliedFilters({ ...filters });
+  };
+
+  const formatTimestamp = (timestamp) => {
+    // SQLite CURRENT_TIMESTAMP is UTC without a zone marker
+    const date = new Date(`${timestamp.replace(' ', 'T')}Z`);
+    return isNaN(date.getTime()) ? timestamp : date.toLocaleString();
+  };
+
+  const formatValue = (value) => {
+    if (value === null || value === undefined) return '—';
+    if (typeof value === 'boolean') return value ? 'yes' : 'no';
+    return String(value);
+  };
+
+  const describeChanges = (entry) => {
+    const before = entry.before || {};
+    const after = entry.after || {};
+    const keys = Array.from(new Set([...Object.keys(before), ...Object.keys(after)]));
+
+    const changes = keys.filter(key => JSON.stringify(before[key]) !== JSON.stringify(after[key]));
+    if (changes.length === 0) return null;
+
+    return (
+      <ul className="audit-changes">
+        {changes.map(key => (
+          <li key={key}>
+            <strong>{key}:</strong> {formatValue(before[key])} → {formatValue(after[key])}
+          </li>
+        ))}
+      </ul>
+    );
+  };
+
+  const actionLabel = (action) => ACTIONS.find(a => a.value === action)?.label || action;
+
+  return (
+    <div className="peer-form audit-log">
+      <form className="audit-filters" onSubmit={handleSubmit}>
+        <input
+          type="text"
+          name="username"
+          value={filters.username}
+          onChange={handleChange}
+          placeholder="User"
+        />
+        <select name="action" value={filters.action} onChange={handleChange}>
+          {ACTIONS.map(action => (
+            <option key={action.value} value={action.value}>{action.label}</option>
+          ))}
+        </select>
+        <input
+          type="text"
+          name="peerName"
+          value={filters.peerName}
+          onChange={handleChange}
+          placeholder="Peer name"
+        />
+        <input type="date" name="from" value={filters.from} onChange={handleChange} title="From" />
+        <input type="date" name="to" value={filters.to} onChange={handleChange} title="To" />
+        <button type="submit" className="btn btn-primary">Filter</button>
+      </form>
+
+      {error && (
+        <div className="error-message">{error}</div>
+      )}
+
+      <table className="audit-table">
+        <thead>
+          <tr>
+            <th>Time</th>
+            <th>User</th>
+            <th>IP</th>
+            <th>Action</th>
+            <th>Peer</th>
+            <th>Changes</th>
+          </tr>
+        </thead>
+        <tbody>
+          {entries.length === 0 && (
+            <tr>
+              <td colSpan="6" className="audit-empty">No audit entries found</td>
+            </tr>
+          )}
+          {entries.map(entry => (
+            <tr key={entry.id}>
+              <td>{formatTimestamp(entry.created_at)}</td>
+              <td>{entry.username || '—'}</td>
+              <td>{entry.ip_address || '—'}</td>
+              <td>{actionLabel(entry.action)}</td>
+              <td title={entry.peer_id ? `MikroTik ID: ${entry.peer_id}` : undefined}>
+                {entry.peer_name || entry.peer_id || '—'}
+              </td>
+              <td>{describeChanges(entry)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <div className="audit-pagination">
+        <button
+          className="btn btn-secondary"
+          onClick={() => fetchEntries(Math.max(0, offset - PAGE_SIZE))}
+          disabled={offset === 0}
+        >
+          ← Newer
+        </button>
+        <span>
+          {total === 0 ? 0 : offset + 1}–{Math.min(offset + PAGE_SIZE, total)} of {total}
+        </span>
+        <button
+          className="btn btn-secondary"
+          onClick={() => fetchEntries(offset + PAGE_SIZE)}
+          disabled={offset + PAGE_SIZE >= total}
+        >
+          Older →
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default AuditLog;
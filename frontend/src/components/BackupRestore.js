@@ -0,0 +1,278 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+
+const formatSize = (bytes) => (bytes >= 1024 * 1024
+  ? `${(bytes / 1024 / 1024).toFixed(1)} MB`
+  : `${Math.max(1, Math.round(bytes / 1024))} KB`);
+
+// Save a Blob response under the server's file name
+const saveBlob = (response, fallbackName) => {
+  const matches = response.headers['content-disposition']?.match(/filename="(.+)"/);
+  const url = URL.createObjectURL(new Blob([response.data], { type: 'application/octet-stream' }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = matches?.[1] || fallbackName;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+};
+
+// Error bodies arrive as a Blob when responseType is 'blob'
+const blobErrorMessage = async (error) => {
+  try {
+    return JSON.parse(await error.response.data.text()).error || error.message;
+  } catch (parseError) {
+    return error.message;
+  }
+};
+
+// Download backups of the database and router peers, and restore one after checking its contents
+function BackupRestore({ onRestored }) {
+  const [stored, setStored] = useState(null);
+  const [passphrase, setPassphrase] = useState('');
+  const [file, setFile] = useState(null);
+  const [restorePassphrase, setRestorePassphrase] = useState('');
+  const [recreatePeers, setRecreatePeers] = useState(true);
+  const [preview, setPreview] = useState(null);
+  const [result, setResult] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const fetchBackups = async () => {
+      try {
+        const response = await axios.get('/api/backups');
+        setStored(response.data);
+      } catch (error) {
+        setError('Failed to list backups: ' + (error.response?.data?.error || error.message));
+      }
+    };
+    fetchBackups();
+  }, []);
+
+  const uploadOptions = () => ({
+    headers: {
+      'Content-Type': 'application/octet-stream',
+      ...(restorePassphrase ? { 'X-Backup-Passphrase': restorePassphrase } : {})
+    }
+  });
+
+  const handleCreate = async () => {
+    setBusy(true);
+    setError(null);
+    try {
+      const response = await axios.post('/api/backups', passphrase ? { passphrase } : {}, { responseType: 'blob' });
+      saveBlob(response, 'wireguard-manager.wgmbackup');
+    } catch (error) {
+      setError('Backup failed: ' + await blobErrorMessage(error));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleDownload = async (name) => {
+    try {
+      const response = await axios.get(`/api/backups/${encodeURIComponent(name)}`, { responseType: 'blob' });
+      saveBlob(response, name);
+    } catch (error) {
+      setError('Download failed: ' + await blobErrorMessage(error));
+    }
+  };
+
+  const handleInspect = async () => {
+    setBusy(true);
+    setError(null);
+    try {
+      const response = await axios.post('/api/backups/inspect', file, uploadOptions());
+      setPreview(response.data);
+    } catch (error) {
+      setPreview(null);
+      setError('Cannot read backup: ' + (error.response?.data?.error || error.message));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleRestore = async () => {
+    if (!window.confirm('Replace all stored peer keys, settings, users and the audit log with this backup? Everyone will have to sign in again.')) {
+      return;
+    }
+    setBusy(true);
+    setError(null);
+    try {
+      const response = await axios.post(`/api/backups/restore?recreatePeers=${recreatePeers}`, file, uploadOptions());
+      setResult(response.data);
+    } catch (error) {
+      setError('Restore failed: ' + (error.response?.data?.error || error.message));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (result) {
+    return (
+      <div className="peer-form backup-restore">
+        <p className="import-summary">
+          Backup of {new Date(result.createdAt).toLocaleString()} restored: {result.restoredPeers} stored peers,
+          {' '}{result.created} re-created, {result.moved} relinked
+          {result.missing > 0 && <>, {result.missing} still missing on the router</>}
+          {result.failed > 0 && <span className="import-failed-text">, {result.failed} failed</span>}
+        </p>
+        {result.results.some(entry => entry.status === 'failed') && (
+          <ul className="drift-results">
+            {result.results.filter(entry => entry.status === 'failed').map(entry => (
+              <li key={`${entry.router}-${entry.id}`} className="import-failed-text">
+                ❌ {entry.name} ({entry.router}): {entry.error}
+              </li>
+            ))}
+          </ul>
+        )}
+        <div className="form-actions">
+          <button type="button" className="btn btn-primary" onClick={onRestored}>
+            Sign in again
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="peer-form backup-restore">
+      {error && <div className="error-message">{error}</div>}
+
+      <h3>Create backup</h3>
+      <div className="form-group">
+        <label htmlFor="backupPassphrase">Passphrase (optional)</label>
+        <input
+          type="password"
+          id="backupPassphrase"
+          value={passphrase}
+          onChange={(e) => setPassphrase(e.target.value)}
+          placeholder="Leave empty for an unencrypted backup"
+          autoComplete="new-password"
+        />
+        <small style={{ color: '#666', fontSize: '12px' }}>
+          Only encrypted backups contain the preshared keys of peers the manager has no keys for.
+          Restoring needs this server's master key.
+        </small>
+      </div>
+      <div className="form-actions">
+        <button type="button" className="btn btn-primary" onClick={handleCreate} disabled={busy}>
+          💾 Download backup
+        </button>
+      </div>
+
+      {stored && (
+        <>
+          <h3>Scheduled backups</h3>
+          <p className="backup-schedule">
+            {stored.schedule.intervalHours
+              ? `Every ${stored.schedule.intervalHours} hour(s), keeping ${stored.schedule.keep}${stored.schedule.encrypted ? ', encrypted' : ''}.`
+              : 'Not scheduled (set "backup.intervalHours" in config.json).'}
+          </p>
+          {stored.backups.length > 0 && (
+            <ul className="backup-list">
+              {stored.backups.map(backup => (
+                <li key={backup.name}>
+                  <button type="button" className="link-button" onClick={() => handleDownload(backup.name)}>
+                    {backup.name}
+                  </button>
+                  <span className="drift-detail"> {formatSize(backup.size)}</span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </>
+      )}
+
+      <h3>Restore</h3>
+      <div className="form-group">
+        <label htmlFor="restoreFile">Backup file</label>
+        <input
+          type="file"
+          id="restoreFile"
+          accept=".wgmbackup"
+          onChange={(e) => {
+            setFile(e.target.files[0] || null);
+            setPreview(null);
+          }}
+        />
+      </div>
+      <div className="form-group">
+        <label htmlFor="restorePassphrase">Passphrase</label>
+        <input
+          type="password"
+          id="restorePassphrase"
+          value={restorePassphrase}
+          onChange={(e) => {
+            setRestorePassphrase(e.target.value);
+            setPreview(null);
+          }}
+          placeholder="Only for encrypted backups"
+          autoComplete="off"
+        />
+      </div>
+
+      {preview && (
+        <div className="backup-preview">
+          <p className="import-summary">
+            Backup of {new Date(preview.createdAt).toLocaleString()}{preview.hostname ? ` from ${preview.hostname}` : ''}
+            {preview.encrypted ? ' (encrypted)' : ''}: {preview.storedPeers} peers with stored keys
+            {preview.unreadableKeys > 0 && (
+              <span className="import-failed-text">
+                {' '}— {preview.unreadableKeys} cannot be decrypted with this server's master key
+              </span>
+            )}
+          </p>
+          <table className="import-table">
+            <thead>
+              <tr><th>Router</th><th>Peers</th><th>On router</th><th>Moved</th><th>Missing</th></tr>
+            </thead>
+            <tbody>
+              {preview.routers.map(router => (
+                <tr key={router.id} className={router.error || !router.configured ? 'import-row-error' : ''}>
+                  <td>{router.name}</td>
+                  {router.configured && !router.error ? (
+                    <>
+                      <td>{router.total}</td>
+                      <td>{router.present}</td>
+                      <td>{router.moved}</td>
+                      <td title={router.missingPeers.map(peer => peer.name).join(', ')}>{router.missing}</td>
+                    </>
+                  ) : (
+                    <td colSpan={4}>{router.error || 'Not configured on this server'}</td>
+                  )}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <label className="checkbox-label">
+            <input
+              type="checkbox"
+              checked={recreatePeers}
+              onChange={(e) => setRecreatePeers(e.target.checked)}
+            />
+            Re-create missing peers on the router with their original keys
+          </label>
+        </div>
+      )}
+
+      <div className="form-actions">
+        <button type="button" className="btn btn-secondary" onClick={handleInspect} disabled={busy || !file}>
+          🔍 Check backup
+        </button>
+        <button
+          type="button"
+          className="btn btn-danger"
+          onClick={handleRestore}
+          disabled={busy || !preview || preview.unreadableKeys > 0}
+        >
+          {busy ? 'Working...' : '♻️ Restore'}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default BackupRestore;
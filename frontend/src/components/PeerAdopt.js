@@ -0,0 +1,111 @@
+import React, { useState } from 'react';
+import axios from 'axios';
+
+// Attach the client's existing private key to a peer that was created on the router
+function PeerAdopt({ peer, routerBase, onAdopted, onCancel }) {
+  const [mode, setMode] = useState('key');
+  const [privateKey, setPrivateKey] = useState('');
+  const [config, setConfig] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleFile = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => setConfig(String(reader.result));
+    reader.readAsText(file);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError(null);
+    try {
+      const body = mode === 'key' ? { privateKey: privateKey.trim() } : { config };
+      await axios.post(`${routerBase}/peers/${peer.id}/adopt`, body);
+      onAdopted();
+    } catch (error) {
+      setError(error.response?.data?.error || error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form className="peer-form" onSubmit={handleSubmit}>
+      <p className="adopt-info">
+        Store the key this client already uses so its configuration can be downloaded.
+        The key is checked against the router's public key for <strong>{peer.name}</strong>;
+        the peer on the router is not changed.
+      </p>
+
+      <div className="form-group">
+        <label>
+          <input
+            type="radio"
+            name="mode"
+            checked={mode === 'key'}
+            onChange={() => setMode('key')}
+            style={{ marginRight: '8px' }}
+          />
+          Paste private key
+        </label>
+        <label>
+          <input
+            type="radio"
+            name="mode"
+            checked={mode === 'config'}
+            onChange={() => setMode('config')}
+            style={{ marginRight: '8px' }}
+          />
+          Upload or paste the client's .conf file
+        </label>
+      </div>
+
+      {mode === 'key' ? (
+        <div className="form-group">
+          <label htmlFor="privateKey">Private key</label>
+          <input
+            type="password"
+            id="privateKey"
+            value={privateKey}
+            onChange={(e) => setPrivateKey(e.target.value)}
+            placeholder="44 character base64 key"
+            autoComplete="off"
+            required
+          />
+        </div>
+      ) : (
+        <div className="form-group">
+          <label htmlFor="configFile">Configuration file</label>
+          <input type="file" id="configFile" accept=".conf,text/plain" onChange={handleFile} />
+          <textarea
+            rows={8}
+            value={config}
+            onChange={(e) => setConfig(e.target.value)}
+            placeholder={'[Interface]\nPrivateKey = ...'}
+            className="adopt-config"
+            required
+          />
+          <small style={{ color: '#666', fontSize: '12px' }}>
+            The PrivateKey and, if present, the PresharedKey are taken from the file.
+          </small>
+        </div>
+      )}
+
+      {error && <div className="error-message">{error}</div>}
+
+      <div className="form-actions">
+        <button type="button" className="btn btn-secondary" onClick={onCancel}>
+          Cancel
+        </button>
+        <button type="submit" className="btn btn-primary" disabled={saving}>
+          {saving ? 'Verifying...' : '🔑 Adopt Peer'}
+        </button>
+      </div>
+    </form>
+  );
+}
+
+export default PeerAdopt;
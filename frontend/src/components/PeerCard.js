@@ -1,10 +1,10 @@
 import React from 'react';
 
-function PeerCard({ peer, onEdit, onDelete, onShowConfig, onToggle }) {
+function PeerCard({ peer, onEdit, onDelete, onShowConfig, onShowQrCode, onShowStats, onAdopt, onToggle, onPskRotation, onKeyRotation, can, selectable = false, selected = false, onSelect }) {
   const formatBytes = (bytes) => {
     if (bytes === 0) return '0 B';
     const k = 1024;
-    const sizes = ['B', 'KB', 'MB', 'GB'];
+    const sizes = ['B', 'KB', 'MB', 'GB', 'TB'];
     const i = Math.floor(Math.log(bytes) / Math.log(k));
     return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
   };
@@ -67,9 +67,130 @@ function PeerCard({ peer, onEdit, onDelete, onShowConfig, onToggle }) {
     }
   };
 
+  // Badge for peers with an expiry date (API sends UTC "YYYY-MM-DD HH:MM:SS")
+  const getExpiryBadge = () => {
+    if (!peer.expiresAt) return null;
+    const expiresAt = new Date(`${peer.expiresAt.replace(' ', 'T')}Z`);
+    const title = `Expires ${expiresAt.toLocaleString()}`;
+
+    if (peer.expired || expiresAt <= new Date()) {
+      return <span className="expiry-badge expiry-expired" title={title}>⏰ Expired</span>;
+    }
+
+    const days = Math.ceil((expiresAt - new Date()) / (24 * 60 * 60 * 1000));
+    const label = days <= 1 ? 'Expires today' : `Expires in ${days} days`;
+    return (
+      <span className={`expiry-badge ${days <= 7 ? 'expiry-soon' : 'expiry-later'}`} title={title}>
+        ⏳ {label}
+      </span>
+    );
+  };
+
+  // API timestamps are UTC "YYYY-MM-DD HH:MM:SS"
+  const parseUtc = (value) => new Date(`${value.replace(' ', 'T')}Z`);
+
+  const renderPskRotation = () => {
+    if (!peer.hasStoredKeys) return null;
+    const { pskRotation } = peer;
+
+    if (pskRotation) {
+      return (
+        <div className="psk-rotation">
+          <div className="psk-rotation-label">
+            🔄 New preshared key staged — pushed to the router on {parseUtc(pskRotation.deadline).toLocaleString()} at the latest
+          </div>
+          {can('peers:config') && (
+            <button type="button" className="link-button" onClick={() => onPskRotation('download')}>
+              Download new config
+            </button>
+          )}
+          {can('peers:regenerate') && (
+            <>
+              <button type="button" className="link-button" onClick={() => onPskRotation('complete')}>
+                Push now
+              </button>
+              <button type="button" className="link-button" onClick={() => onPskRotation('cancel')}>
+                Cancel
+              </button>
+            </>
+          )}
+        </div>
+      );
+    }
+
+    if (!peer.hasPresharedKey || peer.pskAgeDays === null || peer.pskAgeDays === undefined) return null;
+    return (
+      <p className={peer.pskRotationDue ? 'psk-age psk-age-due' : 'psk-age'} title={`Set ${parseUtc(peer.pskUpdatedAt).toLocaleString()}`}>
+        <strong>PSK age:</strong> {peer.pskAgeDays === 1 ? '1 day' : `${peer.pskAgeDays} days`}
+        {peer.pskRotationDue && ' — rotation due'}
+        {can('peers:regenerate') && (
+          <button type="button" className="link-button" onClick={() => onPskRotation('stage')}>
+            Rotate
+          </button>
+        )}
+      </p>
+    );
+  };
+
+  const renderKeyRotation = () => {
+    if (!peer.keyRotation) return null;
+    return (
+      <div className="psk-rotation">
+        <div className="psk-rotation-label">
+          🔑 Keys rotated on {parseUtc(peer.keyRotation.rotatedAt).toLocaleString()} — previous keys kept until confirmed
+        </div>
+        {can('peers:config') && (
+          <button type="button" className="link-button" onClick={onShowConfig}>
+            Download new config
+          </button>
+        )}
+        {can('peers:regenerate') && (
+          <>
+            <button type="button" className="link-button" onClick={() => onKeyRotation('confirm')}>
+              Confirm
+            </button>
+            <button type="button" className="link-button" onClick={() => onKeyRotation('revert')}>
+              Revert
+            </button>
+          </>
+        )}
+      </div>
+    );
+  };
+
+  const renderQuota = () => {
+    const { quota } = peer;
+    if (!quota) return null;
+
+    const percent = Math.min(100, (quota.usedBytes / quota.limitBytes) * 100);
+    const level = quota.exceeded ? 'quota-exceeded' : percent >= 80 ? 'quota-warning' : 'quota-ok';
+    const periodLabel = quota.period === 'rolling' ? `last ${quota.windowDays} days` : 'this month';
+
+    return (
+      <div className="quota-usage" title={`${percent.toFixed(1)}% of the data quota used`}>
+        <div className="quota-label">
+          <strong>Quota:</strong> {formatBytes(quota.usedBytes)} / {formatBytes(quota.limitBytes)} ({periodLabel})
+          {quota.exceeded && <span className="quota-exceeded-text"> — over quota</span>}
+        </div>
+        <div className="quota-bar">
+          <div className={`quota-bar-fill ${level}`} style={{ width: `${percent}%` }} />
+        </div>
+      </div>
+    );
+  };
+
   return (
-    <div className={`peer-card ${peer.enabled ? 'peer-enabled' : 'peer-disabled'}`}>
+    <div className={`peer-card ${peer.enabled ? 'peer-enabled' : 'peer-disabled'}${selected ? ' peer-selected' : ''}`}>
       <h3>
+        {selectable && (
+          <input
+            type="checkbox"
+            className="peer-select"
+            checked={selected}
+            onChange={onSelect}
+            title={peer.hasStoredKeys ? 'Include in export' : 'Keys not stored; will be listed as skipped'}
+          />
+        )}
         {peer.name || 'Unnamed Peer'}
         <div className="peer-indicators">
           {peer.hasPresharedKey && (
@@ -82,8 +203,22 @@ function PeerCard({ peer, onEdit, onDelete, onShowConfig, onToggle }) {
         </div>
       </h3>
       
+      {getExpiryBadge()}
+
+      {peer.tags?.length > 0 && (
+        <div className="peer-tags">
+          {peer.tags.map(tag => <span key={tag} className="peer-tag">{tag}</span>)}
+        </div>
+      )}
+      
       <div className="peer-info">
+        {peer.interface && (
+          <p><strong>Interface:</strong> {peer.interface}</p>
+        )}
         <p><strong>IP Address:</strong> {peer.allowedIPs}</p>
+        {peer.clientProfile && (
+          <p><strong>Client profile:</strong> {peer.clientProfile}</p>
+        )}
         <p><strong>Public Key:</strong> {peer.publicKey?.substring(0, 20)}...</p>
         <p><strong>Status:</strong> 
           <span className={`status-badge ${peer.enabled ? 'status-enabled' : 'status-disabled'}`}>
@@ -96,8 +231,17 @@ function PeerCard({ peer, onEdit, onDelete, onShowConfig, onToggle }) {
 		  </span>
 		  {peer.hasPresharedKey && <span className="peer-security-enhanced">Quantum Resistant</span>}
 		</p>
-        <p><strong>Last Handshake:</strong> {formatLastHandshake(peer.lastHandshake)}</p>
-        <p><strong>Transfer:</strong> ↓{formatBytes(parseInt(peer.transferRx || 0))} ↑{formatBytes(parseInt(peer.transferTx || 0))}</p>
+        <p><strong>Last Handshake:</strong> {formatLastHandshake(peer.lastHandshake)}
+          {peer.online && <span className="online-badge" title="Handshake within the last 3 minutes">● online now</span>}
+        </p>
+        <p><strong>Transfer:</strong> ↓{formatBytes(parseInt(peer.transferRx || 0))} ↑{formatBytes(parseInt(peer.transferTx || 0))}
+          {peer.online && (peer.rxRate > 0 || peer.txRate > 0) && (
+            <span className="live-rate"> ({formatBytes(peer.rxRate || 0)}/s ↓ {formatBytes(peer.txRate || 0)}/s ↑)</span>
+          )}
+        </p>
+        {renderQuota()}
+        {renderKeyRotation()}
+        {renderPskRotation()}
         
         {peer.hasStoredKeys && peer.keyCreatedAt && (
           <p style={{ color: '#28a745', fontSize: '12px', fontStyle: 'italic' }}>
@@ -114,30 +258,65 @@ function PeerCard({ peer, onEdit, onDelete, onShowConfig, onToggle }) {
 
       <div className="peer-actions">
         {/* Toggle Button - Changes based on current status */}
-        <button 
-          className={`btn ${peer.enabled ? 'btn-warning' : 'btn-success'}`}
-          onClick={onToggle}
-          title={peer.enabled ? 'Disable this peer' : 'Enable this peer'}
-        >
-          {peer.enabled ? '⏸️ Disable' : '▶️ Enable'}
-        </button>
+        {can('peers:toggle') && (
+          <button 
+            className={`btn ${peer.enabled ? 'btn-warning' : 'btn-success'}`}
+            onClick={onToggle}
+            title={peer.enabled ? 'Disable this peer' : 'Enable this peer'}
+          >
+            {peer.enabled ? '⏸️ Disable' : '▶️ Enable'}
+          </button>
+        )}
         
-        <button className="btn btn-secondary" onClick={onEdit}>
-          ✏️ Edit
-        </button>
+        {can('peers:update') && (
+          <button className="btn btn-secondary" onClick={onEdit}>
+            ✏️ Edit
+          </button>
+        )}
         
-        <button 
-          className={`btn ${peer.hasStoredKeys ? 'btn-info' : 'btn-disabled'}`} 
-          onClick={() => peer.hasStoredKeys && onShowConfig()}
-          disabled={!peer.hasStoredKeys}
-          title={peer.hasStoredKeys ? 'Download configuration' : 'Configuration not available'}
-        >
-          📄 Config
-        </button>
+        {can('peers:config') && (
+          <button 
+            className={`btn ${peer.hasStoredKeys ? 'btn-info' : 'btn-disabled'}`} 
+            onClick={() => peer.hasStoredKeys && onShowConfig()}
+            disabled={!peer.hasStoredKeys}
+            title={peer.hasStoredKeys ? 'Download configuration' : 'Configuration not available'}
+          >
+            📄 Config
+          </button>
+        )}
+
+        {can('peers:config') && (
+          <button 
+            className={`btn ${peer.hasStoredKeys ? 'btn-info' : 'btn-disabled'}`} 
+            onClick={() => peer.hasStoredKeys && onShowQrCode()}
+            disabled={!peer.hasStoredKeys}
+            title={peer.hasStoredKeys ? 'Show configuration as QR code' : 'Configuration not available'}
+          >
+            📱 Show QR
+          </button>
+        )}
+
+        {peer.hasStoredKeys && !peer.keyRotation && can('peers:regenerate') && (
+          <button className="btn btn-secondary" onClick={() => onKeyRotation('rotate')} title="New keys on the same router peer">
+            🔑 Rotate keys
+          </button>
+        )}
+
+        {!peer.hasStoredKeys && can('peers:adopt') && (
+          <button className="btn btn-info" onClick={onAdopt} title="Attach the client's existing private key">
+            🔑 Adopt
+          </button>
+        )}
         
-        <button className="btn btn-danger" onClick={onDelete}>
-          🗑️ Delete
+        <button className="btn btn-secondary" onClick={onShowStats} title="Traffic and connectivity history">
+          📈 Stats
         </button>
+        
+        {can('peers:delete') && (
+          <button className="btn btn-danger" onClick={onDelete}>
+            🗑️ Delete
+          </button>
+        )}
       </div>
     </div>
   );
@@ -1,13 +1,35 @@
 import React, { useState } from 'react';
 
-function PeerForm({ peer, onSubmit, onCancel, isEditing = false }) {
+// expiresAt comes from the API as UTC "YYYY-MM-DD HH:MM:SS"; the form edits it as a local date
+const toDateInputValue = (expiresAt) => {
+  if (!expiresAt) return '';
+  const date = new Date(`${expiresAt.replace(' ', 'T')}Z`);
+  if (isNaN(date.getTime())) return '';
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+// Access ends at the end of the chosen local day
+const fromDateInputValue = (value) => (value ? new Date(`${value}T23:59:59`).toISOString() : null);
+
+// Quotas are entered in GB and sent to the API in bytes
+const GB = 1024 * 1024 * 1024;
+
+function PeerForm({ peer, onSubmit, onCancel, isEditing = false, canRegenerate = false, interfaces = [], clientProfiles = [] }) {
+  const defaultInterface = interfaces.find(iface => iface.isDefault) || interfaces[0];
   const [formData, setFormData] = useState({
     name: peer?.name || '',
+    interface: peer?.interface || defaultInterface?.name || '',
     allowedIPs: peer?.allowedIPs || '',
     enabled: peer?.enabled !== false,
     usePresharedKey: peer?.hasPresharedKey !== false ? true : true, // Default to true
     updatePresharedKey: false,
-    regenerateCompletely: false
+    regenerateCompletely: false,
+    expiresOn: toDateInputValue(peer?.expiresAt),
+    quotaGb: peer?.quota ? String(Math.round((peer.quota.limitBytes / GB) * 100) / 100) : '',
+    quotaPeriod: peer?.quota?.period || 'monthly',
+    tags: (peer?.tags || []).join(', '),
+    clientProfile: peer?.clientProfile || ''
   });
 
   const handleSubmit = (e) => {
@@ -16,9 +38,27 @@ function PeerForm({ peer, onSubmit, onCancel, isEditing = false }) {
       alert('Peer name is required');
       return;
     }
-    onSubmit(formData);
+    const { interface: selectedInterface, expiresOn, quotaGb, quotaPeriod, ...rest } = formData;
+    const quotaBytes = quotaGb ? Math.round(Number(quotaGb) * GB) : null;
+    if (quotaGb && !(quotaBytes > 0)) {
+      alert('Data quota must be a positive number of GB');
+      return;
+    }
+    const data = {
+      ...rest,
+      expiresAt: fromDateInputValue(expiresOn),
+      tags: rest.tags.split(',').map(tag => tag.trim()).filter(Boolean),
+      clientProfile: rest.clientProfile || null,
+      quotaBytes,
+      ...(quotaBytes ? { quotaPeriod } : {})
+    };
+    // The interface is only chosen at creation; existing peers stay where they are
+    onSubmit(isEditing || !selectedInterface ? data : { ...data, interface: selectedInterface });
   };
 
+  const selectedInterface = interfaces.find(iface => iface.name === formData.interface);
+  const selectedProfile = clientProfiles.find(profile => profile.id === (formData.clientProfile || 'default'));
+
   const handleChange = (e) => {
     const { name, value, type, checked } = e.target;
     setFormData(prev => ({
@@ -42,6 +82,29 @@ function PeerForm({ peer, onSubmit, onCancel, isEditing = false }) {
         />
       </div>
 
+      {!isEditing && interfaces.length > 1 && (
+        <div className="form-group">
+          <label htmlFor="interface">WireGuard Interface</label>
+          <select
+            id="interface"
+            name="interface"
+            value={formData.interface}
+            onChange={handleChange}
+          >
+            {interfaces.map(iface => (
+              <option key={iface.name} value={iface.name}>
+                {iface.name}{iface.endpoint ? ` (${iface.endpoint})` : ''}
+              </option>
+            ))}
+          </select>
+          {selectedInterface?.addressPools?.length > 0 && (
+            <small style={{ color: '#666', fontSize: '12px' }}>
+              Addresses are assigned from {selectedInterface.addressPools.join(', ')}
+            </small>
+          )}
+        </div>
+      )}
+
       <div className="form-group">
         <label htmlFor="allowedIPs">Allowed IPs</label>
         <input
@@ -60,6 +123,92 @@ function PeerForm({ peer, onSubmit, onCancel, isEditing = false }) {
         )}
       </div>
 
+      {clientProfiles.length > 1 && (
+        <div className="form-group">
+          <label htmlFor="clientProfile">Client profile</label>
+          <select
+            id="clientProfile"
+            name="clientProfile"
+            value={formData.clientProfile}
+            onChange={handleChange}
+          >
+            {clientProfiles.map(profile => (
+              <option key={profile.id} value={profile.id === 'default' ? '' : profile.id}>
+                {profile.name}
+              </option>
+            ))}
+          </select>
+          {selectedProfile && (
+            <small style={{ color: '#666', fontSize: '12px' }}>
+              {selectedProfile.description || [
+                selectedProfile.allowedIPs && `AllowedIPs ${selectedProfile.allowedIPs.join(', ')}`,
+                selectedProfile.dns && `DNS ${selectedProfile.dns.join(', ') || 'none'}`,
+                selectedProfile.mtu && `MTU ${selectedProfile.mtu}`,
+                selectedProfile.endpoint && `endpoint ${selectedProfile.endpoint}`
+              ].filter(Boolean).join(' · ')}
+              {isEditing && ' Clients need the new configuration file after a change.'}
+            </small>
+          )}
+        </div>
+      )}
+
+      <div className="form-group">
+        <label htmlFor="expiresOn">Expires on</label>
+        <input
+          type="date"
+          id="expiresOn"
+          name="expiresOn"
+          value={formData.expiresOn}
+          onChange={handleChange}
+        />
+        <small style={{ color: '#666', fontSize: '12px' }}>
+          Optional. The peer is disabled automatically at the end of this day.
+        </small>
+      </div>
+
+      <div className="form-group">
+        <label htmlFor="quotaGb">Data quota (GB)</label>
+        <div className="quota-inputs">
+          <input
+            type="number"
+            id="quotaGb"
+            name="quotaGb"
+            min="0"
+            step="any"
+            value={formData.quotaGb}
+            onChange={handleChange}
+            placeholder="Unlimited"
+          />
+          <select
+            name="quotaPeriod"
+            value={formData.quotaPeriod}
+            onChange={handleChange}
+            disabled={!formData.quotaGb}
+          >
+            <option value="monthly">per calendar month</option>
+            <option value="rolling">rolling window</option>
+          </select>
+        </div>
+        <small style={{ color: '#666', fontSize: '12px' }}>
+          Optional. Upload and download combined; the peer is disabled when it is used up and re-enabled when the period rolls over.
+        </small>
+      </div>
+
+      <div className="form-group">
+        <label htmlFor="tags">Tags</label>
+        <input
+          type="text"
+          id="tags"
+          name="tags"
+          value={formData.tags}
+          onChange={handleChange}
+          placeholder="e.g. staff, laptop"
+        />
+        <small style={{ color: '#666', fontSize: '12px' }}>
+          Optional, comma separated.
+        </small>
+      </div>
+
       <div className="form-group">
         <label>
           <input
@@ -91,7 +240,7 @@ function PeerForm({ peer, onSubmit, onCancel, isEditing = false }) {
         </div>
       )}
 
-      {isEditing && (
+      {isEditing && canRegenerate && (
         <>
           <div className="form-group">
             <label>
@@ -116,7 +265,8 @@ function PeerForm({ peer, onSubmit, onCancel, isEditing = false }) {
             <div className="form-group">
               <div className="psk-warning">
                 <strong>⚠️ Configuration Not Available</strong>
-                <p>Private key is not stored for this peer. If you need a complete configuration file:</p>
+                <p>Private key is not stored for this peer. If the client still has its configuration, use
+                  "🔑 Adopt" on the peer card instead; it keeps the tunnel working. Otherwise:</p>
                 <label>
                   <input
                     type="checkbox"
@@ -128,7 +278,8 @@ function PeerForm({ peer, onSubmit, onCancel, isEditing = false }) {
                   Regenerate peer completely (new private & public keys with preshared key)
                 </label>
                 <small style={{ color: '#856404', fontSize: '12px', display: 'block', marginTop: '5px' }}>
-                  This will create entirely new keys and require reconfiguration of the client
+                  This will create entirely new keys and require reconfiguration of the client.
+                  The peer is re-created on the router with a new ID; "Rotate keys" on the peer card keeps it.
                 </small>
               </div>
             </div>
@@ -0,0 +1,184 @@
+import React, { useState } from 'react';
+import axios from 'axios';
+
+const EXAMPLE = `name,ip,psk,tags,expires
+Alice Laptop,,yes,staff;laptop,
+Bob Phone,172.16.0.50,no,staff,2030-12-31`;
+
+// Upload or paste a CSV, check every row on the server, then create all peers in one go
+function PeerImport({ routerBase, interfaces = [], onImported }) {
+  const defaultInterface = interfaces.find(iface => iface.isDefault) || interfaces[0];
+  const [csv, setCsv] = useState('');
+  const [selectedInterface, setSelectedInterface] = useState(defaultInterface?.name || '');
+  const [preview, setPreview] = useState(null);
+  const [report, setReport] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const requestBody = () => ({ csv, ...(selectedInterface ? { interface: selectedInterface } : {}) });
+
+  const handleFile = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      setCsv(String(reader.result));
+      setPreview(null);
+    };
+    reader.readAsText(file);
+  };
+
+  const handlePreview = async () => {
+    setBusy(true);
+    setError(null);
+    try {
+      const response = await axios.post(`${routerBase}/peers/import/preview`, requestBody());
+      setPreview(response.data);
+    } catch (error) {
+      setPreview(null);
+      setError('Preview failed: ' + (error.response?.data?.error || error.message));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleImport = async () => {
+    setBusy(true);
+    setError(null);
+    try {
+      const response = await axios.post(`${routerBase}/peers/import`, requestBody());
+      setReport(response.data);
+      onImported();
+    } catch (error) {
+      // The router's peers may have changed since the preview; show the fresh validation
+      if (error.response?.data?.rows) {
+        setPreview(error.response.data);
+      }
+      setError('Import failed: ' + (error.response?.data?.error || error.message));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (report) {
+    return (
+      <div className="peer-form peer-import">
+        <p className="import-summary">
+          {report.created} peer{report.created === 1 ? '' : 's'} created
+          {report.failed > 0 && <span className="import-failed-text">, {report.failed} failed</span>}
+        </p>
+        <table className="import-table">
+          <thead>
+            <tr><th>Line</th><th>Name</th><th>IP</th><th>Result</th></tr>
+          </thead>
+          <tbody>
+            {report.results.map(result => (
+              <tr key={result.line} className={result.status === 'created' ? '' : 'import-row-error'}>
+                <td>{result.line}</td>
+                <td>{result.name}</td>
+                <td>{result.allowedIPs}</td>
+                <td>{result.status === 'created' ? '✅ Created' : `❌ ${result.error}`}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <small style={{ color: '#666', fontSize: '12px' }}>
+          Configurations can be downloaded from each peer card.
+        </small>
+      </div>
+    );
+  }
+
+  return (
+    <div className="peer-form peer-import">
+      <div className="form-group">
+        <label htmlFor="importFile">CSV file</label>
+        <input type="file" id="importFile" accept=".csv,text/csv,text/plain" onChange={handleFile} />
+      </div>
+
+      <div className="form-group">
+        <label htmlFor="importCsv">or paste CSV</label>
+        <textarea
+          id="importCsv"
+          rows={6}
+          value={csv}
+          onChange={(e) => {
+            setCsv(e.target.value);
+            setPreview(null);
+          }}
+          placeholder={EXAMPLE}
+        />
+        <small style={{ color: '#666', fontSize: '12px' }}>
+          Columns: name, ip (empty = auto), psk (yes/no, default yes), tags (separated by ;), expires (YYYY-MM-DD).
+          The header row is optional.
+        </small>
+      </div>
+
+      {interfaces.length > 1 && (
+        <div className="form-group">
+          <label htmlFor="importInterface">WireGuard Interface</label>
+          <select
+            id="importInterface"
+            value={selectedInterface}
+            onChange={(e) => {
+              setSelectedInterface(e.target.value);
+              setPreview(null);
+            }}
+          >
+            {interfaces.map(iface => (
+              <option key={iface.name} value={iface.name}>{iface.name}</option>
+            ))}
+          </select>
+        </div>
+      )}
+
+      {error && <div className="error-message">{error}</div>}
+
+      {preview && (
+        <>
+          <p className="import-summary">
+            {preview.rows.length} row{preview.rows.length === 1 ? '' : 's'} for {preview.interface}
+            {preview.valid
+              ? ' — all rows are valid'
+              : <span className="import-failed-text"> — {preview.rows.filter(row => row.errors.length).length} with errors</span>}
+          </p>
+          <table className="import-table">
+            <thead>
+              <tr><th>Line</th><th>Name</th><th>IP</th><th>PSK</th><th>Tags</th><th>Expires</th><th>Problems</th></tr>
+            </thead>
+            <tbody>
+              {preview.rows.map(row => (
+                <tr key={row.line} className={row.errors.length ? 'import-row-error' : ''}>
+                  <td>{row.line}</td>
+                  <td>{row.name}</td>
+                  <td>{row.allowedIPs || '—'}</td>
+                  <td>{row.usePresharedKey ? 'yes' : 'no'}</td>
+                  <td>{row.tags.join(', ')}</td>
+                  <td>{row.expiresAt ? row.expiresAt.slice(0, 10) : ''}</td>
+                  <td>{row.errors.join('; ')}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </>
+      )}
+
+      <div className="form-actions">
+        <button type="button" className="btn btn-secondary" onClick={handlePreview} disabled={busy || !csv.trim()}>
+          🔍 Preview
+        </button>
+        <button
+          type="button"
+          className="btn btn-primary"
+          onClick={handleImport}
+          disabled={busy || !preview?.valid}
+          title={preview?.valid ? 'Create all peers' : 'Preview the file and fix all problems first'}
+        >
+          {busy ? 'Working...' : `📥 Import${preview?.valid ? ` ${preview.rows.length} peers` : ''}`}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default PeerImport;
@@ -1,29 +1,111 @@
-import React from 'react';
+import React, { useState } from 'react';
 import PeerCard from './PeerCard';
 
-function PeerList({ peers, onEdit, onDelete, onShowConfig, onToggle }) {
+function PeerList({ peers, onEdit, onDelete, onShowConfig, onShowQrCode, onShowStats, onAdopt, onToggle, onPskRotation, onKeyRotation, can, selecting = false, onExport, onCancelSelection }) {
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [includeQrCodes, setIncludeQrCodes] = useState(false);
+  const [includeManifest, setIncludeManifest] = useState(true);
+  const [exporting, setExporting] = useState(false);
+  const [wasSelecting, setWasSelecting] = useState(false);
+
+  // Start every selection with the peers that have a downloadable config; later peer
+  // updates leave the selection alone
+  if (selecting !== wasSelecting) {
+    setWasSelecting(selecting);
+    if (selecting) {
+      setSelectedIds(peers.filter(peer => peer.hasStoredKeys).map(peer => peer.id));
+    }
+  }
+
+  // Forget peers that disappeared while selecting
+  const visibleSelection = selectedIds.filter(id => peers.some(peer => peer.id === id));
+
+  const toggleSelected = (id) => {
+    setSelectedIds(current => (current.includes(id) ? current.filter(other => other !== id) : [...current, id]));
+  };
+
+  const handleExport = async () => {
+    setExporting(true);
+    try {
+      await onExport(visibleSelection, { includeQrCodes, includeManifest });
+    } finally {
+      setExporting(false);
+    }
+  };
+
   if (peers.length === 0) {
     return (
       <div style={{ textAlign: 'center', padding: '50px', color: '#666' }}>
         <h3>No peers configured</h3>
-        <p>Click "Add New Peer" to create your first WireGuard peer</p>
+        {can('peers:create') && (
+          <p>Click "Add New Peer" to create your first WireGuard peer</p>
+        )}
       </div>
     );
   }
 
   return (
-    <div className="peer-list">
-      {peers.map(peer => (
-        <PeerCard
-          key={peer.id}
-          peer={peer}
-          onEdit={() => onEdit(peer)}
-          onDelete={() => onDelete(peer.id)}
-          onShowConfig={() => onShowConfig(peer.id, peer.name)}
-          onToggle={() => onToggle(peer.id, peer.name, peer.enabled)}
-        />
-      ))}
-    </div>
+    <>
+      {selecting && (
+        <div className="selection-bar">
+          <span className="selection-count">{visibleSelection.length} of {peers.length} selected</span>
+          <button className="btn btn-secondary" onClick={() => setSelectedIds(peers.map(peer => peer.id))}>
+            Select all
+          </button>
+          <button className="btn btn-secondary" onClick={() => setSelectedIds([])}>
+            Select none
+          </button>
+          <label>
+            <input
+              type="checkbox"
+              checked={includeQrCodes}
+              onChange={(e) => setIncludeQrCodes(e.target.checked)}
+            />
+            QR codes
+          </label>
+          <label>
+            <input
+              type="checkbox"
+              checked={includeManifest}
+              onChange={(e) => setIncludeManifest(e.target.checked)}
+            />
+            Manifest (CSV)
+          </label>
+          <button
+            className="btn btn-primary"
+            onClick={handleExport}
+            disabled={exporting || visibleSelection.length === 0}
+          >
+            {exporting ? 'Preparing...' : '📦 Download ZIP'}
+          </button>
+          <button className="btn btn-secondary" onClick={onCancelSelection}>
+            Cancel
+          </button>
+        </div>
+      )}
+
+      <div className="peer-list">
+        {peers.map(peer => (
+          <PeerCard
+            key={peer.id}
+            peer={peer}
+            onEdit={() => onEdit(peer)}
+            onDelete={() => onDelete(peer.id)}
+            onShowConfig={() => onShowConfig(peer.id, peer.name)}
+            onShowQrCode={() => onShowQrCode(peer)}
+            onShowStats={() => onShowStats(peer)}
+            onAdopt={() => onAdopt(peer)}
+            onToggle={() => onToggle(peer.id, peer.name, peer.enabled)}
+            onPskRotation={(action) => onPskRotation(peer, action)}
+            onKeyRotation={(action) => onKeyRotation(peer, action)}
+            can={can}
+            selectable={selecting}
+            selected={visibleSelection.includes(peer.id)}
+            onSelect={() => toggleSelected(peer.id)}
+          />
+        ))}
+      </div>
+    </>
   );
 }
 
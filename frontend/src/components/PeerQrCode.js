@@ -0,0 +1,66 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+
+function PeerQrCode({ peer, routerBase }) {
+  const [imageUrl, setImageUrl] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let objectUrl = null;
+    let cancelled = false;
+
+    const fetchQrCode = async () => {
+      try {
+        const response = await axios.get(`${routerBase}/peers/${peer.id}/qrcode`, {
+          params: { format: 'png' },
+          responseType: 'blob'
+        });
+        if (cancelled) return;
+        objectUrl = URL.createObjectURL(response.data);
+        setImageUrl(objectUrl);
+      } catch (error) {
+        if (cancelled) return;
+        // Error bodies arrive as a blob because of responseType
+        let message = error.message;
+        try {
+          message = JSON.parse(await error.response.data.text()).error || message;
+        } catch {
+          // keep the generic message
+        }
+        setError('Failed to generate QR code: ' + message);
+      }
+    };
+
+    fetchQrCode();
+
+    // The image holds the private key; release it as soon as the modal closes
+    return () => {
+      cancelled = true;
+      if (objectUrl) URL.revokeObjectURL(objectUrl);
+    };
+  }, [peer.id, routerBase]);
+
+  return (
+    <div className="peer-form peer-qrcode">
+      {error && (
+        <div className="error-message">{error}</div>
+      )}
+
+      {!error && !imageUrl && (
+        <p className="qrcode-loading">Generating QR code...</p>
+      )}
+
+      {imageUrl && (
+        <>
+          <img src={imageUrl} alt={`WireGuard configuration for ${peer.name || peer.id}`} />
+          <p className="qrcode-hint">
+            Scan with the WireGuard mobile app: ➕ → "Scan from QR code".
+            This code contains the peer's private key — do not share screenshots of it.
+          </p>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default PeerQrCode;
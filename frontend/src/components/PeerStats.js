@@ -0,0 +1,128 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import StatsChart from './StatsChart';
+
+const RANGES = [
+  { value: 24, label: 'Last 24 hours' },
+  { value: 24 * 7, label: 'Last 7 days' },
+  { value: 24 * 30, label: 'Last 30 days' },
+  { value: 24 * 90, label: 'Last 90 days' }
+];
+
+const formatBytes = (bytes) => {
+  if (!bytes) return '0 B';
+  const k = 1024;
+  const sizes = ['B', 'KB', 'MB', 'GB', 'TB'];
+  const i = Math.min(sizes.length - 1, Math.floor(Math.log(bytes) / Math.log(k)));
+  return parseFloat((bytes / Math.pow(k, i)).toFixed(1)) + ' ' + sizes[i];
+};
+
+const formatRate = (bytesPerSecond) => `${formatBytes(bytesPerSecond)}/s`;
+
+const formatPercent = (value) => `${Math.round(value * 100)}%`;
+
+function PeerStats({ peer, routerBase }) {
+  const [rangeHours, setRangeHours] = useState(24);
+  const [stats, setStats] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const fetchStats = async () => {
+      try {
+        const to = new Date();
+        const from = new Date(to.getTime() - rangeHours * 60 * 60 * 1000);
+        const response = await axios.get(`${routerBase}/peers/${peer.id}/stats`, {
+          params: { from: from.toISOString(), to: to.toISOString() }
+        });
+        if (!cancelled) {
+          setStats(response.data);
+          setError(null);
+        }
+      } catch (error) {
+        if (!cancelled) {
+          setError('Failed to fetch statistics: ' + (error.response?.data?.error || error.message));
+        }
+      }
+    };
+
+    fetchStats();
+    return () => {
+      cancelled = true;
+    };
+  }, [peer.id, routerBase, rangeHours]);
+
+  const formatTime = (time) => {
+    const date = new Date(time);
+    return rangeHours <= 24
+      ? date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+      : date.toLocaleDateString([], { month: 'short', day: 'numeric' });
+  };
+
+  const totals = (stats?.points || []).reduce((sum, point) => ({
+    rx: sum.rx + point.rxBytes,
+    tx: sum.tx + point.txBytes
+  }), { rx: 0, tx: 0 });
+
+  const sampled = (stats?.points || []).filter(point => point.uptime !== null);
+  const uptime = sampled.length
+    ? sampled.reduce((sum, point) => sum + point.uptime, 0) / sampled.length
+    : null;
+
+  return (
+    <div className="peer-form peer-stats">
+      <div className="peer-stats-toolbar">
+        <select value={rangeHours} onChange={(e) => setRangeHours(Number(e.target.value))}>
+          {RANGES.map(range => (
+            <option key={range.value} value={range.value}>{range.label}</option>
+          ))}
+        </select>
+        {stats && (
+          <span className="peer-stats-summary">
+            ↓{formatBytes(totals.rx)} ↑{formatBytes(totals.tx)}
+            {uptime !== null && ` · online ${formatPercent(uptime)} of sampled time`}
+          </span>
+        )}
+      </div>
+
+      {error && (
+        <div className="error-message">{error}</div>
+      )}
+
+      {!error && !stats && <p className="stats-empty">Loading statistics...</p>}
+
+      {stats && sampled.length === 0 && (
+        <p className="stats-empty">No samples recorded for this period yet.</p>
+      )}
+
+      {stats && sampled.length > 0 && (
+        <>
+          <h4>Throughput</h4>
+          <StatsChart
+            points={stats.points.map(point => (point.uptime === null ? { ...point, rxRate: null, txRate: null } : point))}
+            series={[
+              { key: 'rxRate', label: 'Received', color: '#007bff' },
+              { key: 'txRate', label: 'Sent', color: '#28a745' }
+            ]}
+            formatValue={formatRate}
+            formatTime={formatTime}
+          />
+
+          <h4>Connectivity</h4>
+          <StatsChart
+            type="bar"
+            height={120}
+            maxValue={1}
+            points={stats.points}
+            series={[{ key: 'uptime', label: 'Recent handshake (share of samples)', color: '#17a2b8' }]}
+            formatValue={formatPercent}
+            formatTime={formatTime}
+          />
+        </>
+      )}
+    </div>
+  );
+}
+
+export default PeerStats;
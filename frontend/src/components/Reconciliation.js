@@ -0,0 +1,217 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+
+const TYPE_LABELS = {
+  id_changed: 'ID changed',
+  orphaned_keys: 'Missing on router',
+  missing_keys: 'No stored keys',
+  key_mismatch: 'Key mismatch',
+  psk_mismatch: 'PSK mismatch',
+  name_mismatch: 'Name differs',
+  address_mismatch: 'Address differs'
+};
+
+const RESOLUTION_LABELS = {
+  relink: 'Relink stored keys to the new ID',
+  delete_keys: 'Delete stored keys',
+  recreate_peer: 'Re-create peer on the router',
+  delete_peer: 'Remove peer from the router',
+  use_router: 'Keep router value (update database)',
+  use_database: 'Restore stored value on the router'
+};
+
+const OPERATION_LABELS = {
+  create: 'create',
+  regenerate: 'regeneration',
+  delete: 'deletion',
+  psk_update: 'preshared key change',
+  key_rotate: 'key rotation',
+  key_revert: 'key rotation revert',
+  recreate: 're-creation'
+};
+
+// Differences between the router and the database, with one resolution to pick per item
+function Reconciliation({ routerBase, onResolved, onAdopt }) {
+  const [report, setReport] = useState(null);
+  const [pending, setPending] = useState([]);
+  const [choices, setChoices] = useState({});
+  const [results, setResults] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const fetchReport = useCallback(async () => {
+    setError(null);
+    try {
+      const [response, journal] = await Promise.all([
+        axios.get(`${routerBase}/reconciliation`),
+        axios.get(`${routerBase}/journal`)
+      ]);
+      setReport(response.data);
+      setPending(journal.data.pending);
+      setChoices({});
+    } catch (error) {
+      setError('Failed to check for drift: ' + (error.response?.data?.error || error.message));
+    }
+  }, [routerBase]);
+
+  useEffect(() => {
+    fetchReport();
+  }, [fetchReport]);
+
+  const selected = Object.entries(choices).filter(([, resolution]) => resolution);
+
+  const handleApply = async () => {
+    if (!window.confirm(`Apply ${selected.length} resolution${selected.length === 1 ? '' : 's'}? Changes on the router take effect immediately.`)) {
+      return;
+    }
+    setBusy(true);
+    setError(null);
+    try {
+      const response = await axios.post(`${routerBase}/reconciliation`, {
+        resolutions: selected.map(([id, resolution]) => ({ id, resolution }))
+      });
+      setResults(response.data.results);
+      onResolved();
+      await fetchReport();
+    } catch (error) {
+      setError('Reconciliation failed: ' + (error.response?.data?.error || error.message));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  // Unfinished operations are the usual cause of drift; settle them before resolving by hand
+  const handleRecover = async () => {
+    setBusy(true);
+    setError(null);
+    try {
+      const response = await axios.post(`${routerBase}/journal/recover`);
+      setResults(response.data.results.map(result => ({
+        id: `journal-${result.id}`,
+        status: result.status === 'pending' ? 'failed' : 'applied',
+        message: `${OPERATION_LABELS[result.operation] || result.operation} of "${result.peerName}": ${result.status.replace('_', ' ')}`
+      })));
+      onResolved();
+      await fetchReport();
+    } catch (error) {
+      setError('Recovery failed: ' + (error.response?.data?.error || error.message));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const describe = (side) => (side
+    ? <>
+        <div>{side.name || <em>no name</em>}</div>
+        <div className="drift-detail">{side.allowedAddress || '—'}</div>
+        <div className="drift-detail" title={side.publicKey || ''}>
+          {side.publicKey ? `${side.publicKey.slice(0, 12)}…` : 'key unreadable'}
+          {side.hasPresharedKey ? ' · PSK' : ''}
+        </div>
+      </>
+    : <em className="drift-detail">absent</em>);
+
+  if (!report) {
+    return error
+      ? <div className="error-message">{error}</div>
+      : <p className="stats-empty">Comparing router and database...</p>;
+  }
+
+  return (
+    <div className="reconciliation">
+      <p className="import-summary">
+        {report.routerPeers} peers on the router, {report.storedPeers} with stored keys
+        {report.items.length === 0
+          ? ' — no drift found'
+          : <span className="import-failed-text"> — {report.items.length} difference{report.items.length === 1 ? '' : 's'}</span>}
+      </p>
+
+      {error && <div className="error-message">{error}</div>}
+
+      {pending.length > 0 && (
+        <div className="journal-pending">
+          <div>
+            {pending.length} unfinished operation{pending.length === 1 ? '' : 's'}:{' '}
+            {pending.map(entry => `${OPERATION_LABELS[entry.operation] || entry.operation} of "${entry.peer_name}"`).join(', ')}
+          </div>
+          {pending.some(entry => entry.last_error) && (
+            <div className="drift-detail">Last error: {pending.find(entry => entry.last_error).last_error}</div>
+          )}
+          <button type="button" className="btn btn-primary" onClick={handleRecover} disabled={busy}>
+            Finish now
+          </button>
+        </div>
+      )}
+
+      {results && (
+        <ul className="drift-results">
+          {results.map(result => (
+            <li key={result.id} className={result.status === 'failed' ? 'import-failed-text' : ''}>
+              {result.status === 'applied' ? '✅' : result.status === 'failed' ? '❌' : '⏭️'} {result.message}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {report.items.length > 0 && (
+        <table className="import-table drift-table">
+          <thead>
+            <tr><th>Peer</th><th>Problem</th><th>Router</th><th>Database</th><th>Resolution</th></tr>
+          </thead>
+          <tbody>
+            {report.items.map(item => (
+              <tr key={item.id}>
+                <td>
+                  <div>{item.name}</div>
+                  <div className="drift-detail">{item.mikrotikId}{item.newId ? ` → ${item.newId}` : ''}</div>
+                </td>
+                <td>
+                  <span className={`drift-type drift-${item.type}`}>{TYPE_LABELS[item.type] || item.type}</span>
+                  <div className="drift-detail">{item.message}</div>
+                </td>
+                <td>{describe(item.router)}</td>
+                <td>{describe(item.stored)}</td>
+                <td>
+                  <select
+                    value={choices[item.id] || ''}
+                    onChange={(e) => setChoices({ ...choices, [item.id]: e.target.value })}
+                  >
+                    <option value="">Leave as is</option>
+                    {item.resolutions.map(resolution => (
+                      <option key={resolution} value={resolution}>{RESOLUTION_LABELS[resolution] || resolution}</option>
+                    ))}
+                  </select>
+                  {item.type === 'missing_keys' && (
+                    <button
+                      type="button"
+                      className="btn btn-secondary drift-adopt"
+                      onClick={() => onAdopt({ id: item.mikrotikId, name: item.name })}
+                    >
+                      🔑 Adopt...
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      <div className="form-actions">
+        <button type="button" className="btn btn-secondary" onClick={fetchReport} disabled={busy}>
+          🔄 Check again
+        </button>
+        <button
+          type="button"
+          className="btn btn-primary"
+          onClick={handleApply}
+          disabled={busy || selected.length === 0}
+        >
+          {busy ? 'Applying...' : `Apply ${selected.length || ''} resolution${selected.length === 1 ? '' : 's'}`}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default Reconciliation;
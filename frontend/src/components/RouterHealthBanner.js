@@ -0,0 +1,61 @@
+import React, { useState, useEffect, useRef } from 'react';
+import axios from 'axios';
+
+const POLL_INTERVAL_MS = 15000;
+
+const formatTime = (iso) => new Date(iso).toLocaleTimeString();
+
+// Warns while a router does not answer; the backend keeps reconnecting on its own
+function RouterHealthBanner({ routers, onRecovered }) {
+  const [unreachable, setUnreachable] = useState([]);
+  // Outlives the polling effect, which restarts when onRecovered changes
+  const wasDown = useRef(false);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const check = async () => {
+      let health;
+      try {
+        health = (await axios.get('/api/health')).data;
+      } catch (error) {
+        // 503 still carries the per-router report
+        health = error.response?.data;
+      }
+      if (cancelled || !health?.routers) return;
+
+      const down = health.routers.filter(router => !router.connected);
+      setUnreachable(down);
+      if (wasDown.current && down.length === 0) {
+        onRecovered();
+      }
+      wasDown.current = down.length > 0;
+    };
+
+    check();
+    const timer = setInterval(check, POLL_INTERVAL_MS);
+    return () => {
+      cancelled = true;
+      clearInterval(timer);
+    };
+  }, [onRecovered]);
+
+  if (unreachable.length === 0) return null;
+
+  return (
+    <div className="health-banner">
+      {unreachable.map(router => {
+        const name = routers.find(candidate => candidate.id === router.id)?.name || router.id;
+        return (
+          <div key={router.id}>
+            ⚠️ Router "{name}" is unreachable{router.disconnectedAt ? ` since ${formatTime(router.disconnectedAt)}` : ''}.
+            {' '}Reconnecting automatically{router.nextRetryAt ? ` (next attempt ${formatTime(router.nextRetryAt)})` : ''};
+            changes to its peers will fail until then.
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+export default RouterHealthBanner;
@@ -0,0 +1,109 @@
+import React from 'react';
+
+const WIDTH = 600;
+const PADDING = { top: 10, right: 10, bottom: 24, left: 70 };
+
+// Small dependency-free SVG chart. Each series is drawn as a line, or as bars with type="bar";
+// null values leave a gap.
+function StatsChart({ points, series, formatValue, formatTime, height = 180, maxValue = null, type = 'line' }) {
+  const plotWidth = WIDTH - PADDING.left - PADDING.right;
+  const plotHeight = height - PADDING.top - PADDING.bottom;
+
+  const values = points.flatMap(point => series.map(s => point[s.key])).filter(v => v !== null && v !== undefined);
+  const max = maxValue !== null ? maxValue : Math.max(1, ...values);
+
+  const step = points.length > 1 ? plotWidth / (points.length - 1) : plotWidth;
+  const x = (index) => PADDING.left + (points.length > 1 ? index * step : plotWidth / 2);
+  const y = (value) => PADDING.top + plotHeight - (value / max) * plotHeight;
+
+  // Split each line where values are missing
+  const lineSegments = (key) => {
+    const segments = [];
+    let current = [];
+    points.forEach((point, index) => {
+      const value = point[key];
+      if (value === null || value === undefined) {
+        if (current.length) segments.push(current);
+        current = [];
+      } else {
+        current.push(`${x(index).toFixed(1)},${y(value).toFixed(1)}`);
+      }
+    });
+    if (current.length) segments.push(current);
+    return segments;
+  };
+
+  const barWidth = Math.max(1, (plotWidth / Math.max(points.length, 1)) * 0.8);
+  const labelIndexes = points.length > 2 ? [0, Math.floor(points.length / 2), points.length - 1] : points.map((_, i) => i);
+
+  return (
+    <div className="stats-chart">
+      <svg viewBox={`0 0 ${WIDTH} ${height}`} preserveAspectRatio="none" role="img">
+        {[0, 0.5, 1].map(fraction => (
+          <g key={fraction}>
+            <line
+              className="stats-grid"
+              x1={PADDING.left}
+              x2={WIDTH - PADDING.right}
+              y1={y(max * fraction)}
+              y2={y(max * fraction)}
+            />
+            <text className="stats-axis" x={PADDING.left - 6} y={y(max * fraction) + 4} textAnchor="end">
+              {formatValue(max * fraction)}
+            </text>
+          </g>
+        ))}
+
+        {type === 'bar'
+          ? series.map(s => points.map((point, index) => {
+            const value = point[s.key];
+            if (value === null || value === undefined) return null;
+            return (
+              <rect
+                key={`${s.key}-${index}`}
+                x={x(index) - barWidth / 2}
+                y={y(value)}
+                width={barWidth}
+                height={Math.max(0, PADDING.top + plotHeight - y(value))}
+                fill={s.color}
+              >
+                <title>{`${formatTime(point.time)}: ${formatValue(value)}`}</title>
+              </rect>
+            );
+          }))
+          : series.map(s => lineSegments(s.key).map((segment, index) => (
+            <polyline
+              key={`${s.key}-${index}`}
+              points={segment.join(' ')}
+              fill="none"
+              stroke={s.color}
+              strokeWidth="2"
+              vectorEffect="non-scaling-stroke"
+            />
+          )))}
+
+        {labelIndexes.map(index => (
+          <text
+            key={index}
+            className="stats-axis"
+            x={x(index)}
+            y={height - 6}
+            textAnchor={index === 0 ? 'start' : index === points.length - 1 ? 'end' : 'middle'}
+          >
+            {formatTime(points[index].time)}
+          </text>
+        ))}
+      </svg>
+
+      <div className="stats-legend">
+        {series.map(s => (
+          <span key={s.key}>
+            <span className="stats-legend-swatch" style={{ background: s.color }} /> {s.label}
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default StatsChart;
@@ -0,0 +1,171 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+
+const ROLES = ['viewer', 'operator', 'admin'];
+
+function UserManager({ currentUser }) {
+  const [users, setUsers] = useState([]);
+  const [error, setError] = useState(null);
+  const [formData, setFormData] = useState({
+    username: '',
+    password: '',
+    role: 'viewer'
+  });
+
+  useEffect(() => {
+    fetchUsers();
+  }, []);
+
+  const fetchUsers = async () => {
+    try {
+      const response = await axios.get('/api/users');
+      setUsers(response.data);
+      setError(null);
+    } catch (error) {
+      setError('Failed to fetch users: ' + (error.response?.data?.error || error.message));
+    }
+  };
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: value
+    }));
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    try {
+      const response = await axios.post('/api/users', formData);
+      setUsers([...users, response.data]);
+      setFormData({ username: '', password: '', role: 'viewer' });
+      setError(null);
+    } catch (error) {
+      setError('Failed to create user: ' + (error.response?.data?.error || error.message));
+    }
+  };
+
+  const handleRoleChange = async (user, role) => {
+    try {
+      const response = await axios.put(`/api/users/${user.id}`, { role });
+      setUsers(users.map(u => u.id === user.id ? response.data : u));
+      setError(null);
+    } catch (error) {
+      setError('Failed to change role: ' + (error.response?.data?.error || error.message));
+    }
+  };
+
+  const handleResetPassword = async (user) => {
+    const password = window.prompt(`New password for "${user.username}" (at least 8 characters):`);
+    if (!password) return;
+
+    try {
+      await axios.put(`/api/users/${user.id}`, { password });
+      alert(`Password for "${user.username}" updated. Existing sessions were signed out.`);
+    } catch (error) {
+      setError('Failed to reset password: ' + (error.response?.data?.error || error.message));
+    }
+  };
+
+  const handleDelete = async (user) => {
+    if (!window.confirm(`Delete user "${user.username}"?`)) {
+      return;
+    }
+
+    try {
+      await axios.delete(`/api/users/${user.id}`);
+      setUsers(users.filter(u => u.id !== user.id));
+      setError(null);
+    } catch (error) {
+      setError('Failed to delete user: ' + (error.response?.data?.error || error.message));
+    }
+  };
+
+  return (
+    <div className="peer-form user-manager">
+      {error && (
+        <div className="error-message">{error}</div>
+      )}
+
+      <table className="user-table">
+        <thead>
+          <tr>
+            <th>User</th>
+            <th>Role</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>
+          {users.map(user => (
+            <tr key={user.id}>
+              <td>{user.username}</td>
+              <td>
+                <select
+                  value={user.role}
+                  onChange={(e) => handleRoleChange(user, e.target.value)}
+                  disabled={user.id === currentUser.id}
+                >
+                  {ROLES.map(role => (
+                    <option key={role} value={role}>{role}</option>
+                  ))}
+                </select>
+              </td>
+              <td className="user-actions">
+                <button className="btn btn-secondary" onClick={() => handleResetPassword(user)}>
+                  🔑 Password
+                </button>
+                {user.id !== currentUser.id && (
+                  <button className="btn btn-danger" onClick={() => handleDelete(user)}>
+                    🗑️
+                  </button>
+                )}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <form onSubmit={handleCreate}>
+        <h3>Add User</h3>
+        <div className="form-group">
+          <label htmlFor="new-username">Username</label>
+          <input
+            type="text"
+            id="new-username"
+            name="username"
+            value={formData.username}
+            onChange={handleChange}
+            required
+          />
+        </div>
+        <div className="form-group">
+          <label htmlFor="new-password">Password</label>
+          <input
+            type="password"
+            id="new-password"
+            name="password"
+            value={formData.password}
+            onChange={handleChange}
+            autoComplete="new-password"
+            minLength={8}
+            required
+          />
+        </div>
+        <div className="form-group">
+          <label htmlFor="new-role">Role</label>
+          <select id="new-role" name="role" value={formData.role} onChange={handleChange}>
+            <option value="viewer">Viewer (read only)</option>
+            <option value="operator">Operator (create, toggle, download configs)</option>
+            <option value="admin">Admin (full access)</option>
+          </select>
+        </div>
+        <div className="form-actions">
+          <button type="submit" className="btn btn-primary">Add User</button>
+        </div>
+      </form>
+    </div>
+  );
+}
+
+export default UserManager;